@@ -0,0 +1,198 @@
+// Configuración específica de cada negocio
+// Los valores por defecto se combinan con config/businesses.json (opcional)
+
+const fs = require('fs');
+const path = require('path');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Configuración por defecto para todos los negocios
+ */
+const DEFAULT_BUSINESS_CONFIG = {
+  ivr: {
+    maxFailedTranscriptions: 2, // Intentos de voz fallidos antes de pasar al teclado
+    maxKeypadRetries: 3,
+    maxPartySize: 20,
+    // Cada opción puede llevar su propio `label`; sin él se anuncia en el idioma de la llamada
+    menu: {
+      '1': { action: 'reservation' },
+      '2': { action: 'info' },
+      '0': { action: 'staff' },
+      '9': { action: 'speech' }
+    }
+  },
+  callPolicy: {
+    maxTurns: 30, // Frases del cliente; después el asistente responde y se despide
+    maxDurationSeconds: 600,
+    maxSilences: 3 // Grabaciones vacías seguidas antes de despedirse y colgar (0 = sin límite)
+  },
+  transfer: {
+    staffNumber: process.env.STAFF_PHONE_NUMBER || null, // Sin número no se ofrece la transferencia
+    callerId: null,
+    ringTimeout: 20, // Segundos sonando antes de usar el plan alternativo
+    fallback: 'voicemail' // voicemail | assistant
+  },
+  outbound: {
+    remindersEnabled: false,
+    reminderHoursBefore: 24,
+    confirmAfterBooking: false, // Llamar para confirmar reservas hechas desde el widget
+    callingHours: { start: 10, end: 21 }, // No se llama fuera de este horario
+    maxAttempts: 2,
+    retryDelayMinutes: 30
+  },
+  bargeIn: {
+    enabled: true, // El cliente puede interrumpir al asistente mientras habla
+    language: 'es-ES' // Reconocimiento de voz del proveedor al interrumpir
+  },
+  streaming: {
+    enabled: false, // Audio en tiempo real por WebSocket (solo proveedores con 'websocket')
+    energyThreshold: 500, // Nivel RMS a partir del cual se considera voz
+    minSpeechMs: 200, // Voz continua necesaria para empezar un turno
+    endSilenceMs: 700, // Silencio que cierra el turno del cliente
+    maxUtteranceMs: 15000,
+    noInputTimeoutMs: 8000 // Escuchando sin voz del cliente: cuenta como silencio (callPolicy.maxSilences)
+  },
+  llm: {
+    provider: process.env.LLM_PROVIDER || 'openai', // openai | local | anthropic | stub
+    model: process.env.LLM_MODEL || null, // Sin modelo se usa el del proveedor
+    temperature: process.env.LLM_TEMPERATURE !== undefined ? parseFloat(process.env.LLM_TEMPERATURE) : 0.7,
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 300, // Respuestas concisas para voz
+    baseUrl: null // Solo para 'local' (por defecto LLM_BASE_URL)
+  },
+  context: {
+    maxTokens: 3000, // Tokens aproximados por turno (prompt del sistema + historial)
+    recentMessages: 10, // Últimos mensajes que se envían tal cual; los anteriores se resumen
+    summaryLines: 12, // Intervenciones antiguas que se conservan en el resumen
+    menuTokens: 800 // Con una carta más larga solo se envían las secciones de las que se habla
+  },
+  budget: {
+    monthlyLimit: null, // € al mes (teléfono, transcripción, LLM y voz); null = sin límite
+    alertAt: 0.8, // Aviso en el log al gastar esta parte del presupuesto
+    // Modo económico al superar el límite (hasta el mes siguiente)
+    degraded: {
+      llm: { model: null, maxTokens: 120 }, // Cambios de la configuración `llm` (p. ej. un modelo más barato)
+      streaming: false, // Sin audio en tiempo real: llamadas por turnos
+      outbound: false // Sin recordatorios ni llamadas de confirmación
+    }
+  },
+  persona: {
+    name: null, // Nombre con el que se presenta el asistente (opcional)
+    role: 'un camarero amigable',
+    tone: 'profesional pero cercano',
+    formality: 'tu', // tu | usted
+    // Plantillas con {{restaurant}} {{restaurantPhone}} {{address}} {{hours}} {{assistant}} ({{callerName}} en returningGreeting).
+    // Texto o un objeto por idioma ({ "es": "...", "en": "..." }); sin plantilla se usa el mensaje del idioma
+    greeting: null,
+    returningGreeting: null, // Saludo a clientes habituales
+    farewell: null,
+    rules: [], // Normas de la casa, p. ej. "Los sábados no se reservan mesas de menos de 4 personas"
+    examples: null // Respuestas de ejemplo para el modelo; sin ellas se usan las de serie
+  },
+  guardrails: {
+    enabled: true,
+    blockInjection: true, // Frases que intentan cambiar las instrucciones del asistente
+    blockOffTopic: true, // Peticiones ajenas al restaurante (código, política, tareas...)
+    offTopicPatterns: [], // Expresiones regulares extra, sobre el texto en minúsculas y sin acentos
+    verifyPrices: true, // Los precios de las respuestas deben estar en el menú
+    verifyHours: true, // Las horas de apertura y cierre deben estar en el horario
+    maxNameLength: 60,
+    maxNotesLength: 200
+  },
+  languages: {
+    default: 'es', // Idioma del saludo y de la llamada si no se detecta otro
+    allowed: ['es', 'en', 'fr', 'ca'] // Con un solo idioma no se detecta en la primera frase
+  },
+  callerProfiles: {
+    enabled: true // Recordar a los clientes por su teléfono (nombre, grupo habitual, preferencias)
+  },
+  sms: {
+    enabled: true,
+    // Variables: {{restaurant}} {{name}} {{date}} {{time}} {{people}} {{reservationNumber}} {{cancelInstructions}}
+    // ({{restaurantPhone}} en cancelInstructions). Texto o un objeto por idioma ({ "es": "...", "en": "..." });
+    // sin plantilla se usa la del idioma de la conversación
+    template: null,
+    cancelInstructions: null
+  }
+};
+
+/**
+ * Claves que se sustituyen completas en lugar de combinarse
+ */
+const REPLACED_KEYS = ['menu'];
+
+const BUSINESS_CONFIG_PATH = process.env.BUSINESS_CONFIG_PATH || path.join(__dirname, 'businesses.json');
+
+let businessConfigs = loadBusinessConfigs();
+
+/**
+ * Carga la configuración de negocios desde disco
+ * @returns {Object} - Configuración indexada por businessId
+ */
+function loadBusinessConfigs() {
+  try {
+    if (!fs.existsSync(BUSINESS_CONFIG_PATH)) {
+      return {};
+    }
+
+    const configs = JSON.parse(fs.readFileSync(BUSINESS_CONFIG_PATH, 'utf8'));
+    logInfo(`🏪 Configuración cargada para ${Object.keys(configs).length} negocios`);
+    return configs;
+
+  } catch (error) {
+    logError('Error cargando configuración de negocios:', error);
+    return {};
+  }
+}
+
+/**
+ * Recarga la configuración de negocios (tras editar el archivo)
+ */
+function reloadBusinessConfigs() {
+  businessConfigs = loadBusinessConfigs();
+}
+
+/**
+ * Obtiene la configuración de un negocio combinada con los valores por defecto
+ * @param {string} businessId - ID del negocio
+ * @returns {Object} - Configuración del negocio
+ */
+function getBusinessConfig(businessId = 'default') {
+  const specific = businessConfigs[businessId] || businessConfigs.default || {};
+  return mergeConfig(DEFAULT_BUSINESS_CONFIG, specific);
+}
+
+/**
+ * Obtiene los IDs de negocio con configuración propia
+ * @returns {Array<string>} - IDs de negocio
+ */
+function getConfiguredBusinessIds() {
+  const ids = Object.keys(businessConfigs).filter(id => id !== 'default');
+  return ids.length > 0 ? ids : ['default'];
+}
+
+/**
+ * Combina dos objetos de configuración de forma recursiva
+ */
+function mergeConfig(base, override) {
+  const result = { ...base };
+
+  Object.keys(override || {}).forEach(key => {
+    const value = override[key];
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+
+    if (isObject && !REPLACED_KEYS.includes(key) && base[key] && typeof base[key] === 'object') {
+      result[key] = mergeConfig(base[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_BUSINESS_CONFIG,
+  getBusinessConfig,
+  getConfiguredBusinessIds,
+  reloadBusinessConfigs
+};
@@ -0,0 +1,380 @@
+// Configuración de proveedores LLM
+// Todos reciben y devuelven mensajes y herramientas en el formato de OpenAI;
+// cada adaptador traduce al formato de su API
+
+const OpenAI = require('openai');
+const axios = require('axios');
+const { getBusinessConfig } = require('./businesses');
+const { logInfo, logError } = require('../utils/logger');
+
+/**
+ * Proveedores LLM disponibles
+ */
+const LLM_PROVIDERS = {
+  // API de OpenAI
+  openai: {
+    name: 'OpenAI',
+    defaultModel: 'gpt-3.5-turbo', // Más económico que GPT-4
+    apiKeyEnv: 'OPENAI_API_KEY',
+    pricing: { input: 0.46, output: 1.38 }, // € por millón de tokens (gpt-3.5-turbo)
+    complete: completeWithOpenAI
+  },
+
+  // Servidor local compatible con la API de OpenAI (Ollama, LM Studio, vLLM...)
+  local: {
+    name: 'Endpoint compatible con OpenAI',
+    defaultModel: 'llama3.1',
+    apiKeyEnv: 'LLM_API_KEY',
+    baseUrlEnv: 'LLM_BASE_URL',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    pricing: { input: 0, output: 0 }, // Servidor propio: sin coste por token
+    complete: completeWithOpenAI
+  },
+
+  // API de mensajes de Anthropic
+  anthropic: {
+    name: 'Anthropic',
+    defaultModel: 'claude-3-5-haiku-latest',
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    baseUrl: 'https://api.anthropic.com/v1',
+    apiVersion: '2023-06-01',
+    pricing: { input: 0.74, output: 3.7 }, // claude-3-5-haiku
+    complete: completeWithAnthropic
+  },
+
+  // Respuestas deterministas sin red, para desarrollo y pruebas
+  stub: {
+    name: 'Stub local',
+    defaultModel: 'stub',
+    pricing: { input: 0, output: 0 },
+    complete: completeWithStub
+  }
+};
+
+const DEFAULT_PROVIDER = 'openai';
+
+// Precio de modelos concretos (€ por millón de tokens); el resto usa el del proveedor
+const MODEL_PRICING = {
+  'gpt-3.5-turbo': { input: 0.46, output: 1.38 },
+  'gpt-4o-mini': { input: 0.14, output: 0.55 },
+  'gpt-4o': { input: 2.3, output: 9.2 },
+  'gpt-4': { input: 27.6, output: 55.2 },
+  'claude-3-5-haiku-latest': { input: 0.74, output: 3.7 },
+  'claude-3-5-sonnet-latest': { input: 2.76, output: 13.8 }
+};
+
+// Clientes de OpenAI ya creados, por endpoint y clave
+const openaiClients = new Map();
+
+// Respuestas programadas para el proveedor stub (se usan antes que las reglas)
+const stubReplies = [];
+let stubToolCallCount = 0; // IDs de llamadas a herramientas del stub: únicos aunque lleguen en el mismo milisegundo
+
+/**
+ * Obtiene la configuración LLM de un negocio con los valores por defecto del proveedor
+ * @param {string} businessId - ID del negocio
+ * @param {Object|null} override - Cambios para esta conversación (p. ej. modo económico); los null se ignoran
+ * @returns {Object} - { provider, model, temperature, maxTokens, baseUrl, pricing }
+ */
+function getLlmSettings(businessId, override = null) {
+  const config = { ...(getBusinessConfig(businessId).llm || {}) };
+  Object.keys(override || {}).forEach(key => {
+    if (override[key] !== null && override[key] !== undefined) {
+      config[key] = override[key];
+    }
+  });
+  let provider = config.provider || DEFAULT_PROVIDER;
+
+  if (!LLM_PROVIDERS[provider]) {
+    logError(`Proveedor LLM no configurado: ${provider}; se usa ${DEFAULT_PROVIDER}`);
+    provider = DEFAULT_PROVIDER;
+  }
+
+  const providerConfig = LLM_PROVIDERS[provider];
+  const model = config.model || providerConfig.defaultModel;
+  const temperature = parseFloat(config.temperature);
+  const maxTokens = parseInt(config.maxTokens);
+
+  return {
+    provider: provider,
+    model: model,
+    temperature: isNaN(temperature) ? 0.7 : temperature,
+    maxTokens: maxTokens > 0 ? maxTokens : 300,
+    baseUrl: config.baseUrl || (providerConfig.baseUrlEnv && process.env[providerConfig.baseUrlEnv]) || providerConfig.defaultBaseUrl || null,
+    // Precio propio del negocio (p. ej. un endpoint local con coste) o el del modelo
+    pricing: config.pricing || MODEL_PRICING[model] || providerConfig.pricing
+  };
+}
+
+/**
+ * Coste estimado de una respuesta del modelo
+ * @param {Object} settings - Resultado de getLlmSettings
+ * @param {Object} usage - { prompt_tokens, completion_tokens }
+ * @returns {number} - Coste en euros
+ */
+function getLlmCost(settings, usage = {}) {
+  const pricing = settings.pricing || {};
+  return ((usage.prompt_tokens || 0) * (pricing.input || 0) + (usage.completion_tokens || 0) * (pricing.output || 0)) / 1000000;
+}
+
+/**
+ * Pide una respuesta al proveedor configurado
+ * @param {Object} settings - Resultado de getLlmSettings
+ * @param {Object} request - { messages, tools } en formato OpenAI
+ * @returns {Promise<Object>} - { message: { content, tool_calls }, usage: { prompt_tokens, completion_tokens, total_tokens } }
+ */
+async function completeChat(settings, { messages, tools = [] }) {
+  const provider = LLM_PROVIDERS[settings.provider];
+  if (!provider) {
+    throw new Error(`Proveedor LLM no configurado: ${settings.provider}`);
+  }
+  return provider.complete(settings, messages, tools);
+}
+
+/**
+ * OpenAI y endpoints compatibles
+ */
+async function completeWithOpenAI(settings, messages, tools) {
+  const provider = LLM_PROVIDERS[settings.provider];
+  const client = getOpenAIClient(process.env[provider.apiKeyEnv], settings.baseUrl);
+
+  const completion = await client.chat.completions.create({
+    model: settings.model,
+    messages: messages,
+    ...(tools.length > 0 && { tools: tools, tool_choice: 'auto' }),
+    max_tokens: settings.maxTokens, // Respuestas concisas para voz
+    temperature: settings.temperature,
+    frequency_penalty: 0.3,
+    presence_penalty: 0.3
+  });
+
+  const reply = completion.choices[0].message;
+  return {
+    message: {
+      content: reply.content || null,
+      tool_calls: reply.tool_calls && reply.tool_calls.length > 0 ? reply.tool_calls : undefined
+    },
+    usage: normalizeUsage(completion.usage)
+  };
+}
+
+/**
+ * Crea el cliente de OpenAI la primera vez que se usa (no al cargar el módulo)
+ */
+function getOpenAIClient(apiKey, baseUrl) {
+  const key = `${baseUrl || 'openai'}|${apiKey || ''}`;
+
+  if (!openaiClients.has(key)) {
+    openaiClients.set(key, new OpenAI({
+      // Los servidores locales suelen aceptar cualquier clave
+      apiKey: apiKey || 'sin-clave',
+      ...(baseUrl && { baseURL: baseUrl })
+    }));
+  }
+  return openaiClients.get(key);
+}
+
+/**
+ * Anthropic: el prompt de sistema va aparte y las herramientas son bloques tool_use/tool_result
+ */
+async function completeWithAnthropic(settings, messages, tools) {
+  const provider = LLM_PROVIDERS.anthropic;
+  const apiKey = process.env[provider.apiKeyEnv];
+  if (!apiKey) {
+    throw new Error(`${provider.apiKeyEnv} no configurada`);
+  }
+
+  const response = await axios.post(`${settings.baseUrl || provider.baseUrl}/messages`, {
+    model: settings.model,
+    max_tokens: settings.maxTokens,
+    temperature: Math.min(settings.temperature, 1), // Anthropic admite hasta 1
+    system: messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n'),
+    messages: toAnthropicMessages(messages),
+    ...(tools.length > 0 && {
+      tools: tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters
+      }))
+    })
+  }, {
+    timeout: 30000,
+    headers: {
+      'x-api-key': apiKey,
+      'anthropic-version': provider.apiVersion,
+      'content-type': 'application/json'
+    }
+  });
+
+  const blocks = response.data.content || [];
+  const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('').trim();
+  const toolCalls = blocks
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({
+      id: block.id,
+      type: 'function',
+      function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+    }));
+
+  const usage = response.data.usage || {};
+  return {
+    message: {
+      content: text || null,
+      tool_calls: toolCalls.length > 0 ? toolCalls : undefined
+    },
+    usage: normalizeUsage({ prompt_tokens: usage.input_tokens, completion_tokens: usage.output_tokens })
+  };
+}
+
+/**
+ * Convierte el historial de OpenAI al de Anthropic (turnos alternos que empiezan por el cliente)
+ */
+function toAnthropicMessages(messages) {
+  const converted = [];
+
+  messages.filter(m => m.role !== 'system').forEach(message => {
+    const role = message.role === 'assistant' ? 'assistant' : 'user';
+    let content;
+
+    if (message.role === 'tool') {
+      content = [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: String(message.content) }];
+    } else if (message.tool_calls) {
+      content = [
+        ...(message.content ? [{ type: 'text', text: message.content }] : []),
+        ...message.tool_calls.map(toolCall => ({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: parseJson(toolCall.function.arguments)
+        }))
+      ];
+    } else if (message.content) {
+      content = [{ type: 'text', text: String(message.content) }];
+    } else {
+      return; // Anthropic no admite bloques de texto vacíos
+    }
+
+    const previous = converted[converted.length - 1];
+    if (previous && previous.role === role) {
+      previous.content.push(...content);
+    } else {
+      converted.push({ role: role, content: content });
+    }
+  });
+
+  if (converted.length === 0 || converted[0].role !== 'user') {
+    converted.unshift({ role: 'user', content: [{ type: 'text', text: '(empieza la conversación)' }] });
+  }
+  return converted;
+}
+
+/**
+ * Stub determinista: respuestas programadas o reglas sencillas según lo último que dijo el cliente
+ */
+async function completeWithStub(settings, messages) {
+  const scripted = stubReplies.shift();
+  const last = messages[messages.length - 1] || {};
+  let message;
+
+  if (scripted) {
+    message = typeof scripted === 'string' ? { content: scripted } : { content: null, ...scripted };
+    if (message.tool_calls) {
+      message.tool_calls = message.tool_calls.map(toolCall => ({ id: nextStubToolCallId(), type: 'function', ...toolCall }));
+    }
+  } else if (last.role === 'tool') {
+    message = { content: 'Hecho. ¿Puedo ayudarte en algo más?' };
+  } else {
+    message = getStubReply(String(last.content || ''));
+  }
+
+  // Tokens aproximados (4 caracteres por token) para que el uso sea reproducible
+  const promptChars = messages.reduce((total, m) => total + String(m.content || '').length, 0);
+  return {
+    message: { content: message.content || null, tool_calls: message.tool_calls },
+    usage: normalizeUsage({
+      prompt_tokens: Math.ceil(promptChars / 4),
+      completion_tokens: Math.ceil(String(message.content || '').length / 4)
+    })
+  };
+}
+
+function getStubReply(text) {
+  const normalized = text.toLowerCase();
+
+  // El cliente ha terminado: despedida y fin de la llamada, como haría el modelo
+  if (/adi[oó]s|hasta luego|eso es todo/.test(normalized)) {
+    return {
+      content: '¡Gracias por llamar! Hasta luego.',
+      tool_calls: [{
+        id: nextStubToolCallId(),
+        type: 'function',
+        function: { name: 'terminarLlamada', arguments: JSON.stringify({ reason: /eso es todo/.test(normalized) ? 'done' : 'goodbye' }) }
+      }]
+    };
+  }
+  if (/reserv|mesa/.test(normalized)) {
+    return { content: 'Claro. ¿Para cuántas personas, qué día y a qué hora?' };
+  }
+  if (/horario|abr[ií]s|abierto|cerr/.test(normalized)) {
+    return { content: 'Puedes consultar nuestro horario en la web. ¿Quieres que te reserve una mesa?' };
+  }
+  return { content: `He entendido: "${text.trim()}". ¿En qué más puedo ayudarte?` };
+}
+
+function nextStubToolCallId() {
+  stubToolCallCount += 1;
+  return `stub-${stubToolCallCount}`;
+}
+
+/**
+ * Programa respuestas del proveedor stub (texto o { content, tool_calls } en formato OpenAI;
+ * las llamadas sin id reciben una)
+ * @param {...(string|Object)} replies - Respuestas en el orden en que se devolverán
+ */
+function queueStubReplies(...replies) {
+  stubReplies.push(...replies);
+}
+
+function normalizeUsage(usage = {}) {
+  const promptTokens = usage.prompt_tokens || 0;
+  const completionTokens = usage.completion_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage.total_tokens || promptTokens + completionTokens
+  };
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text || '{}');
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Comprueba al arrancar que el proveedor por defecto tiene lo que necesita
+ * @returns {Array<string>} - Errores de configuración
+ */
+function validateLlmConfig() {
+  const settings = getLlmSettings('default');
+  const provider = LLM_PROVIDERS[settings.provider];
+  const errors = [];
+
+  if (provider.apiKeyEnv && settings.provider !== 'local' && !process.env[provider.apiKeyEnv]) {
+    errors.push(`❌ ${provider.apiKeyEnv} no configurada para el proveedor LLM ${provider.name}`);
+  }
+
+  logInfo(`🧠 Proveedor LLM: ${provider.name} (${settings.model})`);
+  return errors;
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  getLlmSettings,
+  getLlmCost,
+  completeChat,
+  queueStubReplies,
+  validateLlmConfig
+};
@@ -1,6 +1,8 @@
 // Configuración para diferentes proveedores de telefonía VoIP
 // Compatible con múltiples servicios para España
 
+const crypto = require('crypto');
+const axios = require('axios');
 const { logInfo, logError } = require('../utils/logger');
 
 /**
@@ -17,8 +19,17 @@ const PHONE_PROVIDERS = {
       outbound: 0.03,
       number: 3.00 // €/mes
     },
-    features: ['voice', 'sms', 'recording'],
-    webhookFormat: 'plivo'
+    features: ['voice', 'sms', 'recording', 'barge_in'],
+    webhookFormat: 'plivo',
+    signatureSecretEnv: 'PLIVO_AUTH_TOKEN',
+    contentType: 'application/xml',
+    // Voz de la síntesis del proveedor (<Speak>) según el locale de la conversación
+    sayVoices: {
+      'es-ES': 'es-ES-Standard-A',
+      'en-GB': 'en-GB-Standard-A',
+      'fr-FR': 'fr-FR-Standard-A',
+      'ca-ES': 'ca-ES-Standard-A'
+    }
   },
   
   // Configuración para Voximplant
@@ -31,8 +42,16 @@ const PHONE_PROVIDERS = {
       outbound: 0.025,
       number: 2.50
     },
-    features: ['voice', 'video', 'recording', 'websocket'],
-    webhookFormat: 'voximplant'
+    features: ['voice', 'video', 'recording', 'websocket', 'barge_in'],
+    webhookFormat: 'voximplant',
+    signatureSecretEnv: 'WEBHOOK_SECRET',
+    contentType: 'application/json',
+    sayVoices: {
+      'es-ES': 'es-ES-Standard-A',
+      'en-GB': 'en-GB-Standard-A',
+      'fr-FR': 'fr-FR-Standard-A',
+      'ca-ES': 'ca-ES-Standard-A'
+    }
   },
   
   // Configuración para VoIP.ms (más técnico)
@@ -46,7 +65,32 @@ const PHONE_PROVIDERS = {
       number: 1.50
     },
     features: ['voice', 'sms'],
-    webhookFormat: 'custom'
+    webhookFormat: 'custom',
+    signatureSecretEnv: 'WEBHOOK_SECRET',
+    contentType: 'application/json'
+  },
+  
+  // Configuración para Twilio (TwiML)
+  twilio: {
+    name: 'Twilio',
+    baseUrl: 'https://api.twilio.com/2010-04-01',
+    supportsSpain: true,
+    pricing: {
+      inbound: 0.008,
+      outbound: 0.035,
+      number: 1.10
+    },
+    features: ['voice', 'sms', 'recording', 'websocket', 'barge_in'],
+    webhookFormat: 'twilio',
+    signatureSecretEnv: 'TWILIO_AUTH_TOKEN',
+    contentType: 'text/xml',
+    // Twilio usa sus propias voces (Amazon Polly)
+    sayVoices: {
+      'es-ES': 'Polly.Lucia',
+      'en-GB': 'Polly.Amy',
+      'fr-FR': 'Polly.Celine',
+      'ca-ES': 'Polly.Arlet-Neural'
+    }
   }
 };
 
@@ -55,6 +99,21 @@ const PHONE_PROVIDERS = {
  */
 const CURRENT_PROVIDER = process.env.PHONE_PROVIDER || 'plivo';
 
+/**
+ * Ventana de validez de una firma con timestamp (formato genérico)
+ */
+const SIGNATURE_MAX_AGE_MS = 5 * 60 * 1000;
+
+/**
+ * Tiempo que se recuerda un nonce ya usado. Los nonces de Plivo no llevan fecha, así
+ * que se guardan más que cualquier llamada; al llenarse se olvidan los más antiguos
+ */
+const NONCE_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_SEEN_NONCES = 10000;
+
+// Peticiones firmadas ya aceptadas: "proveedor|url|nonce" -> caducidad
+const seenNonces = new Map();
+
 /**
  * Obtiene la configuración del proveedor actual
  * @returns {Object} - Configuración del proveedor
@@ -73,8 +132,6 @@ function getProviderConfig() {
  * @returns {Object} - Configuración del webhook
  */
 function setupWebhook(webhookUrl) {
-  const provider = getProviderConfig();
-  
   const configs = {
     plivo: {
       answer_url: webhookUrl + '/voice/webhook',
@@ -92,6 +149,13 @@ function setupWebhook(webhookUrl) {
     voipms: {
       callback_url: webhookUrl + '/voice/webhook',
       callback_method: 'POST'
+    },
+    
+    twilio: {
+      voice_url: webhookUrl + '/voice/webhook',
+      voice_method: 'POST',
+      status_callback: webhookUrl + '/voice/hangup',
+      status_callback_method: 'POST'
     }
   };
   
@@ -114,6 +178,14 @@ function generateVoiceResponse(action, params = {}) {
       return generatePlayAndHangup(provider, params);
     case 'say':
       return generateSay(provider, params);
+    case 'gather_digits':
+      return generateGatherDigits(provider, params);
+    case 'transfer_call':
+      return generateTransferCall(provider, params);
+    case 'stream':
+      return generateStream(provider, params);
+    case 'hangup':
+      return generateHangup(provider);
     default:
       throw new Error(`Acción no soportada: ${action}`);
   }
@@ -123,7 +195,11 @@ function generateVoiceResponse(action, params = {}) {
  * Genera respuesta para reproducir audio y grabar
  */
 function generatePlayAndRecord(provider, params) {
-  const { audio_url, record_options = {}, next_webhook } = params;
+  const { audio_url, record_options = {}, next_webhook, barge_in } = params;
+  
+  if (barge_in && provider.features.includes('barge_in')) {
+    return generateBargeInListen(provider, params);
+  }
   
   switch (provider.webhookFormat) {
     case 'plivo':
@@ -131,12 +207,28 @@ function generatePlayAndRecord(provider, params) {
         message: 'ok',
         content: `
           <Response>
-            <Play>${audio_url}</Play>
-            <Record action="${next_webhook}" 
+            <Play>${escapeXml(audio_url)}</Play>
+            <Record action="${escapeXml(next_webhook)}" 
+                    maxLength="${record_options.max_duration || 10}"
+                    timeout="${record_options.silence_timeout || 3}"
+                    finishOnKey="${record_options.finish_on_key || '#'}"
+                    playBeep="${record_options.play_beep ? 'true' : 'false'}"/>
+          </Response>
+        `.trim()
+      };
+      
+    case 'twilio':
+      return {
+        message: 'ok',
+        content: `
+          <Response>
+            <Play>${escapeXml(audio_url)}</Play>
+            <Record action="${escapeXml(next_webhook)}"
+                    method="POST"
                     maxLength="${record_options.max_duration || 10}"
                     timeout="${record_options.silence_timeout || 3}"
                     finishOnKey="${record_options.finish_on_key || '#'}"
-                    playBeep="false"/>
+                    playBeep="${record_options.play_beep ? 'true' : 'false'}"/>
           </Response>
         `.trim()
       };
@@ -164,6 +256,83 @@ function generatePlayAndRecord(provider, params) {
   }
 }
 
+/**
+ * Genera respuesta que escucha mientras reproduce el audio: si el cliente
+ * habla, el proveedor corta la reproducción y captura lo que dice (barge-in)
+ */
+function generateBargeInListen(provider, params) {
+  const { audio_url, record_options = {}, next_webhook, barge_in } = params;
+  const language = barge_in.language || 'es-ES';
+  const silence = record_options.silence_timeout || 3;
+  
+  switch (provider.webhookFormat) {
+    case 'plivo':
+      // Plivo transcribe la voz (parámetro Speech); una tecla abre el menú como en <Record>
+      return {
+        message: 'ok',
+        content: `
+          <Response>
+            <GetInput action="${escapeXml(next_webhook)}"
+                      method="POST"
+                      inputType="dtmf speech"
+                      bargeIn="true"
+                      language="${escapeXml(language)}"
+                      numDigits="1"
+                      executionTimeout="${(record_options.max_duration || 10) + silence}"
+                      speechEndTimeout="${silence}">
+              <Play>${escapeXml(audio_url)}</Play>
+            </GetInput>
+            <Redirect method="POST">${escapeXml(next_webhook)}</Redirect>
+          </Response>
+        `.trim()
+      };
+      
+    case 'twilio':
+      // Twilio transcribe la voz (parámetro SpeechResult) y llama a la acción aunque no haya respuesta
+      return {
+        message: 'ok',
+        content: `
+          <Response>
+            <Gather action="${escapeXml(next_webhook)}"
+                    method="POST"
+                    input="dtmf speech"
+                    bargeIn="true"
+                    language="${escapeXml(language)}"
+                    numDigits="1"
+                    speechTimeout="${silence}"
+                    actionOnEmptyResult="true">
+              <Play>${escapeXml(audio_url)}</Play>
+            </Gather>
+          </Response>
+        `.trim()
+      };
+      
+    case 'voximplant':
+      // El escenario graba desde el inicio y corta playSound al detectar voz
+      return {
+        commands: [
+          { command: 'playSound', url: audio_url, stopOnSpeech: true },
+          {
+            command: 'record',
+            startWithPlayback: true,
+            maxDuration: (record_options.max_duration || 10) * 1000,
+            silenceTimeout: silence * 1000,
+            webhook: next_webhook
+          }
+        ]
+      };
+      
+    default:
+      return {
+        action: 'play_and_record',
+        audio_url: audio_url,
+        record_options: record_options,
+        barge_in: true,
+        next_webhook: next_webhook
+      };
+  }
+}
+
 /**
  * Genera respuesta para reproducir audio y colgar
  */
@@ -172,11 +341,12 @@ function generatePlayAndHangup(provider, params) {
   
   switch (provider.webhookFormat) {
     case 'plivo':
+    case 'twilio':
       return {
         message: 'ok',
         content: `
           <Response>
-            <Play>${audio_url}</Play>
+            <Play>${escapeXml(audio_url)}</Play>
             <Hangup/>
           </Response>
         `.trim()
@@ -199,10 +369,13 @@ function generatePlayAndHangup(provider, params) {
 }
 
 /**
- * Genera respuesta para decir texto
+ * Genera respuesta para decir texto con la síntesis del proveedor, en el idioma
+ * de la conversación (language: locale, p. ej. 'en-GB')
  */
 function generateSay(provider, params) {
-  const { text, voice = 'es-ES-Standard-A' } = params;
+  const { text, language = 'es-ES' } = params;
+  const voices = provider.sayVoices || {};
+  const voice = params.voice || voices[language] || voices['es-ES'];
   
   switch (provider.webhookFormat) {
     case 'plivo':
@@ -210,7 +383,17 @@ function generateSay(provider, params) {
         message: 'ok',
         content: `
           <Response>
-            <Speak voice="${voice}" language="es-ES">${text}</Speak>
+            <Speak voice="${escapeXml(voice)}" language="${escapeXml(language)}">${escapeXml(text)}</Speak>
+          </Response>
+        `.trim()
+      };
+      
+    case 'twilio':
+      return {
+        message: 'ok',
+        content: `
+          <Response>
+            <Say voice="${escapeXml(voice)}" language="${escapeXml(language)}">${escapeXml(text)}</Say>
           </Response>
         `.trim()
       };
@@ -221,7 +404,7 @@ function generateSay(provider, params) {
           { 
             command: 'say',
             text: text,
-            language: 'es-ES',
+            language: language,
             voice: voice
           }
         ]
@@ -231,11 +414,235 @@ function generateSay(provider, params) {
       return {
         action: 'say',
         text: text,
+        language: language,
         voice: voice
       };
   }
 }
 
+/**
+ * Genera respuesta para reproducir audio y recoger dígitos del teclado
+ */
+function generateGatherDigits(provider, params) {
+  const { audio_url, digit_options = {}, next_webhook } = params;
+  const numDigits = digit_options.num_digits || 1;
+  const timeout = digit_options.timeout || 5;
+  const finishOnKey = digit_options.finish_on_key || '#';
+  
+  switch (provider.webhookFormat) {
+    case 'plivo':
+      // Si no se marca nada, Plivo continúa con el Redirect y volvemos a preguntar
+      return {
+        message: 'ok',
+        content: `
+          <Response>
+            <GetDigits action="${escapeXml(next_webhook)}"
+                       method="POST"
+                       numDigits="${numDigits}"
+                       timeout="${timeout}"
+                       finishOnKey="${finishOnKey}">
+              <Play>${escapeXml(audio_url)}</Play>
+            </GetDigits>
+            <Redirect method="POST">${escapeXml(next_webhook)}</Redirect>
+          </Response>
+        `.trim()
+      };
+      
+    case 'twilio':
+      return {
+        message: 'ok',
+        content: `
+          <Response>
+            <Gather input="dtmf"
+                    action="${escapeXml(next_webhook)}"
+                    method="POST"
+                    numDigits="${numDigits}"
+                    timeout="${timeout}"
+                    finishOnKey="${finishOnKey}">
+              <Play>${escapeXml(audio_url)}</Play>
+            </Gather>
+            <Redirect method="POST">${escapeXml(next_webhook)}</Redirect>
+          </Response>
+        `.trim()
+      };
+      
+    case 'voximplant':
+      return {
+        commands: [
+          { command: 'playSound', url: audio_url },
+          {
+            command: 'collectDigits',
+            maxDigits: numDigits,
+            timeout: timeout * 1000,
+            finishOnKey: finishOnKey,
+            webhook: next_webhook
+          }
+        ]
+      };
+      
+    default:
+      return {
+        action: 'gather_digits',
+        audio_url: audio_url,
+        digit_options: digit_options,
+        next_webhook: next_webhook
+      };
+  }
+}
+
+/**
+ * Genera respuesta para transferir la llamada a un número del negocio
+ */
+function generateTransferCall(provider, params) {
+  const { audio_url, number, timeout = 20, caller_id, fallback_webhook } = params;
+  const callerIdAttr = caller_id ? ` callerId="${escapeXml(caller_id)}"` : '';
+  
+  switch (provider.webhookFormat) {
+    case 'plivo':
+    case 'twilio':
+      // Al terminar el Dial (contestada o no) el proveedor llama a fallback_webhook
+      return {
+        message: 'ok',
+        content: `
+          <Response>
+            ${audio_url ? `<Play>${escapeXml(audio_url)}</Play>` : ''}
+            <Dial action="${escapeXml(fallback_webhook)}"
+                  method="POST"
+                  timeout="${timeout}"${callerIdAttr}>
+              <Number>${escapeXml(number)}</Number>
+            </Dial>
+          </Response>
+        `.trim()
+      };
+      
+    case 'voximplant':
+      return {
+        commands: [
+          ...(audio_url ? [{ command: 'playSound', url: audio_url }] : []),
+          {
+            command: 'forward',
+            number: number,
+            callerId: caller_id,
+            timeout: timeout * 1000,
+            webhook: fallback_webhook
+          }
+        ]
+      };
+      
+    default:
+      return {
+        action: 'transfer_call',
+        audio_url: audio_url,
+        number: number,
+        timeout: timeout,
+        caller_id: caller_id,
+        fallback_webhook: fallback_webhook
+      };
+  }
+}
+
+/**
+ * Genera respuesta para conectar el audio de la llamada a un WebSocket bidireccional
+ */
+function generateStream(provider, params) {
+  const { stream_url, parameters = {}, fallback_webhook } = params;
+  
+  if (!provider.features.includes('websocket')) {
+    throw new Error(`${provider.name} no soporta streaming por WebSocket`);
+  }
+  
+  switch (provider.webhookFormat) {
+    case 'twilio':
+      // Al cerrarse el stream Twilio continúa la llamada en fallback_webhook
+      return {
+        message: 'ok',
+        content: `
+          <Response>
+            <Connect action="${escapeXml(fallback_webhook)}" method="POST">
+              <Stream url="${escapeXml(stream_url)}">
+                ${Object.keys(parameters).map(name =>
+                  `<Parameter name="${escapeXml(name)}" value="${escapeXml(parameters[name])}"/>`
+                ).join('')}
+              </Stream>
+            </Connect>
+          </Response>
+        `.trim()
+      };
+      
+    case 'voximplant':
+      return {
+        commands: [{
+          command: 'startMediaStream',
+          url: stream_url,
+          encoding: 'ulaw',
+          customParameters: parameters,
+          webhook: fallback_webhook
+        }]
+      };
+      
+    default:
+      return {
+        action: 'stream',
+        stream_url: stream_url,
+        parameters: parameters,
+        fallback_webhook: fallback_webhook
+      };
+  }
+}
+
+/**
+ * Genera respuesta para colgar sin reproducir nada
+ */
+function generateHangup(provider) {
+  switch (provider.webhookFormat) {
+    case 'plivo':
+    case 'twilio':
+      return {
+        message: 'ok',
+        content: '<Response><Hangup/></Response>'
+      };
+      
+    case 'voximplant':
+      return {
+        commands: [{ command: 'hangup' }]
+      };
+      
+    default:
+      return { action: 'hangup' };
+  }
+}
+
+/**
+ * Envía la respuesta de voz con el Content-Type que espera el proveedor
+ * @param {Object} res - Response de Express
+ * @param {string} action - Acción a realizar
+ * @param {Object} params - Parámetros adicionales
+ */
+function sendVoiceResponse(res, action, params = {}) {
+  const provider = getProviderConfig();
+  const response = generateVoiceResponse(action, params);
+  
+  if (provider.contentType.endsWith('xml')) {
+    return res.set('Content-Type', provider.contentType).send(response.content);
+  }
+
+  return res.json(response);
+}
+
+/**
+ * Escapa caracteres especiales para incluir texto en XML
+ * @param {string} value - Texto original
+ * @returns {string} - Texto escapado
+ */
+function escapeXml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 /**
  * Parsea request entrante según el proveedor
  * @param {Object} req - Request object
@@ -263,6 +670,15 @@ function parseIncomingCall(req) {
         callStatus: req.body.event
       };
       
+    case 'twilio':
+      return {
+        callId: req.body.CallSid,
+        from: req.body.From,
+        to: req.body.To,
+        direction: req.body.Direction,
+        callStatus: req.body.CallStatus
+      };
+      
     default:
       return {
         callId: req.body.callId || req.body.CallSid || Date.now().toString(),
@@ -288,7 +704,8 @@ function parseRecording(req) {
         callId: req.body.CallUUID,
         recordingUrl: req.body.RecordUrl,
         duration: req.body.Duration,
-        digits: req.body.Digits
+        digits: req.body.Digits,
+        speechText: req.body.Speech // Voz transcrita por <GetInput> (barge-in)
       };
       
     case 'voximplant':
@@ -299,12 +716,457 @@ function parseRecording(req) {
         digits: req.body.dtmf
       };
       
+    case 'twilio':
+      return {
+        callId: req.body.CallSid,
+        recordingUrl: req.body.RecordingUrl,
+        duration: req.body.RecordingDuration,
+        digits: req.body.Digits,
+        speechText: req.body.SpeechResult // Voz transcrita por <Gather> (barge-in)
+      };
+      
     default:
       return {
         callId: req.body.callId || req.body.CallSid,
         recordingUrl: req.body.recordingUrl || req.body.RecordingUrl,
         duration: req.body.duration || req.body.RecordingDuration,
-        digits: req.body.digits || req.body.Digits
+        digits: req.body.digits || req.body.Digits,
+        speechText: req.body.speechText || req.body.SpeechResult
+      };
+  }
+}
+
+/**
+ * Parsea el aviso de fin de llamada según el proveedor
+ * @param {Object} req - Request object
+ * @returns {Object} - Datos del fin de llamada
+ */
+function parseHangup(req) {
+  const provider = getProviderConfig();
+  
+  switch (provider.webhookFormat) {
+    case 'plivo':
+      return {
+        callId: req.body.CallUUID,
+        duration: req.body.Duration,
+        hangupCause: req.body.HangupCause,
+        callStatus: req.body.CallStatus
+      };
+      
+    case 'voximplant':
+      return {
+        callId: req.body.call_id,
+        duration: req.body.duration,
+        hangupCause: req.body.reason,
+        callStatus: req.body.event
+      };
+      
+    case 'twilio':
+      return {
+        callId: req.body.CallSid,
+        duration: req.body.CallDuration,
+        hangupCause: req.body.CallStatus,
+        callStatus: req.body.CallStatus
+      };
+      
+    default:
+      return {
+        callId: req.body.callId || req.body.CallSid,
+        duration: req.body.duration || req.body.CallDuration,
+        hangupCause: req.body.hangupCause || req.body.reason,
+        callStatus: req.body.status || 'completed'
+      };
+  }
+}
+
+/**
+ * Parsea el resultado de una transferencia según el proveedor
+ * @param {Object} req - Request object
+ * @returns {Object} - { callId, dialStatus, answered }
+ */
+function parseDialResult(req) {
+  const provider = getProviderConfig();
+  let result;
+  
+  switch (provider.webhookFormat) {
+    case 'plivo':
+      result = { callId: req.body.CallUUID, dialStatus: req.body.DialStatus };
+      break;
+      
+    case 'twilio':
+      result = { callId: req.body.CallSid, dialStatus: req.body.DialCallStatus };
+      break;
+      
+    case 'voximplant':
+      result = { callId: req.body.call_id, dialStatus: req.body.dial_status };
+      break;
+      
+    default:
+      result = {
+        callId: req.body.callId || req.body.CallSid,
+        dialStatus: req.body.dialStatus || req.body.DialStatus
+      };
+  }
+  
+  result.answered = ['completed', 'answered'].includes(result.dialStatus);
+  return result;
+}
+
+/**
+ * Valida la firma de un webhook según el proveedor
+ * @param {Object} req - Request object (con req.rawBody)
+ * @returns {Object} - { valid: boolean, reason: string }
+ */
+function validateWebhookSignature(req) {
+  const provider = getProviderConfig();
+  const secret = process.env[provider.signatureSecretEnv];
+  
+  if (!secret) {
+    // Sin secreto solo se permite en desarrollo
+    if (process.env.NODE_ENV === 'production') {
+      return { valid: false, reason: `${provider.signatureSecretEnv} no configurado` };
+    }
+    return { valid: true, reason: 'validación desactivada (sin secreto en desarrollo)' };
+  }
+  
+  const url = getSignedUrl(req);
+  let result;
+  
+  switch (provider.webhookFormat) {
+    case 'plivo':
+      result = validatePlivoSignature(req, url, secret);
+      break;
+    case 'twilio':
+      result = validateTwilioSignature(req, url, secret);
+      break;
+    default:
+      result = validateHmacSignature(req, secret);
+  }
+  
+  if (!result.valid) {
+    return result;
+  }
+  
+  // Twilio no envía nonce: su firma es la misma en un reenvío legítimo (un <Redirect>
+  // o un <Gather> vacío repetido), así que solo se comprueba en los formatos con nonce
+  if (result.nonce && isReplayedNonce(`${provider.webhookFormat}|${url}|${result.nonce}`, result.ttl)) {
+    return { valid: false, reason: 'nonce ya utilizado (reenvío)' };
+  }
+  
+  return { valid: true, reason: 'firma válida' };
+}
+
+/**
+ * Valida la firma de Plivo (X-Plivo-Signature-V3 + nonce). A diferencia de la V2,
+ * la V3 firma también los parámetros del cuerpo
+ */
+function validatePlivoSignature(req, url, authToken) {
+  const signatures = req.get('X-Plivo-Signature-V3');
+  const nonce = req.get('X-Plivo-Signature-V3-Nonce');
+  
+  if (!signatures || !nonce) {
+    return { valid: false, reason: 'falta X-Plivo-Signature-V3' };
+  }
+  
+  const expected = getPlivoV3Signature(req.method, url, req.body || {}, nonce, authToken);
+  
+  // Plivo puede enviar varias firmas separadas por comas (una por auth token activo)
+  return signatures.split(',').some(signature => safeCompare(signature.trim(), expected))
+    ? { valid: true, nonce: nonce, ttl: NONCE_TTL_MS }
+    : { valid: false, reason: 'X-Plivo-Signature-V3 inválida' };
+}
+
+/**
+ * Calcula la firma V3 de Plivo: HMAC-SHA256 en base64 de la URL con la query ordenada,
+ * los parámetros POST ordenados (clave + valor) y el nonce
+ */
+function getPlivoV3Signature(method, url, params, nonce, authToken) {
+  const parsed = new URL(url);
+  const baseUrl = `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+  const hasParams = method === 'POST' && Object.keys(params).length > 0;
+  
+  const query = {};
+  parsed.searchParams.forEach((value, key) => {
+    query[key] = (query[key] || []).concat(value);
+  });
+  if (!hasParams) {
+    Object.keys(params).forEach(key => {
+      query[key] = (query[key] || []).concat(params[key]);
+    });
+  }
+  
+  const queryString = Object.keys(query).sort()
+    .flatMap(key => query[key].map(String).sort().map(value => `${key}=${value}`))
+    .join('&');
+  
+  let data = baseUrl;
+  if (queryString || hasParams) {
+    data += `?${queryString}`;
+  }
+  if (hasParams) {
+    if (queryString) {
+      data += '.';
+    }
+    data += Object.keys(params).sort()
+      .flatMap(key => [].concat(params[key]).map(String).sort().map(value => key + value))
+      .join('');
+  }
+  
+  return crypto.createHmac('sha256', authToken).update(`${data}.${nonce}`).digest('base64');
+}
+
+/**
+ * Valida la firma de Twilio (X-Twilio-Signature)
+ */
+function validateTwilioSignature(req, url, authToken) {
+  const signature = req.get('X-Twilio-Signature');
+  
+  if (!signature) {
+    return { valid: false, reason: 'falta X-Twilio-Signature' };
+  }
+  
+  // Twilio firma la URL completa seguida de los parámetros POST ordenados
+  const params = req.body || {};
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + params[key], url);
+  const expected = crypto.createHmac('sha1', authToken).update(data).digest('base64');
+  
+  return safeCompare(signature, expected)
+    ? { valid: true }
+    : { valid: false, reason: 'X-Twilio-Signature inválida' };
+}
+
+/**
+ * Valida la firma HMAC con secreto compartido (formato genérico)
+ * Cabeceras: X-Asisteme-Timestamp (ms) y X-Asisteme-Signature = hex(HMAC-SHA256(timestamp + '.' + body))
+ */
+function validateHmacSignature(req, secret) {
+  const signature = req.get('X-Asisteme-Signature');
+  const timestamp = req.get('X-Asisteme-Timestamp');
+  
+  if (!signature || !timestamp) {
+    return { valid: false, reason: 'falta X-Asisteme-Signature o X-Asisteme-Timestamp' };
+  }
+  
+  if (Math.abs(Date.now() - parseInt(timestamp)) > SIGNATURE_MAX_AGE_MS) {
+    return { valid: false, reason: 'timestamp fuera de la ventana permitida' };
+  }
+  
+  const expected = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${req.rawBody || ''}`)
+    .digest('hex');
+  
+  // La firma incluye el timestamp: hace de nonce mientras dura su ventana
+  return safeCompare(signature, expected)
+    ? { valid: true, nonce: signature, ttl: SIGNATURE_MAX_AGE_MS }
+    : { valid: false, reason: 'X-Asisteme-Signature inválida' };
+}
+
+/**
+ * Reconstruye la URL pública que el proveedor usó para firmar
+ */
+function getSignedUrl(req) {
+  const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return baseUrl.replace(/\/$/, '') + req.originalUrl;
+}
+
+/**
+ * Compara dos firmas en tiempo constante
+ */
+function safeCompare(received, expected) {
+  const a = Buffer.from(String(received));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Registra el nonce de una petición y detecta si ya se había recibido
+ * @param {string} key - Proveedor, URL y nonce
+ * @param {number} ttl - Tiempo que se recuerda (ms)
+ * @returns {boolean} - True si es un reenvío
+ */
+function isReplayedNonce(key, ttl) {
+  const now = Date.now();
+  
+  for (const [seenKey, expiresAt] of seenNonces) {
+    if (expiresAt < now) {
+      seenNonces.delete(seenKey);
+    }
+  }
+  
+  if (seenNonces.has(key)) {
+    return true;
+  }
+  
+  // El Map conserva el orden de inserción: el primero es el más antiguo
+  if (seenNonces.size >= MAX_SEEN_NONCES) {
+    seenNonces.delete(seenNonces.keys().next().value);
+  }
+  
+  seenNonces.set(key, now + ttl);
+  return false;
+}
+
+/**
+ * Inicia una llamada saliente a través del proveedor
+ * @param {Object} params - { to, answerUrl, statusUrl }
+ * @returns {Promise<Object>} - { providerCallId }
+ */
+async function placeOutboundCall({ to, answerUrl, statusUrl }) {
+  const provider = getProviderConfig();
+  const from = process.env.OUTBOUND_CALLER_ID;
+  
+  if (!from) {
+    throw new Error('OUTBOUND_CALLER_ID no configurado');
+  }
+  
+  logInfo(`📲 Llamada saliente a ${to} vía ${provider.name}`);
+  
+  switch (provider.webhookFormat) {
+    case 'plivo': {
+      const authId = process.env.PLIVO_AUTH_ID;
+      const response = await axios.post(`${provider.baseUrl}/Account/${authId}/Call/`, {
+        from: from,
+        to: to,
+        answer_url: answerUrl,
+        answer_method: 'POST',
+        hangup_url: statusUrl,
+        hangup_method: 'POST'
+      }, {
+        auth: { username: authId, password: process.env.PLIVO_AUTH_TOKEN }
+      });
+      return { providerCallId: response.data.request_uuid };
+    }
+    
+    case 'twilio': {
+      const accountSid = process.env.TWILIO_ACCOUNT_SID;
+      const body = new URLSearchParams({
+        To: to,
+        From: from,
+        Url: answerUrl,
+        Method: 'POST',
+        StatusCallback: statusUrl,
+        StatusCallbackMethod: 'POST'
+      });
+      const response = await axios.post(`${provider.baseUrl}/Accounts/${accountSid}/Calls.json`, body.toString(), {
+        auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      return { providerCallId: response.data.sid };
+    }
+    
+    case 'voximplant': {
+      // El escenario de Voximplant realiza la llamada y usa nuestros webhooks
+      const response = await axios.post(`${provider.baseUrl}/platform_api/StartScenarios/`, null, {
+        params: {
+          account_id: process.env.VOXIMPLANT_ACCOUNT_ID,
+          api_key: process.env.VOXIMPLANT_API_KEY,
+          rule_id: process.env.VOXIMPLANT_RULE_ID,
+          script_custom_data: JSON.stringify({ to, from, answer_url: answerUrl, status_url: statusUrl })
+        }
+      });
+      return { providerCallId: String(response.data.call_session_history_id) };
+    }
+    
+    default:
+      throw new Error(`El proveedor ${provider.name} no admite llamadas salientes`);
+  }
+}
+
+/**
+ * Envía un SMS a través del proveedor
+ * @param {Object} params - { to, text, statusUrl }
+ * @returns {Promise<Object>} - { providerMessageId, status }
+ */
+async function sendSms({ to, text, statusUrl }) {
+  const provider = getProviderConfig();
+  const from = process.env.SMS_SENDER_ID || process.env.OUTBOUND_CALLER_ID;
+  
+  if (!provider.features.includes('sms')) {
+    throw new Error(`El proveedor ${provider.name} no permite enviar SMS`);
+  }
+  
+  if (!from) {
+    throw new Error('SMS_SENDER_ID u OUTBOUND_CALLER_ID no configurado');
+  }
+  
+  switch (provider.webhookFormat) {
+    case 'plivo': {
+      const authId = process.env.PLIVO_AUTH_ID;
+      const response = await axios.post(`${provider.baseUrl}/Account/${authId}/Message/`, {
+        src: from,
+        dst: to,
+        text: text,
+        url: statusUrl,
+        method: 'POST'
+      }, {
+        auth: { username: authId, password: process.env.PLIVO_AUTH_TOKEN }
+      });
+      return { providerMessageId: response.data.message_uuid[0], status: 'queued' };
+    }
+    
+    case 'twilio': {
+      const accountSid = process.env.TWILIO_ACCOUNT_SID;
+      const body = new URLSearchParams({ To: to, From: from, Body: text, StatusCallback: statusUrl });
+      const response = await axios.post(`${provider.baseUrl}/Accounts/${accountSid}/Messages.json`, body.toString(), {
+        auth: { username: accountSid, password: process.env.TWILIO_AUTH_TOKEN },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+      });
+      return { providerMessageId: response.data.sid, status: response.data.status || 'queued' };
+    }
+    
+    case 'custom': {
+      // VoIP.ms no envía avisos de entrega: el SMS queda como enviado
+      const response = await axios.get(`${provider.baseUrl}/rest.php`, {
+        params: {
+          api_username: process.env.VOIPMS_API_USERNAME,
+          api_password: process.env.VOIPMS_API_PASSWORD,
+          method: 'sendSMS',
+          did: from.replace(/\D/g, ''),
+          dst: to.replace(/\D/g, ''),
+          message: text
+        }
+      });
+      if (response.data.status !== 'success') {
+        throw new Error(`VoIP.ms: ${response.data.status}`);
+      }
+      return { providerMessageId: String(response.data.sms), status: 'sent' };
+    }
+    
+    default:
+      throw new Error(`El proveedor ${provider.name} no permite enviar SMS`);
+  }
+}
+
+/**
+ * Parsea el aviso de estado de un SMS según el proveedor
+ * @param {Object} req - Request object
+ * @returns {Object} - { providerMessageId, status, errorCode }
+ */
+function parseSmsStatus(req) {
+  const provider = getProviderConfig();
+  
+  switch (provider.webhookFormat) {
+    case 'plivo':
+      return {
+        providerMessageId: req.body.MessageUUID,
+        status: req.body.Status,
+        errorCode: req.body.ErrorCode || null
+      };
+      
+    case 'twilio':
+      return {
+        providerMessageId: req.body.MessageSid,
+        status: req.body.MessageStatus,
+        errorCode: req.body.ErrorCode || null
+      };
+      
+    default:
+      return {
+        providerMessageId: req.body.messageId,
+        status: req.body.status,
+        errorCode: req.body.errorCode || null
       };
   }
 }
@@ -361,8 +1223,15 @@ module.exports = {
   getProviderConfig,
   setupWebhook,
   generateVoiceResponse,
+  sendVoiceResponse,
   parseIncomingCall,
   parseRecording,
+  parseHangup,
+  parseDialResult,
+  validateWebhookSignature,
+  placeOutboundCall,
+  sendSms,
+  parseSmsStatus,
   validateConfig,
   getPricingInfo
 };
\ No newline at end of file
@@ -2,165 +2,640 @@ const express = require('express');
 const router = express.Router();
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
-const { transcribeAudio } = require('../services/stt');
-const { processConversation } = require('../services/llm');
-const { generateSpeech } = require('../services/tts');
+const { transcribeAudioDetailed } = require('../services/stt');
+const { processConversation, createSystemPrompt, buildReservationConfirmation } = require('../services/llm');
+const { generateSpeech, getPublicAudioUrl } = require('../services/tts');
+const {
+  createIvrState,
+  isKeypadInput,
+  registerFailedTranscription,
+  getMenuPrompt,
+  handleKeypadInput
+} = require('../services/ivr');
+const {
+  createOutboundCall,
+  dialOutboundCall,
+  registerOutboundStatus,
+  getOutboundScript,
+  handleOutboundReply,
+  updateOutboundCall,
+  listOutboundCalls
+} = require('../services/outbound');
+const { sendReservationSms, updateSmsStatus, listSmsMessages } = require('../services/sms');
+const { STREAM_PATH } = require('../services/mediaStream');
+const { applyReservationChange } = require('../services/reservations');
+const { startReadback } = require('../services/reservationDialog');
+const { getPersona, isFormal, renderGreeting, renderFarewell, validatePersona } = require('../services/persona');
+const { listGuardrailEvents } = require('../services/guardrails');
+const { addUsage, recordCallUsage, getUsageReport, getBudgetStatus, isBudgetExceeded } = require('../services/usage');
+const { getCallPolicy, isEndCall, checkCallLimits, registerSilence, resetSilences } = require('../services/callPolicy');
+const { DEFAULT_LANGUAGE, getMessage, resolveLanguage, getDefaultLanguage, getAllowedLanguages, getLocale } = require('../services/language');
 const { getDashboardData, makeReservation } = require('../utils/dashboard');
-const { logInfo, logError } = require('../utils/logger');
+const { saveCallRecord, getCallRecord, searchCallRecords, callRecordsToCsv } = require('../utils/callRecords');
+const { normalizePhone } = require('../utils/phone');
+const {
+  sendVoiceResponse,
+  parseIncomingCall,
+  parseRecording,
+  parseHangup,
+  parseDialResult,
+  parseSmsStatus,
+  validateWebhookSignature,
+  getProviderConfig
+} = require('../config/phone');
+const { getBusinessConfig } = require('../config/businesses');
+const { createConversationStore } = require('../services/conversationStore');
+const {
+  registerCall,
+  recordReservation,
+  getCallerProfile,
+  updateCallerProfile,
+  deleteCallerProfile,
+  listCallerProfiles
+} = require('../services/callerProfiles');
+const { logInfo, logError, logWarning, logCall } = require('../utils/logger');
 
-// Almacena conversaciones activas
-const activeConversations = new Map();
+// Almacena conversaciones activas (en disco o en memoria, ver services/conversationStore.js).
+// Las llamadas que se quedan sin actividad se cierran como caducadas
+const conversationStore = createConversationStore({
+  onExpire: (callId, conversation) => finalizeConversation(conversation, { status: 'expired' })
+});
+
+// Cualquier tecla termina la grabación para poder usar el menú de teclado
+const RECORD_FINISH_KEYS = '1234567890*#';
+
+// Middleware: solo el proveedor telefónico puede llamar a los webhooks
+function verifyWebhookSignature(req, res, next) {
+  const result = validateWebhookSignature(req);
+  
+  if (!result.valid) {
+    logWarning(`🚫 Webhook rechazado en ${req.originalUrl}: ${result.reason}`, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Firma de webhook inválida',
+      reason: result.reason
+    });
+  }
+  
+  next();
+}
+
+// Middleware: endpoints de administración protegidos con ADMIN_API_KEY
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  
+  if (!adminKey) {
+    // Sin clave solo se permite en desarrollo
+    if (process.env.NODE_ENV === 'production') {
+      logWarning(`🚫 Acceso de administración rechazado en ${req.originalUrl}: ADMIN_API_KEY no configurada`);
+      return res.status(403).json({ success: false, error: 'Administración no configurada' });
+    }
+    return next();
+  }
+  
+  if (req.get('X-Admin-Key') !== adminKey) {
+    logWarning(`🚫 Acceso de administración rechazado en ${req.originalUrl}`, { ip: req.ip });
+    return res.status(403).json({ success: false, error: 'Clave de administración inválida' });
+  }
+  
+  next();
+}
 
 // Webhook para llamadas entrantes (compatible con múltiples proveedores)
-router.post('/webhook', async (req, res) => {
+router.post('/webhook', verifyWebhookSignature, async (req, res) => {
   try {
     logInfo('📞 Llamada entrante recibida');
     
-    const callId = req.body.callId || req.body.CallSid || Date.now().toString();
+    const call = parseIncomingCall(req);
+    const callId = call.callId || Date.now().toString();
+    
+    logCall(callId, 'inicio', { from: call.from, to: call.to, direction: call.direction });
     
     // Inicializar conversación
-    activeConversations.set(callId, {
-      businessId: req.body.businessId || 'default',
+    const conversation = {
+      businessId: req.body.businessId || req.query.businessId || 'default',
+      from: call.from,
+      to: call.to,
       messages: [],
-      startTime: new Date()
-    });
+      ivr: createIvrState(),
+      ...getInitialLanguage(req.body.businessId || req.query.businessId || 'default'),
+      // Presupuesto del mes agotado: modo económico durante toda la llamada
+      degraded: isBudgetExceeded(req.body.businessId || req.query.businessId || 'default'),
+      startTime: new Date().toISOString()
+    };
+    
+    if (conversation.degraded) {
+      logCall(callId, 'presupuesto mensual agotado, modo económico');
+    }
+
+    // Cliente habitual: el asistente le saluda por su nombre y recuerda sus datos
+    if (getBusinessConfig(conversation.businessId).callerProfiles.enabled) {
+      conversation.callerProfile = registerCall(conversation.businessId, call.from);
+    }
 
-    // Respuesta inicial de bienvenida
-    const welcomeMessage = "¡Hola! Soy tu asistente virtual. ¿En qué puedo ayudarte hoy?";
+    // Audio en tiempo real si el negocio y el proveedor lo permiten
+    if (isStreamingEnabled(conversation.businessId, conversation.degraded)) {
+      conversation.streamToken = crypto.randomBytes(16).toString('hex');
+      conversation.baseUrl = getBaseUrl(req);
+      await conversationStore.create(callId, conversation);
+      
+      return sendVoiceResponse(res, 'stream', {
+        stream_url: `${getBaseUrl(req).replace(/^http/, 'ws')}${STREAM_PATH}`,
+        parameters: { callId: callId, token: conversation.streamToken },
+        fallback_webhook: `${getBaseUrl(req)}/voice/stream-end`
+      });
+    }
+
+    // Generar audio de bienvenida (antes de guardar la conversación, para contar su consumo)
+    const welcomeAudio = await speak(conversation, await getWelcomeMessage(conversation), conversation.language);
     
-    // Generar audio de bienvenida
-    const welcomeAudio = await generateSpeech(welcomeMessage);
+    await conversationStore.create(callId, conversation);
     
-    // Respuesta compatible con diferentes proveedores VoIP
-    const response = {
-      action: 'play_and_record',
-      audio_url: welcomeAudio,
+    // Respuesta en el formato nativo del proveedor configurado
+    sendVoiceResponse(res, 'play_and_record', {
+      audio_url: getPublicAudioUrl(welcomeAudio, getBaseUrl(req)),
       record_options: {
         max_duration: 10,
         silence_timeout: 3,
-        finish_on_key: '#'
+        finish_on_key: RECORD_FINISH_KEYS
       },
-      next_webhook: `${req.protocol}://${req.get('host')}/voice/process-response`
-    };
-
-    res.json(response);
+      barge_in: getConversationBargeIn(conversation),
+      next_webhook: `${getBaseUrl(req)}/voice/process-response`
+    });
     
   } catch (error) {
+    // El proveedor solo entiende su propio formato: disculpa y colgar
     logError('Error en webhook de llamada:', error);
-    res.status(500).json({ error: 'Error procesando llamada' });
+    await sendErrorAndHangup(req, res);
   }
 });
 
 // Procesar respuesta de usuario
-router.post('/process-response', async (req, res) => {
+router.post('/process-response', verifyWebhookSignature, async (req, res) => {
+  const recording = parseRecording(req);
+  const callId = recording.callId;
+  
+  // La conversación queda bloqueada durante todo el turno
+  await conversationStore.update(callId, async conversation => {
+    try {
+      if (!conversation) {
+        throw new Error('Conversación no encontrada');
+      }
+
+      const businessConfig = getBusinessConfig(conversation.businessId);
+      
+      let userText = '';
+      
+      // Modo teclado o tecla pulsada durante la grabación
+      if (conversation.ivr.mode === 'keypad' || isKeypadInput(recording.digits)) {
+        // Un menú sin ninguna tecla (fin del tiempo de espera) también es un silencio
+        if (!(recording.digits || '').replace(/#/g, '')) {
+          if (registerSilence(conversation, getCallPolicy(conversation.businessId))) {
+            return sendSilenceGoodbye(req, res, conversation);
+          }
+        } else {
+          resetSilences(conversation);
+        }
+        
+        const dashboardData = await getDashboardData(conversation.businessId);
+        const keypadResult = handleKeypadInput(conversation, recording.digits, businessConfig.ivr, dashboardData);
+        
+        if (keypadResult.type !== 'continue') {
+          return sendKeypadResult(req, res, conversation, keypadResult, businessConfig);
+        }
+        
+        userText = keypadResult.userText;
+      } else {
+        userText = await getRecordingText(recording, conversation);
+      }
+      
+      if (!userText || userText.trim() === '') {
+        // Demasiados silencios seguidos: despedirse y colgar
+        if (registerSilence(conversation, getCallPolicy(conversation.businessId))) {
+          return sendSilenceGoodbye(req, res, conversation);
+        }
+        
+        // Tras varios intentos fallidos, pasar al menú de teclado
+        if (registerFailedTranscription(conversation, businessConfig.ivr)) {
+          return sendKeypadResult(req, res, conversation, {
+            type: 'gather',
+            message: `${getConversationMessage(conversation, 'keypadFallback')} ${getMenuPrompt(businessConfig.ivr, conversation.language)}`,
+            digitOptions: { num_digits: 1, timeout: 5 }
+          }, businessConfig);
+        }
+        
+        // Si no hay texto, pedir que repita
+        const retryMessage = getConversationMessage(conversation, 'retry');
+        const retryAudio = await speak(conversation, retryMessage, conversation.language);
+        
+        return sendVoiceResponse(res, 'play_and_record', {
+          audio_url: getPublicAudioUrl(retryAudio, getBaseUrl(req)),
+          record_options: {
+            max_duration: 10,
+            silence_timeout: 3,
+            finish_on_key: RECORD_FINISH_KEYS
+          },
+          barge_in: getConversationBargeIn(conversation),
+          next_webhook: `${getBaseUrl(req)}/voice/process-response`
+        });
+      }
+      
+      conversation.ivr.failedTranscriptions = 0;
+      resetSilences(conversation);
+
+      const response = await runAssistantTurn(conversation, userText, getBaseUrl(req));
+
+      // Generar audio de respuesta
+      const responseAudio = await speak(conversation, response.message, conversation.language);
+      const audioUrl = getPublicAudioUrl(responseAudio, getBaseUrl(req));
+      
+      // Pasar la llamada al personal del restaurante
+      if (response.action && response.action.type === 'transfer_call' && businessConfig.transfer.staffNumber) {
+        return sendTransfer(req, res, conversation, audioUrl, businessConfig);
+      }
+      
+      // Decidir si continuar la conversación o terminar
+      if (!isEndCall(response)) {
+        sendVoiceResponse(res, 'play_and_record', {
+          audio_url: audioUrl,
+          record_options: {
+            max_duration: 15,
+            silence_timeout: 4,
+            finish_on_key: RECORD_FINISH_KEYS
+          },
+          barge_in: getConversationBargeIn(conversation),
+          next_webhook: `${getBaseUrl(req)}/voice/process-response`
+        });
+      } else {
+        // Terminar llamada
+        finalizeConversation(conversation, { status: 'completed', endReason: response.action.data.reason });
+        sendVoiceResponse(res, 'play_and_hangup', {
+          audio_url: audioUrl
+        });
+      }
+
+    } catch (error) {
+      logError('Error procesando respuesta:', error);
+      
+      if (conversation) {
+        finalizeConversation(conversation, { status: 'error', error: error.message });
+      }
+      
+      await sendErrorAndHangup(req, res, conversation);
+    }
+  }).catch(async error => {
+    // Fallo del almacén (p. ej. conversación bloqueada demasiado tiempo)
+    logError('Error procesando respuesta:', error);
+    await sendErrorAndHangup(req, res);
+  });
+});
+
+// Fin del stream de audio en tiempo real: transferencia pendiente o vuelta al modo por turnos
+router.post('/stream-end', verifyWebhookSignature, async (req, res) => {
   try {
-    const callId = req.body.callId || req.body.CallSid;
-    const recordingUrl = req.body.recordingUrl || req.body.RecordingUrl;
+    const callId = parseHangup(req).callId;
     
-    if (!activeConversations.has(callId)) {
-      throw new Error('Conversación no encontrada');
-    }
+    await conversationStore.update(callId, async conversation => {
+      // La conversación ya terminó (despedida) durante el stream
+      if (!conversation) {
+        return sendVoiceResponse(res, 'hangup');
+      }
+      
+      const businessConfig = getBusinessConfig(conversation.businessId);
+      
+      if (conversation.streamHandoff === 'transfer') {
+        // El aviso de transferencia ya se dijo por el stream
+        return sendTransfer(req, res, conversation, null, businessConfig);
+      }
+      
+      // El stream se cortó con la llamada activa: seguir con grabaciones por turnos
+      logCall(callId, 'stream cortado, continuando por turnos');
+      const audio = await speak(conversation, getConversationMessage(conversation, 'streamResume'), conversation.language);
+      sendVoiceResponse(res, 'play_and_record', {
+        audio_url: getPublicAudioUrl(audio, getBaseUrl(req)),
+        record_options: {
+          max_duration: 15,
+          silence_timeout: 4,
+          finish_on_key: RECORD_FINISH_KEYS
+        },
+        barge_in: getConversationBargeIn(conversation),
+        next_webhook: `${getBaseUrl(req)}/voice/process-response`
+      });
+    });
+    
+  } catch (error) {
+    logError('Error al terminar el stream:', error);
+    await sendErrorAndHangup(req, res);
+  }
+});
 
-    const conversation = activeConversations.get(callId);
+// Resultado de la transferencia al personal (contestada o no)
+router.post('/transfer-status', verifyWebhookSignature, async (req, res) => {
+  try {
+    const dial = parseDialResult(req);
     
-    // Descargar y transcribir audio
-    let userText = '';
-    if (recordingUrl) {
-      userText = await transcribeAudioFromUrl(recordingUrl);
-    }
+    logCall(dial.callId, 'resultado de transferencia', { status: dial.dialStatus });
     
-    if (!userText || userText.trim() === '') {
-      // Si no hay texto, pedir que repita
-      const retryMessage = "Lo siento, no pude escucharte bien. ¿Podrías repetir tu solicitud?";
-      const retryAudio = await generateSpeech(retryMessage);
+    await conversationStore.update(dial.callId, async conversation => {
+      if (!conversation) {
+        return sendVoiceResponse(res, 'hangup');
+      }
+      
+      conversation.transfer.status = dial.dialStatus;
+      conversation.transfer.answered = dial.answered;
+      
+      // El personal atendió la llamada: no queda nada por hacer
+      if (dial.answered) {
+        finalizeConversation(conversation, { status: 'completed' });
+        return sendVoiceResponse(res, 'hangup');
+      }
+      
+      const businessConfig = getBusinessConfig(conversation.businessId);
+      
+      if (businessConfig.transfer.fallback === 'assistant') {
+        const message = getConversationMessage(conversation, 'staffBusyAssistant');
+        conversation.messages.push({ role: 'assistant', content: message, timestamp: new Date() });
+        
+        const audio = await speak(conversation, message, conversation.language);
+        return sendVoiceResponse(res, 'play_and_record', {
+          audio_url: getPublicAudioUrl(audio, getBaseUrl(req)),
+          record_options: {
+            max_duration: 15,
+            silence_timeout: 4,
+            finish_on_key: RECORD_FINISH_KEYS
+          },
+          barge_in: getConversationBargeIn(conversation),
+          next_webhook: `${getBaseUrl(req)}/voice/process-response`
+        });
+      }
       
-      return res.json({
-        action: 'play_and_record',
-        audio_url: retryAudio,
+      // Buzón de voz
+      const message = getConversationMessage(conversation, 'voicemailPrompt');
+      const audio = await speak(conversation, message, conversation.language);
+      sendVoiceResponse(res, 'play_and_record', {
+        audio_url: getPublicAudioUrl(audio, getBaseUrl(req)),
         record_options: {
-          max_duration: 10,
-          silence_timeout: 3
+          max_duration: 60,
+          silence_timeout: 5,
+          finish_on_key: '#',
+          play_beep: true
         },
-        next_webhook: `${req.protocol}://${req.get('host')}/voice/process-response`
+        next_webhook: `${getBaseUrl(req)}/voice/voicemail`
       });
-    }
+    });
+    
+  } catch (error) {
+    logError('Error procesando resultado de transferencia:', error);
+    await sendErrorAndHangup(req, res);
+  }
+});
 
-    logInfo(`👤 Usuario dijo: ${userText}`);
+// Mensaje de buzón de voz grabado tras una transferencia sin respuesta
+router.post('/voicemail', verifyWebhookSignature, async (req, res) => {
+  try {
+    const recording = parseRecording(req);
+    
+    const audio = await conversationStore.update(recording.callId, async conversation => {
+      if (!conversation) {
+        return generateSpeech(getMessage(DEFAULT_LANGUAGE, 'voicemailThanks'), 'nova', DEFAULT_LANGUAGE);
+      }
+      
+      conversation.voicemailUrl = recording.recordingUrl || null;
+      logCall(recording.callId, 'mensaje de buzón de voz', { url: conversation.voicemailUrl });
+      const thanks = await speak(conversation, getConversationMessage(conversation, 'voicemailThanks'), conversation.language);
+      finalizeConversation(conversation, { status: 'completed' });
+      return thanks;
+    });
     
-    // Agregar mensaje del usuario
-    conversation.messages.push({
-      role: 'user',
-      content: userText,
-      timestamp: new Date()
+    sendVoiceResponse(res, 'play_and_hangup', {
+      audio_url: getPublicAudioUrl(audio, getBaseUrl(req))
     });
+    
+  } catch (error) {
+    logError('Error guardando buzón de voz:', error);
+    await sendErrorAndHangup(req, res);
+  }
+});
 
-    // Obtener datos del dashboard
-    const dashboardData = await getDashboardData(conversation.businessId);
+// Aviso de fin de llamada (el cliente cuelga o la llamada termina)
+router.post('/hangup', verifyWebhookSignature, async (req, res) => {
+  try {
+    const hangup = parseHangup(req);
     
-    // Procesar con LLM
-    const response = await processConversation(
-      conversation.messages, 
-      dashboardData,
-      conversation.businessId
-    );
+    logCall(hangup.callId, 'colgada', { duration: hangup.duration, cause: hangup.hangupCause });
+    
+    await conversationStore.update(hangup.callId, async conversation => {
+      if (!conversation) {
+        return;
+      }
+      
+      // Si el asistente no se despidió, el cliente colgó a mitad de conversación
+      const transferred = conversation.transfer && conversation.transfer.answered;
+      finalizeConversation(conversation, {
+        status: conversation.reservation || transferred ? 'completed' : 'abandoned',
+        duration: hangup.duration,
+        hangupCause: hangup.hangupCause
+      });
+    });
     
-    logInfo(`🤖 Asistente responde: ${response.message}`);
+    res.json({ success: true });
     
-    // Agregar respuesta del asistente
-    conversation.messages.push({
-      role: 'assistant',
-      content: response.message,
-      timestamp: new Date(),
-      action: response.action
+  } catch (error) {
+    // La llamada ya ha terminado: no hay nada que decir, solo responder en el formato del proveedor
+    logError('Error procesando fin de llamada:', error);
+    sendVoiceResponse(res, 'hangup');
+  }
+});
+
+// Lanzar una llamada saliente de recordatorio o confirmación para una reserva
+router.post('/outbound/call', requireAdminKey, async (req, res) => {
+  try {
+    const { businessId = 'default', reservation, type = 'reminder' } = req.body;
+    
+    if (!reservation) {
+      return res.status(400).json({ success: false, error: 'Falta la reserva' });
+    }
+    
+    if (!['reminder', 'confirmation'].includes(type)) {
+      return res.status(400).json({ success: false, error: `Tipo de llamada no válido: ${type}` });
+    }
+    
+    const created = await createOutboundCall(businessId, reservation, type);
+    const outboundCall = await dialOutboundCall(created.id, getBaseUrl(req));
+    
+    res.json({ success: outboundCall.status !== 'failed', call: outboundCall });
+    
+  } catch (error) {
+    logError('Error lanzando llamada saliente:', error);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Listar llamadas salientes
+router.get('/outbound/calls', requireAdminKey, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      calls: await listOutboundCalls({ businessId: req.query.businessId, status: req.query.status })
     });
+  } catch (error) {
+    logError('Error listando llamadas salientes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
 
-    // Ejecutar acción si es necesaria (como hacer reserva)
-    if (response.action && response.action.type === 'make_reservation') {
-      try {
-        await makeReservation(conversation.businessId, response.action.data);
-        logInfo('✅ Reserva realizada correctamente');
-      } catch (error) {
-        logError('❌ Error al hacer reserva:', error);
+// El cliente contesta la llamada saliente
+router.post('/outbound/answer', verifyWebhookSignature, async (req, res) => {
+  try {
+    const answered = await updateOutboundCall(req.query.outboundId, async outboundCall => {
+      if (!outboundCall) {
+        return null;
       }
+      
+      outboundCall.status = 'in-progress';
+      logInfo(`📲 Llamada saliente ${outboundCall.id} contestada`);
+      
+      const dashboardData = await getDashboardData(outboundCall.businessId);
+      const audio = await speak(outboundCall, getOutboundScript(outboundCall, dashboardData));
+      return { outboundCall, audio };
+    });
+    
+    if (!answered) {
+      return sendVoiceResponse(res, 'hangup');
     }
+    
+    const { outboundCall, audio } = answered;
+    sendVoiceResponse(res, 'play_and_record', {
+      audio_url: getPublicAudioUrl(audio, getBaseUrl(req)),
+      record_options: {
+        max_duration: 10,
+        silence_timeout: 3,
+        finish_on_key: RECORD_FINISH_KEYS
+      },
+      barge_in: getBargeInOptions(outboundCall.businessId, DEFAULT_LANGUAGE),
+      next_webhook: `${getBaseUrl(req)}/voice/outbound/response?outboundId=${outboundCall.id}`
+    });
+    
+  } catch (error) {
+    logError('Error en llamada saliente:', error);
+    await sendErrorAndHangup(req, res);
+  }
+});
 
-    // Generar audio de respuesta
-    const responseAudio = await generateSpeech(response.message);
+// Respuesta del cliente en la llamada saliente (voz o teclado)
+router.post('/outbound/response', verifyWebhookSignature, async (req, res) => {
+  try {
+    const recording = parseRecording(req);
+    const turn = await updateOutboundCall(req.query.outboundId, async outboundCall => {
+      if (!outboundCall) {
+        return null;
+      }
+      
+      let text = '';
+      if (!isKeypadInput(recording.digits)) {
+        text = await getRecordingText(recording, null, outboundCall);
+      }
+      
+      const reply = await handleOutboundReply(outboundCall, { text: text, digits: recording.digits });
+      const audio = await speak(outboundCall, reply.message);
+      return { outboundCall, reply, audio };
+    });
+    
+    if (!turn) {
+      return sendVoiceResponse(res, 'hangup');
+    }
+    
+    const { outboundCall, reply, audio } = turn;
+    const audioUrl = getPublicAudioUrl(audio, getBaseUrl(req));
+    
+    if (reply.end) {
+      return sendVoiceResponse(res, 'play_and_hangup', { audio_url: audioUrl });
+    }
+    
+    sendVoiceResponse(res, 'play_and_record', {
+      audio_url: audioUrl,
+      record_options: {
+        max_duration: 10,
+        silence_timeout: 3,
+        finish_on_key: RECORD_FINISH_KEYS
+      },
+      barge_in: getBargeInOptions(outboundCall.businessId, DEFAULT_LANGUAGE),
+      next_webhook: `${getBaseUrl(req)}/voice/outbound/response?outboundId=${outboundCall.id}`
+    });
     
-    // Decidir si continuar la conversación o terminar
-    const shouldContinue = !response.message.toLowerCase().includes('adiós') && 
-                          !response.message.toLowerCase().includes('hasta luego');
+  } catch (error) {
+    logError('Error procesando respuesta de llamada saliente:', error);
+    await sendErrorAndHangup(req, res);
+  }
+});
 
-    if (shouldContinue) {
-      res.json({
-        action: 'play_and_record',
-        audio_url: responseAudio,
-        record_options: {
-          max_duration: 15,
-          silence_timeout: 4
-        },
-        next_webhook: `${req.protocol}://${req.get('host')}/voice/process-response`
+// Estado final de la llamada saliente (colgada, sin respuesta, ocupado...)
+router.post('/outbound/status', verifyWebhookSignature, async (req, res) => {
+  try {
+    const hangup = parseHangup(req);
+    
+    await updateOutboundCall(req.query.outboundId, async outboundCall => {
+      if (!outboundCall) {
+        return;
+      }
+      
+      registerOutboundStatus(outboundCall, hangup.callStatus, hangup.duration);
+      
+      // Consumo de este intento (los reintentos se apuntan aparte)
+      recordCallUsage({
+        callId: outboundCall.id,
+        businessId: outboundCall.businessId,
+        direction: 'outbound',
+        callSeconds: outboundCall.duration,
+        usage: outboundCall.usage
       });
+      outboundCall.usage = null;
+      logInfo(`📲 Llamada saliente ${outboundCall.id}: ${outboundCall.status} (${outboundCall.outcome || 'sin resultado'})`);
+    });
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    logError('Error registrando el estado de la llamada saliente:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Estado de entrega de un SMS de confirmación
+router.post('/sms/status', verifyWebhookSignature, async (req, res) => {
+  try {
+    const status = parseSmsStatus(req);
+    const sms = await updateSmsStatus(req.query.smsId, status.status, status.errorCode);
+    
+    if (sms) {
+      logInfo(`✉️ SMS ${sms.id} a ${sms.to}: ${sms.status}`);
     } else {
-      // Terminar llamada
-      activeConversations.delete(callId);
-      res.json({
-        action: 'play_and_hangup',
-        audio_url: responseAudio
-      });
+      logWarning(`Estado de SMS desconocido: ${req.query.smsId}`);
     }
-
-  } catch (error) {
-    logError('Error procesando respuesta:', error);
     
-    const errorMessage = "Lo siento, ha ocurrido un error. Por favor, inténtalo de nuevo más tarde.";
-    const errorAudio = await generateSpeech(errorMessage);
+    res.json({ success: true });
     
+  } catch (error) {
+    logError('Error registrando el estado del SMS:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Listar SMS enviados y su estado de entrega
+router.get('/sms', requireAdminKey, async (req, res) => {
+  try {
     res.json({
-      action: 'play_and_hangup',
-      audio_url: errorAudio
+      success: true,
+      messages: await listSmsMessages({ businessId: req.query.businessId, status: req.query.status })
     });
+  } catch (error) {
+    logError('Error listando SMS:', error);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
@@ -175,44 +650,67 @@ router.post('/call', async (req, res) => {
     
     logInfo(`🎙️ Procesando audio para negocio: ${businessId}`);
     
-    // Transcribir audio
-    const userText = await transcribeAudio(req.file.path);
-    logInfo(`👤 Usuario dijo: ${userText}`);
+    // El historial de la sesión se guarda en el servidor, igual que en las llamadas
+    const sessionId = await getWidgetSession(req.body.sessionId, businessId);
+    
+    // Transcribir audio (detectando el idioma si la sesión aún no lo tiene)
+    const session = await conversationStore.get(sessionId);
+    const transcription = await transcribeAudioDetailed(
+      req.file.path,
+      session && session.languageDetected ? session.language : null
+    );
+    const userText = transcription.text;
     
     if (!userText || userText.trim() === '') {
+      fs.unlinkSync(req.file.path);
       return res.status(400).json({ 
         error: 'No se pudo transcribir el audio o está vacío' 
       });
     }
-
-    // Obtener datos del dashboard
-    const dashboardData = await getDashboardData(businessId);
-    
-    // Procesar conversación
-    const messages = [{ role: 'user', content: userText }];
-    const response = await processConversation(messages, dashboardData, businessId);
-    
-    logInfo(`🤖 Asistente responde: ${response.message}`);
     
-    // Ejecutar acción si es necesaria
-    if (response.action && response.action.type === 'make_reservation') {
-      try {
-        await makeReservation(businessId, response.action.data);
-        logInfo('✅ Reserva realizada correctamente');
-      } catch (error) {
-        logError('❌ Error al hacer reserva:', error);
+    const { response, sessionEnded, language, audioPath } = await conversationStore.update(sessionId, async conversation => {
+      if (!conversation) {
+        throw new Error('La sesión ha caducado');
       }
-    }
-
-    // Generar audio de respuesta
-    const audioPath = await generateSpeech(response.message);
+      
+      if (!conversation.languageDetected) {
+        applyDetectedLanguage(conversation, transcription.language);
+      }
+      addUsage(conversation, { sttSeconds: transcription.duration });
+      
+      const previousReservation = conversation.reservation;
+      const response = await runAssistantTurn(conversation, userText, getBaseUrl(req));
+      
+      // Llamada de confirmación si el negocio la tiene activada
+      if (conversation.reservation && conversation.reservation !== previousReservation &&
+          getBusinessConfig(businessId).outbound.confirmAfterBooking) {
+        try {
+          await createOutboundCall(businessId, { ...response.action.data, ...conversation.reservation }, 'confirmation');
+        } catch (error) {
+          logInfo(`📲 Sin llamada de confirmación: ${error.message}`);
+        }
+      }
+      
+      // Generar audio de respuesta
+      const audioPath = await speak(conversation, response.message, conversation.language);
+      
+      const sessionEnded = isEndCall(response);
+      if (sessionEnded) {
+        finalizeConversation(conversation, { status: 'completed', endReason: response.action.data.reason });
+      }
+      
+      return { response, sessionEnded, language: conversation.language, audioPath };
+    });
     
     // Limpiar archivo temporal
     fs.unlinkSync(req.file.path);
     
     res.json({
       success: true,
+      sessionId: sessionId,
+      sessionEnded: sessionEnded,
       userText: userText,
+      language: language,
       assistantResponse: response.message,
       audioPath: audioPath,
       action: response.action
@@ -233,8 +731,599 @@ router.post('/call', async (req, res) => {
   }
 });
 
-// Función auxiliar para transcribir audio desde URL
-async function transcribeAudioFromUrl(audioUrl) {
+// Terminar una sesión del widget ("nueva conversación")
+router.delete('/call/:sessionId', async (req, res) => {
+  try {
+    const ended = await conversationStore.update(req.params.sessionId, async conversation => {
+      // Solo sesiones del widget: una llamada telefónica no se puede cerrar desde aquí
+      if (!conversation || conversation.channel !== 'web') {
+        return false;
+      }
+      
+      finalizeConversation(conversation, {
+        status: conversation.reservation ? 'completed' : 'abandoned'
+      });
+      return true;
+    });
+    
+    if (!ended) {
+      return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    
+    res.json({ success: true });
+    
+  } catch (error) {
+    logError('Error terminando sesión del widget:', error);
+    res.status(500).json({ error: 'Error terminando la sesión' });
+  }
+});
+
+// Función auxiliar para recuperar la sesión del widget o empezar una nueva
+async function getWidgetSession(sessionId, businessId) {
+  const existing = sessionId ? await conversationStore.get(sessionId) : null;
+  
+  // Solo se continúan sesiones del widget del mismo negocio
+  if (existing && existing.channel === 'web' && existing.businessId === businessId) {
+    return sessionId;
+  }
+  
+  const conversation = await conversationStore.create(`web-${crypto.randomUUID()}`, {
+    businessId: businessId,
+    channel: 'web',
+    from: null,
+    to: null,
+    messages: [],
+    ivr: createIvrState(),
+    ...getInitialLanguage(businessId),
+    degraded: isBudgetExceeded(businessId),
+    startTime: new Date().toISOString()
+  });
+  
+  logInfo(`💬 Nueva sesión del widget: ${conversation.callId}`);
+  return conversation.callId;
+}
+
+// Función auxiliar para transferir la llamada al número de personal del negocio
+function sendTransfer(req, res, conversation, audioUrl, businessConfig) {
+  const transfer = businessConfig.transfer;
+  
+  conversation.transfer = {
+    number: transfer.staffNumber,
+    status: 'ringing',
+    answered: false,
+    startedAt: new Date().toISOString()
+  };
+  
+  logCall(conversation.callId, 'transfiriendo al personal', { number: transfer.staffNumber });
+  
+  return sendVoiceResponse(res, 'transfer_call', {
+    audio_url: audioUrl,
+    number: transfer.staffNumber,
+    timeout: transfer.ringTimeout,
+    caller_id: transfer.callerId,
+    fallback_webhook: `${getBaseUrl(req)}/voice/transfer-status`
+  });
+}
+
+// Función auxiliar para procesar un turno del cliente con el LLM (llamadas por turnos y streaming)
+async function runAssistantTurn(conversation, userText, baseUrl) {
+  const businessConfig = getBusinessConfig(conversation.businessId);
+  
+  logInfo(`👤 Usuario dijo: ${userText}`);
+  
+  // Agregar mensaje del usuario
+  const userMessage = {
+    role: 'user',
+    content: userText,
+    timestamp: new Date()
+  };
+  conversation.messages.push(userMessage);
+
+  // Obtener datos del dashboard
+  const dashboardData = await getDashboardData(conversation.businessId);
+  
+  // Procesar con LLM
+  const response = await processConversation(
+    conversation.messages, 
+    dashboardData,
+    conversation.businessId,
+    {
+      callId: conversation.callId,
+      canTransfer: conversation.channel !== 'web' && !!businessConfig.transfer.staffNumber,
+      callerProfile: conversation.callerProfile,
+      maxPartySize: businessConfig.ivr.maxPartySize,
+      callerPhone: normalizePhone(conversation.from),
+      pendingChange: conversation.pendingReservationChange || null,
+      reservationDialog: conversation.reservationDialog || null,
+      language: conversation.language,
+      llm: conversation.degraded ? businessConfig.budget.degraded.llm : null
+    }
+  );
+  addUsage(conversation, { llm: response.usage });
+  
+  // Estado de la reserva en curso (datos recogidos, leída al cliente, confirmada...)
+  if (response.reservationDialog) {
+    conversation.reservationDialog = response.reservationDialog;
+  }
+  
+  // Cambios y cancelaciones de reservas existentes (puede cambiar la respuesta si falla)
+  await handleReservationChange(conversation, response);
+  
+  // Reserva nueva confirmada por el cliente: la respuesta depende de que se guarde
+  await handleNewReservation(conversation, response, dashboardData, baseUrl);
+  
+  // Límite de turnos o de duración del negocio: el asistente responde y se despide
+  const limit = response.action ? null : checkCallLimits(conversation, getCallPolicy(conversation.businessId));
+  if (limit) {
+    logCall(conversation.callId, `límite de la llamada alcanzado (${limit})`);
+    response.message = `${response.message} ${getConversationMessage(conversation, 'callLimitGoodbye')}`;
+    response.action = { type: 'end_call', data: { reason: limit } };
+  }
+  
+  logInfo(`🤖 Asistente responde: ${response.message}`);
+  
+  // Una frase bloqueada y su respuesta se quedan en la transcripción pero no vuelven al modelo
+  const blocked = !!(response.action && response.action.type === 'guardrail_blocked' && response.action.data.stage === 'input');
+  if (blocked) {
+    userMessage.blocked = true;
+  }
+  
+  // Agregar respuesta del asistente
+  conversation.messages.push({
+    role: 'assistant',
+    content: response.message,
+    timestamp: new Date(),
+    action: response.action,
+    ...(blocked && { blocked: true })
+  });
+
+  return response;
+}
+
+// Función auxiliar para guardar la reserva que el cliente ha confirmado tras la lectura.
+// La confirmación solo se dice si el Dashboard la registra; si falla, se avisa al cliente
+// y la reserva vuelve a quedar leída para que pueda decir que sí otra vez
+async function handleNewReservation(conversation, response, dashboardData, baseUrl) {
+  if (!response.action || response.action.type !== 'make_reservation') {
+    return;
+  }
+  
+  const businessConfig = getBusinessConfig(conversation.businessId);
+  const reservationData = response.action.data;
+  
+  // El teléfono marcado por teclado tiene prioridad sobre el extraído; si no
+  // hay ninguno válido se usa el número desde el que llama
+  if (conversation.ivr.data.phone) {
+    reservationData.phone = conversation.ivr.data.phone;
+  } else if (!normalizePhone(reservationData.phone) && normalizePhone(conversation.from)) {
+    reservationData.phone = normalizePhone(conversation.from);
+  }
+  
+  try {
+    conversation.reservation = await makeReservation(conversation.businessId, reservationData);
+    logInfo('✅ Reserva realizada correctamente');
+  } catch (error) {
+    logError('❌ Error al hacer reserva:', error);
+    response.message = getConversationMessage(conversation, 'reservationFailed');
+    response.action = { type: 'reservation_failed', data: reservationData };
+    if (conversation.reservationDialog) {
+      startReadback(conversation.reservationDialog, conversation.reservationDialog.fields);
+    }
+    return;
+  }
+  
+  response.message = buildReservationConfirmation(
+    reservationData,
+    conversation.language,
+    isFormal(getPersona(conversation.businessId))
+  );
+  
+  if (businessConfig.callerProfiles.enabled) {
+    recordReservation(
+      conversation.businessId,
+      conversation.from || reservationData.phone,
+      { ...reservationData, ...conversation.reservation },
+      conversation.messages
+    );
+  }
+  
+  // Sin teléfono dictado o marcado, el SMS va al número que llama.
+  // No se espera al envío: la respuesta al proveedor no puede retrasarse
+  sendReservationSms(
+    conversation.businessId,
+    { ...reservationData, ...conversation.reservation },
+    dashboardData,
+    baseUrl,
+    conversation.from,
+    conversation.language
+  ).catch(error => logError('Error enviando SMS de confirmación:', error));
+}
+
+// Función auxiliar para cambiar o cancelar una reserva existente: primero se guarda la
+// propuesta y solo se ejecuta cuando el cliente la confirma en el turno siguiente
+async function handleReservationChange(conversation, response) {
+  const action = response.action;
+  if (!action) {
+    return;
+  }
+  
+  switch (action.type) {
+    case 'propose_reservation_change':
+      conversation.pendingReservationChange = action.data;
+      return;
+      
+    case 'discard_reservation_change':
+      conversation.pendingReservationChange = null;
+      logInfo('↩️ Cambio de reserva descartado por el cliente');
+      return;
+      
+    case 'modify_reservation':
+    case 'cancel_reservation': {
+      conversation.pendingReservationChange = null;
+      const change = {
+        type: action.data.type,
+        reservationId: action.data.reservation.id,
+        previous: action.data.reservation,
+        changes: action.data.changes || null,
+        timestamp: new Date().toISOString()
+      };
+      
+      try {
+        await applyReservationChange(action.data);
+        change.status = 'done';
+      } catch (error) {
+        logError('❌ Error cambiando la reserva:', error);
+        change.status = 'failed';
+        response.message = getConversationMessage(
+          conversation,
+          action.type === 'cancel_reservation' ? 'cancelFailed' : 'changeFailed'
+        );
+      }
+      
+      conversation.reservationChanges = [...(conversation.reservationChanges || []), change];
+      return;
+    }
+  }
+}
+
+// Función auxiliar para el saludo inicial: plantilla del negocio o saludo del idioma
+// (por su nombre si es un cliente habitual)
+async function getWelcomeMessage(conversation) {
+  const persona = getPersona(conversation.businessId);
+  const callerProfile = conversation.callerProfile;
+  
+  // Las plantillas se rellenan con los datos actuales del Dashboard
+  const dashboardData = persona.greeting || persona.returningGreeting
+    ? await getDashboardData(conversation.businessId)
+    : {};
+  
+  return renderGreeting(persona, {
+    language: conversation.language,
+    dashboardData: dashboardData,
+    callerName: callerProfile && callerProfile.name
+  });
+}
+
+// Función auxiliar para los mensajes fijos en el idioma de la conversación y con el
+// trato (tú o usted) del negocio
+function getConversationMessage(conversation, key, params = {}) {
+  return getMessage(conversation.language, key, params, isFormal(getPersona(conversation.businessId)));
+}
+
+// Función auxiliar para el idioma con el que empieza una conversación: el del negocio.
+// Con varios idiomas permitidos se detecta en la primera frase del cliente
+function getInitialLanguage(businessId) {
+  const languages = getBusinessConfig(businessId).languages;
+  return {
+    language: getDefaultLanguage(languages),
+    languageDetected: getAllowedLanguages(languages).length === 1
+  };
+}
+
+// Función auxiliar para fijar el idioma de la conversación a partir del detectado
+// (si no está permitido en el negocio, se sigue en el idioma por defecto)
+function applyDetectedLanguage(conversation, detected) {
+  const languages = getBusinessConfig(conversation.businessId).languages;
+  conversation.language = resolveLanguage(detected, languages);
+  conversation.languageDetected = true;
+  logCall(conversation.callId, `idioma de la conversación: ${conversation.language}`, { detected: detected });
+}
+
+// Función auxiliar para saber si la llamada puede ir por streaming de audio
+function isStreamingEnabled(businessId, degraded = false) {
+  const businessConfig = getBusinessConfig(businessId);
+  if (degraded && !businessConfig.budget.degraded.streaming) {
+    return false;
+  }
+  return businessConfig.streaming.enabled &&
+    getProviderConfig().features.includes('websocket');
+}
+
+// Manejadores del streaming de audio en tiempo real (ver services/mediaStream.js)
+const streamHandlers = {
+  // Solo se acepta el stream de una conversación activa con su token
+  async onStart(callId, token) {
+    return conversationStore.update(callId, async conversation => {
+      const expected = conversation && conversation.streamToken;
+      
+      if (!expected || !token || token.length !== expected.length ||
+          !crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected))) {
+        return null;
+      }
+      
+      conversation.streamToken = null;
+      logCall(callId, 'streaming de audio iniciado');
+      const businessConfig = getBusinessConfig(conversation.businessId);
+      const greeting = await getWelcomeMessage(conversation);
+      addUsage(conversation, { ttsCharacters: greeting.length });
+      return {
+        config: { ...businessConfig.streaming, bargeIn: businessConfig.bargeIn.enabled },
+        greeting: greeting,
+        language: conversation.language,
+        detectLanguage: !conversation.languageDetected
+      };
+    });
+  },
+  
+  async onUtterance(callId, userText, detectedLanguage, audioSeconds = 0) {
+    return conversationStore.update(callId, async conversation => {
+      if (!conversation) {
+        return null;
+      }
+      
+      if (!conversation.languageDetected) {
+        applyDetectedLanguage(conversation, detectedLanguage);
+      }
+      
+      resetSilences(conversation);
+      const businessConfig = getBusinessConfig(conversation.businessId);
+      const response = await runAssistantTurn(conversation, userText, conversation.baseUrl);
+      
+      // El audio de la respuesta lo genera el stream con este texto
+      addUsage(conversation, { sttSeconds: audioSeconds, ttsCharacters: response.message.length });
+      
+      // La transferencia no se puede hacer dentro del stream: se cierra y el
+      // proveedor la pide en /voice/stream-end
+      if (response.action && response.action.type === 'transfer_call' && businessConfig.transfer.staffNumber) {
+        conversation.streamHandoff = 'transfer';
+        return { message: response.message, end: true, language: conversation.language };
+      }
+      
+      if (isEndCall(response)) {
+        finalizeConversation(conversation, { status: 'completed', endReason: response.action.data.reason });
+        return { message: response.message, end: true, language: conversation.language };
+      }
+      
+      return { message: response.message, end: false, language: conversation.language };
+    });
+  },
+  
+  // El cliente no dice nada (o solo ruido): se le pide que repita o, tras demasiados
+  // silencios seguidos, se despide y se cierra el stream
+  async onSilence(callId) {
+    return conversationStore.update(callId, async conversation => {
+      if (!conversation) {
+        return null;
+      }
+      
+      if (registerSilence(conversation, getCallPolicy(conversation.businessId))) {
+        logCall(callId, `sin respuesta tras ${conversation.silences} silencios seguidos`);
+        const goodbye = getConversationMessage(conversation, 'noInputGoodbye');
+        addUsage(conversation, { ttsCharacters: goodbye.length });
+        finalizeConversation(conversation, { status: 'completed', endReason: 'silence' });
+        return { message: goodbye, end: true, language: conversation.language };
+      }
+      
+      const retry = getConversationMessage(conversation, 'retry');
+      addUsage(conversation, { ttsCharacters: retry.length });
+      return { message: retry, end: false, language: conversation.language };
+    });
+  },
+  
+  onStop(callId) {
+    logCall(callId, 'streaming de audio terminado');
+  }
+};
+
+// Función auxiliar para despedirse y colgar tras demasiados silencios seguidos
+async function sendSilenceGoodbye(req, res, conversation) {
+  logCall(conversation.callId, `sin respuesta tras ${conversation.silences} silencios seguidos`);
+  const goodbyeAudio = await speak(conversation, getConversationMessage(conversation, 'noInputGoodbye'), conversation.language);
+  finalizeConversation(conversation, { status: 'completed', endReason: 'silence' });
+  return sendVoiceResponse(res, 'play_and_hangup', {
+    audio_url: getPublicAudioUrl(goodbyeAudio, getBaseUrl(req))
+  });
+}
+
+// Función auxiliar para responder según el resultado del menú de teclado
+async function sendKeypadResult(req, res, conversation, result, businessConfig) {
+  if (result.type === 'staff' && businessConfig.transfer.staffNumber) {
+    const transferAudio = await speak(conversation, getConversationMessage(conversation, 'transferToStaff'), conversation.language);
+    return sendTransfer(req, res, conversation, getPublicAudioUrl(transferAudio, getBaseUrl(req)), businessConfig);
+  }
+  
+  if (result.type === 'staff') {
+    // Sin número de personal configurado: volver al menú
+    result = {
+      type: 'gather',
+      message: `${getConversationMessage(conversation, 'staffUnavailable')} ${getMenuPrompt(businessConfig.ivr, conversation.language)}`,
+      digitOptions: { num_digits: 1, timeout: 5 }
+    };
+  }
+  
+  const audio = await speak(conversation, result.message, conversation.language);
+  const audioUrl = getPublicAudioUrl(audio, getBaseUrl(req));
+  const nextWebhook = `${getBaseUrl(req)}/voice/process-response`;
+  
+  switch (result.type) {
+    case 'gather':
+      return sendVoiceResponse(res, 'gather_digits', {
+        audio_url: audioUrl,
+        digit_options: result.digitOptions,
+        next_webhook: nextWebhook
+      });
+      
+    case 'record':
+      return sendVoiceResponse(res, 'play_and_record', {
+        audio_url: audioUrl,
+        record_options: {
+          max_duration: 15,
+          silence_timeout: 4,
+          finish_on_key: RECORD_FINISH_KEYS
+        },
+        barge_in: getConversationBargeIn(conversation),
+        next_webhook: nextWebhook
+      });
+      
+    default:
+      finalizeConversation(conversation, { status: 'abandoned' });
+      return sendVoiceResponse(res, 'play_and_hangup', { audio_url: audioUrl });
+  }
+}
+
+// Función auxiliar para cerrar una conversación y guardar el registro de la llamada.
+// El almacén elimina la conversación al terminar la actualización en curso
+function finalizeConversation(conversation, details = {}) {
+  const callId = conversation.callId;
+  const startTime = new Date(conversation.startTime);
+  const endTime = new Date();
+  const computedDuration = Math.round((endTime - startTime) / 1000);
+  const duration = parseInt(details.duration) || computedDuration;
+  
+  // Consumo y coste de la llamada para los informes y el presupuesto del negocio
+  const usage = recordCallUsage({
+    callId: callId,
+    businessId: conversation.businessId,
+    channel: conversation.channel || 'phone',
+    direction: 'inbound',
+    callSeconds: duration,
+    usage: conversation.usage,
+    reservations: conversation.reservation ? 1 : 0,
+    degraded: conversation.degraded
+  });
+  
+  const record = saveCallRecord({
+    callId: callId,
+    businessId: conversation.businessId,
+    channel: conversation.channel || 'phone',
+    from: conversation.from,
+    to: conversation.to,
+    startTime: startTime.toISOString(),
+    endTime: endTime.toISOString(),
+    duration: duration,
+    status: details.status || 'completed',
+    reservationMade: !!conversation.reservation,
+    reservation: conversation.reservation || null,
+    reservationChanges: conversation.reservationChanges || [],
+    transfer: conversation.transfer || null,
+    voicemailUrl: conversation.voicemailUrl || null,
+    turns: conversation.messages.filter(m => m.role === 'user').length,
+    blockedTurns: conversation.messages.filter(m => m.role === 'assistant' && m.action && m.action.type === 'guardrail_blocked').length,
+    hangupCause: details.hangupCause || null,
+    endReason: details.endReason || null,
+    error: details.error || null,
+    degraded: !!conversation.degraded,
+    cost: usage ? usage.cost : null,
+    // Transcripción completa para el archivo de conversaciones
+    messages: conversation.messages.map(message => ({
+      role: message.role,
+      content: message.content,
+      timestamp: message.timestamp,
+      action: message.action || null,
+      ...(message.blocked && { blocked: true })
+    }))
+  });
+  
+  conversation.finished = true;
+  logCall(callId, `finalizada (${details.status || 'completed'})`);
+  
+  return record;
+}
+
+// Función auxiliar para avisar de un error y colgar
+async function sendErrorAndHangup(req, res, conversation = null) {
+  if (res.headersSent) {
+    return;
+  }
+  
+  const language = conversation ? conversation.language : DEFAULT_LANGUAGE;
+  const errorMessage = conversation
+    ? getConversationMessage(conversation, 'error')
+    : getMessage(DEFAULT_LANGUAGE, 'error');
+  
+  try {
+    const errorAudio = await speak(conversation, errorMessage, language);
+    sendVoiceResponse(res, 'play_and_hangup', {
+      audio_url: getPublicAudioUrl(errorAudio, getBaseUrl(req))
+    });
+  } catch (ttsError) {
+    // Si tampoco hay TTS, usar la síntesis del proveedor en el idioma de la llamada
+    sendVoiceResponse(res, 'say', { text: errorMessage, language: getLocale(language) });
+  }
+}
+
+// Función auxiliar para generar la voz y apuntar los caracteres sintetizados
+// en la conversación o llamada saliente
+async function speak(target, text, language = DEFAULT_LANGUAGE) {
+  addUsage(target, { ttsCharacters: text.length });
+  return generateSpeech(text, 'nova', language);
+}
+
+// Función auxiliar para obtener la URL pública del servidor
+function getBaseUrl(req) {
+  return (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+}
+
+// Función auxiliar para las opciones de barge-in del negocio (null si está desactivado).
+// El reconocimiento sigue el idioma de la llamada: bargeIn.language solo se usa si es
+// una variante de ese idioma (p. ej. es-MX). Mientras no se conozca el idioma de la
+// llamada no hay reconocimiento del proveedor: la grabación va a Whisper para detectarlo
+function getBargeInOptions(businessId, language = null, languageDetected = true) {
+  const businessConfig = getBusinessConfig(businessId);
+  const bargeIn = businessConfig.bargeIn;
+  if (!bargeIn.enabled || !languageDetected) {
+    return null;
+  }
+  
+  const callLanguage = language || getDefaultLanguage(businessConfig.languages);
+  const configuredLanguage = String(bargeIn.language || '').toLowerCase().split('-')[0];
+  return { language: configuredLanguage === callLanguage ? bargeIn.language : getLocale(callLanguage) };
+}
+
+// Función auxiliar para las opciones de barge-in de una conversación entrante
+function getConversationBargeIn(conversation) {
+  return getBargeInOptions(conversation.businessId, conversation.language, conversation.languageDetected);
+}
+
+// Función auxiliar para obtener el texto del cliente: transcrito por el proveedor
+// (barge-in) o descargando la grabación. Con la conversación, la primera grabación
+// fija su idioma. Los segundos transcritos se apuntan en usageTarget
+async function getRecordingText(recording, conversation = null, usageTarget = conversation) {
+  const detect = !!conversation && !conversation.languageDetected;
+  
+  // El texto del proveedor viene en el idioma del barge-in: no sirve para detectar el de la llamada
+  if (recording.speechText && !(detect && recording.recordingUrl)) {
+    return recording.speechText;
+  }
+  
+  if (!recording.recordingUrl) {
+    return '';
+  }
+  
+  // Descargar y transcribir audio (las llamadas salientes van siempre en español)
+  const language = conversation ? conversation.language : DEFAULT_LANGUAGE;
+  const transcription = await transcribeAudioFromUrl(recording.recordingUrl, detect ? null : language);
+  addUsage(usageTarget, { sttSeconds: transcription.duration });
+  
+  if (detect && transcription.text.trim()) {
+    applyDetectedLanguage(conversation, transcription.language);
+  }
+  
+  return transcription.text;
+}
+
+// Función auxiliar para transcribir audio desde URL (con idioma null, Whisper lo detecta)
+async function transcribeAudioFromUrl(audioUrl, language) {
   try {
     const response = await fetch(audioUrl);
     const arrayBuffer = await response.arrayBuffer();
@@ -245,21 +1334,21 @@ async function transcribeAudioFromUrl(audioUrl) {
     fs.writeFileSync(tempFile, buffer);
     
     // Transcribir
-    const text = await transcribeAudio(tempFile);
+    const transcription = await transcribeAudioDetailed(tempFile, language);
     
     // Limpiar archivo temporal
     fs.unlinkSync(tempFile);
     
-    return text;
+    return transcription;
   } catch (error) {
     logError('Error transcribiendo audio desde URL:', error);
-    return '';
+    return { text: '', language: null, duration: 0 };
   }
 }
 
-// Endpoint para obtener conversación activa
-router.get('/conversation/:callId', (req, res) => {
-  const conversation = activeConversations.get(req.params.callId);
+// Endpoint para obtener conversación activa (incluye el perfil y el teléfono del cliente)
+router.get('/conversation/:callId', requireAdminKey, async (req, res) => {
+  const conversation = await conversationStore.get(req.params.callId);
   if (conversation) {
     res.json(conversation);
   } else {
@@ -267,4 +1356,182 @@ router.get('/conversation/:callId', (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Archivo de conversaciones terminadas (filtros: businessId, status, channel, dateFrom, dateTo, q)
+router.get('/conversations', requireAdminKey, (req, res) => {
+  try {
+    const records = searchCallRecords(getArchiveFilters(req));
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    
+    res.json({
+      success: true,
+      total: records.length,
+      conversations: records.slice(offset, offset + limit)
+    });
+    
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Exportar el archivo de conversaciones (format=json|csv, mismos filtros)
+router.get('/conversations/export', requireAdminKey, (req, res) => {
+  try {
+    const records = searchCallRecords(getArchiveFilters(req));
+    const filename = `conversaciones-${new Date().toISOString().slice(0, 10)}`;
+    
+    if (req.query.format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      // BOM para que Excel reconozca las tildes
+      return res.send('\uFEFF' + callRecordsToCsv(records));
+    }
+    
+    res.set('Content-Disposition', `attachment; filename="${filename}.json"`);
+    res.json(records);
+    
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Conversación archivada con su transcripción
+router.get('/conversations/:callId', requireAdminKey, (req, res) => {
+  const record = getCallRecord(req.params.callId);
+  if (record) {
+    res.json({ success: true, conversation: record });
+  } else {
+    res.status(404).json({ success: false, error: 'Conversación no encontrada' });
+  }
+});
+
+// Perfiles de clientes habituales de un negocio
+router.get('/callers', requireAdminKey, (req, res) => {
+  res.json({
+    success: true,
+    callers: listCallerProfiles(req.query.businessId)
+  });
+});
+
+router.get('/callers/:phone', requireAdminKey, (req, res) => {
+  const profile = getCallerProfile(req.query.businessId || 'default', req.params.phone);
+  if (profile) {
+    res.json({ success: true, caller: profile });
+  } else {
+    res.status(404).json({ success: false, error: 'Cliente no encontrado' });
+  }
+});
+
+// Corregir el nombre o las preferencias de un cliente
+router.put('/callers/:phone', requireAdminKey, (req, res) => {
+  const profile = updateCallerProfile(req.body.businessId || req.query.businessId || 'default', req.params.phone, {
+    name: req.body.name,
+    preferences: req.body.preferences
+  });
+  
+  if (!profile) {
+    return res.status(400).json({ success: false, error: 'Teléfono no válido' });
+  }
+  res.json({ success: true, caller: profile });
+});
+
+// Borrar los datos de un cliente que lo solicite
+router.delete('/callers/:phone', requireAdminKey, (req, res) => {
+  if (deleteCallerProfile(req.query.businessId || 'default', req.params.phone)) {
+    res.json({ success: true });
+  } else {
+    res.status(404).json({ success: false, error: 'Cliente no encontrado' });
+  }
+});
+
+// Turnos bloqueados por las protecciones del asistente (más recientes primero)
+router.get('/guardrails', requireAdminKey, (req, res) => {
+  res.json({
+    success: true,
+    events: listGuardrailEvents({
+      businessId: req.query.businessId,
+      stage: req.query.stage,
+      reason: req.query.reason,
+      limit: req.query.limit
+    })
+  });
+});
+
+// Consumo y coste por día o por mes (?businessId=&period=day|month&from=&to=)
+router.get('/usage', requireAdminKey, (req, res) => {
+  const { businessId, period = 'day', from, to } = req.query;
+  
+  if (!['day', 'month'].includes(period)) {
+    return res.status(400).json({ success: false, error: `Periodo no válido: ${period}` });
+  }
+  
+  res.json({
+    success: true,
+    ...getUsageReport({ businessId, period, from, to }),
+    budget: businessId ? getBudgetStatus(businessId) : null
+  });
+});
+
+// Gasto del mes frente al presupuesto del negocio
+router.get('/usage/budget', requireAdminKey, (req, res) => {
+  res.json({ success: true, budget: getBudgetStatus(req.query.businessId || 'default') });
+});
+
+// Vista previa del saludo, la despedida y el prompt del asistente con los datos actuales
+// del Dashboard. `persona` permite probar cambios antes de guardarlos en la configuración
+router.post('/persona/preview', requireAdminKey, async (req, res) => {
+  try {
+    const { businessId = 'default', persona: draft = null, language = null, callerName = 'María' } = req.body || {};
+    
+    if (draft !== null && (typeof draft !== 'object' || Array.isArray(draft))) {
+      return res.status(400).json({ success: false, errors: ['persona debe ser un objeto'] });
+    }
+    
+    const persona = getPersona(businessId, draft);
+    const errors = validatePersona(persona);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, errors: errors });
+    }
+    
+    const businessConfig = getBusinessConfig(businessId);
+    const previewLanguage = language
+      ? resolveLanguage(language, businessConfig.languages)
+      : getDefaultLanguage(businessConfig.languages);
+    const dashboardData = await getDashboardData(businessId);
+    
+    res.json({
+      success: true,
+      businessId: businessId,
+      language: previewLanguage,
+      persona: persona,
+      greeting: renderGreeting(persona, { language: previewLanguage, dashboardData }),
+      returningGreeting: renderGreeting(persona, { language: previewLanguage, dashboardData, callerName }),
+      farewell: renderFarewell(persona, { language: previewLanguage, dashboardData }),
+      systemPrompt: createSystemPrompt(dashboardData, businessId, {
+        persona: draft,
+        language: previewLanguage,
+        canTransfer: !!businessConfig.transfer.staffNumber,
+        maxPartySize: businessConfig.ivr.maxPartySize
+      })
+    });
+    
+  } catch (error) {
+    logError('Error en la vista previa del asistente:', error);
+    res.status(500).json({ success: false, error: 'Error generando la vista previa' });
+  }
+});
+
+// Función auxiliar para leer los filtros del archivo de conversaciones
+function getArchiveFilters(req) {
+  return {
+    businessId: req.query.businessId,
+    status: req.query.status,
+    channel: req.query.channel,
+    dateFrom: req.query.dateFrom,
+    dateTo: req.query.dateTo,
+    q: req.query.q
+  };
+}
+
+module.exports = router;
+module.exports.streamHandlers = streamHandlers;
\ No newline at end of file
@@ -6,6 +6,9 @@ const fs = require('fs');
 require('dotenv').config();
 
 const voiceRoutes = require('./routes/voice');
+const { startOutboundScheduler } = require('./services/outbound');
+const { attachMediaStreamServer } = require('./services/mediaStream');
+const { getLlmSettings, validateLlmConfig } = require('./config/llm');
 const { logInfo, logError } = require('./utils/logger');
 
 const app = express();
@@ -13,7 +16,7 @@ const PORT = process.env.PORT || 3001;
 
 // Función para crear directorios necesarios
 const createDirectories = () => {
-  const dirs = ['uploads', 'logs', 'public'];
+  const dirs = ['uploads', 'logs', 'public', 'data'];
   
   dirs.forEach(dir => {
     if (!fs.existsSync(dir)) {
@@ -26,10 +29,18 @@ const createDirectories = () => {
 // Crear directorios antes de inicializar
 createDirectories();
 
+// Railway y otros proxies terminan HTTPS: necesario para generar URLs públicas correctas
+app.set('trust proxy', true);
+
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+// Guardar el cuerpo original para validar firmas de webhooks
+const saveRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+
+app.use(express.json({ limit: '50mb', verify: saveRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '50mb', verify: saveRawBody }));
 
 // Servir archivos estáticos
 app.use('/public', express.static('public'));
@@ -112,6 +123,7 @@ app.get('/api/business/:businessId', async (req, res) => {
 
 // Ruta de salud
 app.get('/health', (req, res) => {
+  const llmSettings = getLlmSettings('default');
   const healthStatus = {
     status: 'OK',
     timestamp: new Date().toISOString(),
@@ -126,6 +138,7 @@ app.get('/health', (req, res) => {
     },
     config: {
       openai_configured: !!process.env.OPENAI_API_KEY,
+      llm_provider: `${llmSettings.provider} (${llmSettings.model})`,
       dashboard_url: process.env.DASHBOARD_BASE_URL || 'Not configured',
       phone_provider: process.env.PHONE_PROVIDER || 'Not set'
     }
@@ -146,6 +159,8 @@ app.get('/', (req, res) => {
       widget: `${baseUrl}/widget`,
       voice_api: `${baseUrl}/voice/call`,
       webhook: `${baseUrl}/voice/webhook`,
+      hangup: `${baseUrl}/voice/hangup`,
+      media_stream: `${baseUrl.replace(/^http/, 'ws')}/voice/stream`,
       health: `${baseUrl}/health`,
       business_info: `${baseUrl}/api/business/{businessId}`
     },
@@ -243,6 +258,7 @@ app.use((req, res) => {
       '/widget',
       '/voice/call',
       '/voice/webhook',
+      '/voice/hangup',
       '/api/business/:businessId'
     ]
   });
@@ -256,6 +272,8 @@ const validateConfig = () => {
     errors.push('❌ OPENAI_API_KEY no configurada correctamente');
   }
   
+  errors.push(...validateLlmConfig());
+  
   if (!process.env.DASHBOARD_BASE_URL || process.env.DASHBOARD_BASE_URL.includes('tu-dashboard')) {
     logError('⚠️ DASHBOARD_BASE_URL no configurada - usando valores por defecto');
   }
@@ -271,7 +289,7 @@ const validateConfig = () => {
 };
 
 // Iniciar servidor
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logInfo(`🚀 Asisteme Voice API funcionando en puerto ${PORT}`);
   logInfo(`🌐 Servidor disponible en: http://localhost:${PORT}`);
   logInfo(`📱 Dashboard conectado a: ${process.env.DASHBOARD_BASE_URL || 'No configurado'}`);
@@ -286,4 +304,10 @@ app.listen(PORT, () => {
   }
   
   logInfo(`🎯 Widget disponible en: http://localhost:${PORT}/widget`);
-});
\ No newline at end of file
+  
+  // Recordatorios y confirmaciones por llamada saliente
+  startOutboundScheduler();
+});
+
+// Audio en tiempo real por WebSocket (las rutas por turnos siguen como alternativa)
+attachMediaStreamServer(server, voiceRoutes.streamHandlers);
\ No newline at end of file
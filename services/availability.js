@@ -0,0 +1,161 @@
+const { buscarMesa, consultarHorario, getHorarios } = require('../utils/dashboard');
+const { logInfo, logError } = require('../utils/logger');
+
+const TIME_OFFSETS_MINUTES = [30, -30, 60, -60, 90, -90]; // Alternativas el mismo día
+const NEXT_DAYS = 3; // Alternativas a la misma hora los días siguientes
+const MAX_ALTERNATIVES = 3;
+const MAX_LOOKUPS = 8; // Consultas al backend por búsqueda de alternativas
+
+const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+
+/**
+ * Comprueba si hay mesa y, si no, busca alternativas cercanas (otras horas y otros días)
+ * @param {Object} request - { date: 'YYYY-MM-DD', time: 'HH:MM', people }
+ * @returns {Promise<Object>} - { available, date, time, people, alternatives }; available
+ *   es null si el backend no responde
+ */
+async function checkAvailability({ date, time, people }) {
+  logInfo(`🔎 Consultando disponibilidad: ${date} ${time}, ${people} personas`);
+
+  const result = { available: false, date, time, people, alternatives: [] };
+  const weeklyHours = await getWeeklyHours();
+
+  if (!isOpenAt(weeklyHours, date, time)) {
+    result.closed = true;
+  } else {
+    result.available = await hasTable(date, time, people);
+    if (result.available !== false) {
+      return result;
+    }
+  }
+
+  result.alternatives = await findAlternatives({ date, time, people }, weeklyHours);
+  logInfo(`🔎 Sin mesa a esa hora; ${result.alternatives.length} alternativas encontradas`);
+  return result;
+}
+
+/**
+ * Horario de un día concreto: lo que devuelve el backend y el horario semanal de ese día
+ * @param {string} date - Fecha YYYY-MM-DD
+ * @returns {Promise<Object>} - { date, weekday, open, opening, closing, details }
+ */
+async function getScheduleForDate(date) {
+  const weekday = WEEKDAYS[new Date(`${date}T12:00:00`).getDay()];
+  const weeklyHours = await getWeeklyHours();
+  const day = weeklyHours && weeklyHours[weekday];
+
+  let details = null;
+  try {
+    details = await consultarHorario(date);
+  } catch (error) {
+    // El horario semanal es suficiente para responder
+  }
+
+  return {
+    date: date,
+    weekday: weekday,
+    open: day ? !!day.abierto : null,
+    opening: day && day.abierto ? day.apertura : null,
+    closing: day && day.abierto ? day.cierre : null,
+    details: details
+  };
+}
+
+/**
+ * Busca otras horas el mismo día y la misma hora los días siguientes
+ */
+async function findAlternatives({ date, time, people }, weeklyHours) {
+  const candidates = [
+    ...TIME_OFFSETS_MINUTES.map(offset => ({ date, time: shiftTime(time, offset) })),
+    ...Array.from({ length: NEXT_DAYS }, (_, i) => ({ date: addDays(date, i + 1), time }))
+  ].filter(candidate => candidate.time && !isPast(candidate) && isOpenAt(weeklyHours, candidate.date, candidate.time));
+
+  const alternatives = [];
+  let lookups = 0;
+
+  for (const candidate of candidates) {
+    if (alternatives.length >= MAX_ALTERNATIVES || lookups >= MAX_LOOKUPS) {
+      break;
+    }
+
+    lookups++;
+    if (await hasTable(candidate.date, candidate.time, people) === true) {
+      alternatives.push(candidate);
+    }
+  }
+
+  return alternatives;
+}
+
+/**
+ * Consulta al backend si hay mesa libre
+ * @returns {Promise<boolean|null>} - null si no se ha podido consultar
+ */
+async function hasTable(date, time, people) {
+  try {
+    const response = await buscarMesa({ fecha: date, hora: time, personas: parseInt(people) });
+    return !!(response && (response.mesaId || response.mesa));
+  } catch (error) {
+    // El backend responde con un error HTTP cuando no hay mesas; sin respuesta no se sabe
+    return error.response ? false : null;
+  }
+}
+
+/**
+ * Horario semanal del restaurante (null si el backend no lo da)
+ */
+async function getWeeklyHours() {
+  try {
+    return await getHorarios();
+  } catch (error) {
+    logError('Sin horario semanal para filtrar alternativas:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Comprueba si el restaurante abre a esa hora (sin horario conocido se asume que sí)
+ */
+function isOpenAt(weeklyHours, date, time) {
+  const day = weeklyHours && weeklyHours[WEEKDAYS[new Date(`${date}T12:00:00`).getDay()]];
+  if (!day) {
+    return true;
+  }
+  if (!day.abierto) {
+    return false;
+  }
+
+  // Horario que pasa de medianoche (p. ej. 20:00 - 01:00)
+  if (day.cierre <= day.apertura) {
+    return time >= day.apertura || time < day.cierre;
+  }
+  return time >= day.apertura && time < day.cierre;
+}
+
+function shiftTime(time, minutes) {
+  const [hours, mins] = time.split(':').map(Number);
+  const total = hours * 60 + mins + minutes;
+  if (total < 0 || total >= 24 * 60) {
+    return null;
+  }
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function addDays(date, days) {
+  const next = new Date(`${date}T12:00:00`);
+  next.setDate(next.getDate() + days);
+  return [
+    next.getFullYear(),
+    String(next.getMonth() + 1).padStart(2, '0'),
+    String(next.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+function isPast({ date, time }) {
+  return new Date(`${date}T${time}:00`) < new Date();
+}
+
+module.exports = {
+  checkAvailability,
+  getScheduleForDate
+};
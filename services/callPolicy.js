@@ -0,0 +1,74 @@
+// Cuándo termina una llamada: lo decide el modelo (acción end_call), los límites de
+// turnos y duración del negocio o los silencios seguidos del cliente
+const { getBusinessConfig } = require('../config/businesses');
+const { DIALOG_STATES } = require('./reservationDialog');
+
+/**
+ * Obtiene la política de fin de llamada de un negocio
+ * @param {string} businessId - ID del negocio
+ * @returns {Object} - { maxTurns, maxDurationSeconds, maxSilences }
+ */
+function getCallPolicy(businessId) {
+  return getBusinessConfig(businessId).callPolicy;
+}
+
+/**
+ * Indica si la respuesta del asistente termina la llamada
+ * @param {Object} response - Respuesta de processConversation
+ * @returns {boolean}
+ */
+function isEndCall(response) {
+  return !!response && !!response.action && response.action.type === 'end_call';
+}
+
+/**
+ * Comprueba los límites de turnos y duración. No corta nunca con una reserva o un
+ * cambio leídos al cliente y pendientes de su respuesta
+ * @param {Object} conversation - Conversación activa
+ * @param {Object} policy - Política del negocio
+ * @returns {string|null} - max_turns | max_duration, o null si la llamada puede seguir
+ */
+function checkCallLimits(conversation, policy) {
+  const dialog = conversation.reservationDialog;
+  if ((dialog && dialog.state === DIALOG_STATES.READBACK) || conversation.pendingReservationChange) {
+    return null;
+  }
+
+  const turns = conversation.messages.filter(message => message.role === 'user').length;
+  if (policy.maxTurns > 0 && turns >= policy.maxTurns) {
+    return 'max_turns';
+  }
+
+  const elapsedSeconds = (Date.now() - new Date(conversation.startTime).getTime()) / 1000;
+  if (policy.maxDurationSeconds > 0 && elapsedSeconds >= policy.maxDurationSeconds) {
+    return 'max_duration';
+  }
+
+  return null;
+}
+
+/**
+ * Registra una grabación vacía del cliente
+ * @param {Object} conversation - Conversación activa
+ * @param {Object} policy - Política del negocio
+ * @returns {boolean} - True si hay que despedirse y colgar
+ */
+function registerSilence(conversation, policy) {
+  conversation.silences = (conversation.silences || 0) + 1;
+  return policy.maxSilences > 0 && conversation.silences >= policy.maxSilences;
+}
+
+/**
+ * El cliente ha vuelto a hablar: los silencios se cuentan de nuevo
+ */
+function resetSilences(conversation) {
+  conversation.silences = 0;
+}
+
+module.exports = {
+  getCallPolicy,
+  isEndCall,
+  checkCallLimits,
+  registerSilence,
+  resetSilences
+};
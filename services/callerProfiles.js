@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizePhone } = require('../utils/phone');
+const { logInfo, logError } = require('../utils/logger');
+
+// Perfiles de clientes por negocio y teléfono
+const PROFILES_FILE = process.env.CALLER_PROFILES_PATH || path.join(__dirname, '..', 'data', 'caller-profiles.json');
+
+const MAX_RESERVATIONS = 10; // Reservas recientes que se recuerdan por cliente
+
+// Preferencias que se detectan en lo que dice el cliente
+const PREFERENCE_PATTERNS = [
+  { label: 'terraza', pattern: /terraza|fuera|exterior/i },
+  { label: 'interior', pattern: /\binterior\b|dentro/i },
+  { label: 'trona para bebé', pattern: /trona|silla (?:de|para) (?:bebé|niño)/i },
+  { label: 'sin gluten', pattern: /sin gluten|cel[ií]ac/i },
+  { label: 'vegetariano', pattern: /vegetarian/i },
+  { label: 'vegano', pattern: /vegan/i },
+  { label: 'accesible en silla de ruedas', pattern: /silla de ruedas|movilidad reducida/i },
+  { label: 'zona tranquila', pattern: /tranquil|apartad/i }
+];
+
+let profiles = loadProfiles();
+
+/**
+ * Carga los perfiles guardados
+ * @returns {Object} - Perfiles indexados por "businessId:teléfono"
+ */
+function loadProfiles() {
+  try {
+    if (!fs.existsSync(PROFILES_FILE)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf8'));
+  } catch (error) {
+    logError('Error cargando perfiles de clientes:', error);
+    return {};
+  }
+}
+
+/**
+ * Guarda los perfiles en disco (escritura atómica)
+ */
+function saveProfiles() {
+  try {
+    fs.mkdirSync(path.dirname(PROFILES_FILE), { recursive: true });
+    const tempFile = `${PROFILES_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(profiles, null, 2));
+    fs.renameSync(tempFile, PROFILES_FILE);
+  } catch (error) {
+    logError('Error guardando perfiles de clientes:', error);
+  }
+}
+
+function profileKey(businessId, phone) {
+  return `${businessId}:${phone}`;
+}
+
+/**
+ * Obtiene el perfil de un cliente
+ * @param {string} businessId - ID del negocio
+ * @param {string} phone - Teléfono en cualquier formato
+ * @returns {Object|null} - Perfil del cliente (null si no hay o el número está oculto)
+ */
+function getCallerProfile(businessId, phone) {
+  const normalized = normalizePhone(phone);
+  return normalized ? profiles[profileKey(businessId, normalized)] || null : null;
+}
+
+/**
+ * Obtiene o crea el perfil de un cliente
+ */
+function getOrCreateProfile(businessId, phone) {
+  const normalized = normalizePhone(phone);
+  if (!normalized) {
+    return null;
+  }
+
+  const key = profileKey(businessId, normalized);
+  if (!profiles[key]) {
+    profiles[key] = {
+      phone: normalized,
+      businessId: businessId,
+      name: null,
+      partySizes: {},
+      usualPartySize: null,
+      preferences: [],
+      reservations: [],
+      callCount: 0,
+      firstSeen: new Date().toISOString(),
+      lastSeen: null
+    };
+  }
+  return profiles[key];
+}
+
+/**
+ * Registra una llamada entrante y devuelve el perfil tal y como estaba antes
+ * @param {string} businessId - ID del negocio
+ * @param {string} phone - Teléfono del cliente
+ * @returns {Object|null} - Resumen del perfil si el cliente ya había llamado
+ */
+function registerCall(businessId, phone) {
+  const profile = getOrCreateProfile(businessId, phone);
+  if (!profile) {
+    return null;
+  }
+
+  const summary = profile.callCount > 0 || profile.reservations.length > 0 ? getProfileSummary(profile) : null;
+
+  profile.callCount++;
+  profile.lastSeen = new Date().toISOString();
+  saveProfiles();
+
+  if (summary) {
+    logInfo(`👋 Cliente habitual: ${profile.name || profile.phone} (${profile.callCount} llamadas)`);
+  }
+  return summary;
+}
+
+/**
+ * Actualiza el perfil tras una reserva: nombre, tamaño de grupo y preferencias
+ * @param {string} businessId - ID del negocio
+ * @param {string} phone - Teléfono del cliente
+ * @param {Object} reservation - Datos de la reserva (name, people, date, time, id)
+ * @param {Array} messages - Mensajes de la conversación (para detectar preferencias)
+ * @returns {Object|null} - Perfil actualizado
+ */
+function recordReservation(businessId, phone, reservation, messages = []) {
+  const profile = getOrCreateProfile(businessId, phone);
+  if (!profile) {
+    return null;
+  }
+
+  if (reservation.name) {
+    profile.name = reservation.name;
+  }
+
+  const people = parseInt(reservation.people);
+  if (people) {
+    profile.partySizes[people] = (profile.partySizes[people] || 0) + 1;
+    profile.usualPartySize = parseInt(Object.keys(profile.partySizes)
+      .sort((a, b) => profile.partySizes[b] - profile.partySizes[a])[0]);
+  }
+
+  profile.reservations = [{
+    id: reservation.id || reservation.numero || null,
+    date: reservation.date || null,
+    time: reservation.time || null,
+    people: people || null,
+    createdAt: new Date().toISOString()
+  }, ...profile.reservations].slice(0, MAX_RESERVATIONS);
+
+  const userText = messages.filter(m => m.role === 'user').map(m => m.content).join(' ');
+  detectPreferences(userText).forEach(preference => {
+    if (!profile.preferences.includes(preference)) {
+      profile.preferences.push(preference);
+    }
+  });
+
+  profile.lastSeen = new Date().toISOString();
+  saveProfiles();
+
+  return profile;
+}
+
+/**
+ * Detecta preferencias conocidas en un texto
+ * @param {string} text - Texto del cliente
+ * @returns {Array<string>} - Preferencias detectadas
+ */
+function detectPreferences(text = '') {
+  return PREFERENCE_PATTERNS.filter(({ pattern }) => pattern.test(text)).map(({ label }) => label);
+}
+
+/**
+ * Resumen del perfil para el asistente (sin el historial completo)
+ */
+function getProfileSummary(profile) {
+  return {
+    phone: profile.phone,
+    name: profile.name,
+    usualPartySize: profile.usualPartySize,
+    preferences: profile.preferences,
+    lastReservation: profile.reservations[0] || null,
+    reservationCount: profile.reservations.length,
+    callCount: profile.callCount
+  };
+}
+
+/**
+ * Actualiza a mano el nombre o las preferencias de un cliente
+ * @param {string} businessId - ID del negocio
+ * @param {string} phone - Teléfono del cliente
+ * @param {Object} changes - { name, preferences }
+ * @returns {Object|null} - Perfil actualizado
+ */
+function updateCallerProfile(businessId, phone, changes = {}) {
+  const profile = getOrCreateProfile(businessId, phone);
+  if (!profile) {
+    return null;
+  }
+
+  if (changes.name !== undefined) {
+    profile.name = changes.name || null;
+  }
+  if (Array.isArray(changes.preferences)) {
+    profile.preferences = changes.preferences.map(String);
+  }
+
+  saveProfiles();
+  return profile;
+}
+
+/**
+ * Borra el perfil de un cliente (derecho de supresión)
+ * @returns {boolean} - true si existía
+ */
+function deleteCallerProfile(businessId, phone) {
+  const normalized = normalizePhone(phone);
+  const key = normalized && profileKey(businessId, normalized);
+
+  if (!key || !profiles[key]) {
+    return false;
+  }
+
+  delete profiles[key];
+  saveProfiles();
+  logInfo(`🗑️ Perfil de cliente eliminado: ${normalized}`);
+  return true;
+}
+
+/**
+ * Lista los perfiles de un negocio (más recientes primero)
+ */
+function listCallerProfiles(businessId) {
+  return Object.values(profiles)
+    .filter(profile => !businessId || profile.businessId === businessId)
+    .sort((a, b) => String(b.lastSeen).localeCompare(String(a.lastSeen)));
+}
+
+module.exports = {
+  getCallerProfile,
+  registerCall,
+  recordReservation,
+  detectPreferences,
+  getProfileSummary,
+  updateCallerProfile,
+  deleteCallerProfile,
+  listCallerProfiles
+};
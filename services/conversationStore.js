@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { logInfo, logError, logWarning } = require('../utils/logger');
+
+// Directorio del almacén en disco (una conversación por archivo)
+const FILE_STORE_DIR = process.env.CONVERSATION_STORE_DIR || path.join(__dirname, '..', 'data', 'conversations');
+
+const DEFAULT_TTL_MINUTES = 60; // Llamadas sin actividad durante este tiempo se dan por terminadas
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 30 * 1000; // Un turno (STT + LLM + TTS) puede tardar varios segundos
+const STALE_LOCK_MS = 60 * 1000; // Bloqueo de un proceso caído
+
+/**
+ * Crea el almacén de conversaciones configurado (CONVERSATION_STORE=file|memory)
+ *
+ * Interfaz común:
+ * - create(callId, conversation): guarda una conversación nueva
+ * - get(callId): copia de la conversación (o null), sin bloquear
+ * - update(callId, fn): ejecuta fn(conversation) con la conversación bloqueada y guarda
+ *   los cambios; si fn marca conversation.finished, la conversación se elimina
+ * - list(): todas las conversaciones activas
+ *
+ * Las llamadas salientes y los SMS usan el mismo almacén (con su directorio, su caducidad
+ * y su nombre en los logs): así sobreviven a reinicios y se comparten entre instancias
+ *
+ * @param {Object} options - { type, dir, ttlMinutes, name, onExpire(callId, conversation) }
+ * @returns {Object} - Almacén de conversaciones
+ */
+function createConversationStore(options = {}) {
+  const type = options.type || process.env.CONVERSATION_STORE || 'file';
+  const backend = type === 'memory' ? createMemoryBackend() : createFileBackend(options.dir || FILE_STORE_DIR);
+  const ttlMinutes = options.ttlMinutes || parseInt(process.env.CONVERSATION_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+  const name = options.name || 'conversaciones';
+
+  const store = {
+    type: type,
+
+    async create(callId, conversation) {
+      conversation.callId = callId;
+      await backend.withLock(callId, () => backend.write(callId, touch(conversation)));
+      return conversation;
+    },
+
+    async get(callId) {
+      return callId ? backend.read(callId) : null;
+    },
+
+    async update(callId, fn) {
+      if (!callId) {
+        return fn(null);
+      }
+
+      return backend.withLock(callId, async () => {
+        const conversation = await backend.read(callId);
+        const result = await fn(conversation);
+
+        if (conversation && conversation.finished) {
+          await backend.remove(callId);
+        } else if (conversation) {
+          await backend.write(callId, touch(conversation));
+        }
+
+        return result;
+      });
+    },
+
+    async list() {
+      const callIds = await backend.keys();
+      const conversations = await Promise.all(callIds.map(callId => backend.read(callId)));
+      return conversations.filter(Boolean);
+    },
+
+    // Da por terminadas las llamadas inactivas (el proveedor no avisó del cuelgue)
+    async sweepExpired() {
+      const limit = Date.now() - ttlMinutes * 60 * 1000;
+      let expired = 0;
+
+      for (const callId of await backend.keys()) {
+        await store.update(callId, async conversation => {
+          if (!conversation || new Date(conversation.updatedAt).getTime() > limit) {
+            return;
+          }
+
+          expired++;
+          conversation.finished = true;
+          if (options.onExpire) {
+            await options.onExpire(callId, conversation);
+          }
+        });
+      }
+
+      if (expired > 0) {
+        logInfo(`🧹 Caducidad por inactividad: ${expired} ${name}`);
+      }
+    }
+  };
+
+  const sweepTimer = setInterval(() => {
+    store.sweepExpired().catch(error => logError(`Error limpiando el almacén de ${name}:`, error));
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref(); // No impedir que el proceso termine
+
+  logInfo(`💾 Almacén de ${name}: ${type} (caducidad ${ttlMinutes} min)`);
+  return store;
+}
+
+/**
+ * Marca la última actividad de la conversación
+ */
+function touch(conversation) {
+  conversation.updatedAt = new Date().toISOString();
+  return conversation;
+}
+
+/**
+ * Almacén en memoria (un solo proceso). Guarda copias serializadas para que
+ * se comporte igual que el de disco: nadie modifica una conversación fuera de update()
+ */
+function createMemoryBackend() {
+  const conversations = new Map();
+  const locks = new Map();
+
+  return {
+    async read(callId) {
+      const data = conversations.get(callId);
+      return data ? JSON.parse(data) : null;
+    },
+
+    async write(callId, conversation) {
+      conversations.set(callId, JSON.stringify(conversation));
+    },
+
+    async remove(callId) {
+      conversations.delete(callId);
+    },
+
+    async keys() {
+      return Array.from(conversations.keys());
+    },
+
+    // Cola por llamada: cada actualización espera a la anterior
+    async withLock(callId, fn) {
+      const previous = locks.get(callId) || Promise.resolve();
+      const current = previous.catch(() => {}).then(fn);
+      const tail = current.catch(() => {});
+
+      locks.set(callId, tail);
+      tail.then(() => {
+        if (locks.get(callId) === tail) {
+          locks.delete(callId);
+        }
+      });
+
+      return current;
+    }
+  };
+}
+
+/**
+ * Almacén en disco: sobrevive a reinicios y se puede compartir entre
+ * instancias con el mismo volumen. El bloqueo usa un archivo .lock creado en exclusiva
+ */
+function createFileBackend(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const fileFor = callId => path.join(dir, `${String(callId).replace(/[^\w.-]/g, '_')}.json`);
+
+  return {
+    async read(callId) {
+      try {
+        return JSON.parse(await fs.promises.readFile(fileFor(callId), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logError(`Error leyendo la conversación ${callId}:`, error);
+        }
+        return null;
+      }
+    },
+
+    // Escritura atómica: archivo temporal y renombrado
+    async write(callId, conversation) {
+      const file = fileFor(callId);
+      const tempFile = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tempFile, JSON.stringify(conversation));
+      await fs.promises.rename(tempFile, file);
+    },
+
+    async remove(callId) {
+      await fs.promises.rm(fileFor(callId), { force: true });
+    },
+
+    async keys() {
+      const files = await fs.promises.readdir(dir);
+      const callIds = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(async file => {
+          const conversation = await this.read(file.slice(0, -5));
+          return conversation && conversation.callId;
+        }));
+      return callIds.filter(Boolean);
+    },
+
+    async withLock(callId, fn) {
+      const lockFile = `${fileFor(callId)}.lock`;
+      const startedAt = Date.now();
+
+      for (;;) {
+        try {
+          await (await fs.promises.open(lockFile, 'wx')).close();
+          break;
+        } catch (error) {
+          if (error.code !== 'EEXIST') {
+            throw error;
+          }
+
+          await removeStaleLock(lockFile);
+
+          if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+            throw new Error(`Conversación ${callId} bloqueada demasiado tiempo`);
+          }
+          await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+      }
+
+      try {
+        return await fn();
+      } finally {
+        await fs.promises.rm(lockFile, { force: true });
+      }
+    }
+  };
+}
+
+/**
+ * Elimina el bloqueo de un proceso que terminó sin liberarlo
+ */
+async function removeStaleLock(lockFile) {
+  try {
+    const stats = await fs.promises.stat(lockFile);
+    if (Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+      logWarning(`🔓 Eliminando bloqueo abandonado: ${path.basename(lockFile)}`);
+      await fs.promises.rm(lockFile, { force: true });
+    }
+  } catch (error) {
+    // El bloqueo ya se liberó
+  }
+}
+
+module.exports = {
+  createConversationStore
+};
@@ -0,0 +1,287 @@
+// Protecciones alrededor del LLM: intentos de cambiar sus instrucciones, peticiones ajenas
+// al restaurante, precios y horarios que no están en el Dashboard y textos libres de la reserva
+const fs = require('fs');
+const path = require('path');
+const { getBusinessConfig } = require('../config/businesses');
+const { logWarning, logError } = require('../utils/logger');
+
+// Turnos bloqueados (uno por línea, para revisarlos desde el panel)
+const GUARDRAIL_EVENTS_FILE = path.join(__dirname, '..', 'data', 'guardrail-events.jsonl');
+
+// Se comparan con el texto en minúsculas y sin acentos
+const INJECTION_PATTERNS = [
+  /\b(ignora|olvida|olvidate de|omite|saltate)\b.{0,40}\b(instrucciones|reglas|normas|indicaciones|prompt)\b/,
+  /\b(ignore|forget|disregard|override)\b.{0,40}\b(instructions?|rules|prompt|guidelines)\b/,
+  /\b(ignore|oublie)\b.{0,40}\b(instructions?|regles|consignes)\b/,
+  /\b(ignora|oblida)\b.{0,40}\b(instruccions|regles|normes)\b/,
+  /\b(system prompt|prompt del sistema|prompt de sistema|instrucciones del sistema|mensaje del sistema)\b/,
+  /\b(repite|dime|muestra|ensename|revela|lee)(me)?\b.{0,30}\b(tus|las) (instrucciones|reglas|normas)\b/,
+  /\b(reveal|show|repeat|print|tell me)\b.{0,30}\b(your|the) (instructions|prompt|rules)\b/,
+  /\b(a partir de ahora|desde ahora)\b.{0,30}\b(eres|seras|vas a ser|actua|responde)\b/,
+  /\bfrom now on\b.{0,30}\b(you are|you will|act|answer)\b/,
+  /\b(actua|comportate|finge|haz) (como si fueras|que eres|ser)\b/,
+  /\b(act as|pretend to be|pretend you are|roleplay as)\b/,
+  /\b(modo (desarrollador|administrador|dios)|developer mode|jailbreak|dan mode)\b/,
+  /\[\s*(accion|action)\s*:/,
+  /<\/?\s*(system|assistant|instructions?)\s*>/
+];
+
+// Temas claramente ajenos al restaurante
+const OFF_TOPIC_PATTERNS = [
+  /\b(javascript|python|html|sql|codigo fuente|write (some|a) code|escribe(me)? (un )?(codigo|programa))\b/,
+  /\b(escribe|escribeme|redacta|write|ecris|escriu)\b.{0,30}\b(poema|cuento|redaccion|ensayo|cancion|poem|essay|story|song|poeme|histoire|conte)\b/,
+  /\b(deberes|ecuacion|homework|equation|devoirs|deures|equacio)\b/,
+  /\b(elecciones|partido politico|politica|presidente del gobierno|elections?|politics|politique|eleccions)\b/,
+  /\b(bitcoin|criptomonedas?|cryptocurrency|crypto|invertir en bolsa|stock market|bourse)\b/,
+  /\b(diagnostico|receta medica|abogado|demanda judicial|diagnosis|lawyer|prescription)\b/
+];
+
+// Una frase sobre el restaurante no se considera fuera de tema aunque mencione otra cosa
+const ON_TOPIC_PATTERN = /\b(reserv\w*|mesa|menu|carta|plato|horario|abr(is|en|e)|cerr(ais|an|ado)|table|book\w*|dish|opening|ouvert|taula|plat)\b/;
+
+// Frases sobre el horario del negocio (en ellas las horas deben estar en el Dashboard)
+const HOURS_PATTERN = /\b(abrimos|abre|abren|abierto|abiertos|cerramos|cierra|cierran|cerrado|horario|apertura|cierre|open|opens|closes|closing|opening|hours|ouvert|ouvre|ouvrons|ferme|fermons|horaire|obrim|obre|obert|tanquem|tanca|tancat|horari)\b/;
+
+const PRICE_PATTERN = /€\s*(\d+(?:[.,]\d{1,2})?)|(\d+(?:[.,]\d{1,2})?)\s*(?:€|euros?\b|eur\b)(?:\s+con\s+(\d{1,2})\b)?/gi;
+const TIME_PATTERN = /\b([01]?\d|2[0-3])(?:[:.h]([0-5]\d)\b|h\b)/g;
+
+/**
+ * Configuración de las protecciones de un negocio
+ * @param {string} businessId - ID del negocio
+ * @returns {Object} - Configuración `guardrails`
+ */
+function getGuardrailsConfig(businessId) {
+  return getBusinessConfig(businessId).guardrails || {};
+}
+
+/**
+ * Revisa lo que ha dicho el cliente antes de pasárselo al modelo
+ * @param {string} text - Frase del cliente
+ * @param {Object} config - Configuración `guardrails` del negocio
+ * @returns {Object} - { blocked, reason: 'injection' | 'off_topic' | null }
+ */
+function checkUserInput(text, config = {}) {
+  if (config.enabled === false) {
+    return { blocked: false, reason: null };
+  }
+
+  const normalized = normalizeText(text);
+
+  if (config.blockInjection !== false && isInjectionAttempt(normalized)) {
+    return { blocked: true, reason: 'injection' };
+  }
+
+  if (config.blockOffTopic !== false && !ON_TOPIC_PATTERN.test(normalized)) {
+    const patterns = [...OFF_TOPIC_PATTERNS, ...compilePatterns(config.offTopicPatterns)];
+    if (patterns.some(pattern => pattern.test(normalized))) {
+      return { blocked: true, reason: 'off_topic' };
+    }
+  }
+
+  return { blocked: false, reason: null };
+}
+
+/**
+ * Comprueba que los precios y horarios de la respuesta están en los datos del negocio
+ * @param {string} text - Respuesta del modelo
+ * @param {Object} dashboardData - Datos del negocio
+ * @param {Object} context - { config, verifiedText } con texto de confianza del turno
+ *   (resultados de herramientas y lo que ha dicho el cliente)
+ * @returns {Array<Object>} - Datos no verificados: { type: 'price' | 'hours', value }
+ */
+function verifyAssistantResponse(text, dashboardData = {}, { config = {}, verifiedText = '' } = {}) {
+  if (config.enabled === false || !text) {
+    return [];
+  }
+
+  const issues = [];
+
+  if (config.verifyPrices !== false) {
+    const menuPrices = (dashboardData.menu || []).flatMap(item => extractNumbers(item.price));
+    extractPrices(text).forEach(price => {
+      if (!menuPrices.some(menuPrice => Math.abs(menuPrice - price) < 0.01)) {
+        issues.push({ type: 'price', value: price });
+      }
+    });
+  }
+
+  if (config.verifyHours !== false) {
+    const knownTimes = new Set(extractTimes(`${dashboardData.hours || ''} ${verifiedText}`));
+    text.split(/[.!?]+/)
+      .filter(sentence => HOURS_PATTERN.test(normalizeText(sentence)))
+      .forEach(sentence => {
+        extractTimes(sentence).forEach(time => {
+          if (!knownTimes.has(time)) {
+            issues.push({ type: 'hours', value: time });
+          }
+        });
+      });
+  }
+
+  return issues;
+}
+
+/**
+ * Limpia el nombre y las notas antes de leerlos al cliente y de enviarlos al Dashboard
+ * @param {Object} data - Datos de la reserva
+ * @param {Object} config - Configuración `guardrails` del negocio
+ * @returns {Object} - { data, changed } con los campos que se han modificado
+ */
+function sanitizeReservationData(data, config = {}) {
+  const sanitized = { ...data };
+  const changed = [];
+
+  if (typeof data.name === 'string') {
+    sanitized.name = sanitizeFreeText(data.name, config.maxNameLength || 60)
+      .replace(/[^\p{L}\p{M}\s'’.-]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  if (typeof data.notes === 'string') {
+    sanitized.notes = sanitizeFreeText(data.notes, config.maxNotesLength || 200);
+    // Una nota con instrucciones para el asistente no llega al restaurante
+    if (isInjectionAttempt(normalizeText(sanitized.notes))) {
+      sanitized.notes = '';
+    }
+  }
+
+  // Los espacios de sobra no cuentan como cambio
+  ['name', 'notes'].forEach(field => {
+    if (typeof data[field] === 'string' && sanitized[field] !== data[field].replace(/\s+/g, ' ').trim()) {
+      changed.push(field);
+    }
+  });
+
+  return { data: sanitized, changed };
+}
+
+/**
+ * Guarda un turno bloqueado para revisarlo
+ * @param {Object} event - { callId, businessId, stage: 'input' | 'output' | 'sanitize', reason, text, details }
+ * @returns {Object} - Evento guardado
+ */
+function recordGuardrailEvent(event) {
+  const record = {
+    callId: event.callId || null,
+    businessId: event.businessId || 'default',
+    stage: event.stage,
+    reason: event.reason,
+    text: String(event.text || '').slice(0, 300),
+    details: event.details || null,
+    createdAt: new Date().toISOString()
+  };
+
+  logWarning(`🛡️ Protección del asistente (${record.stage}: ${record.reason})`, { callId: record.callId, text: record.text });
+
+  try {
+    fs.mkdirSync(path.dirname(GUARDRAIL_EVENTS_FILE), { recursive: true });
+    fs.appendFileSync(GUARDRAIL_EVENTS_FILE, JSON.stringify(record) + '\n');
+  } catch (error) {
+    logError('Error guardando turno bloqueado:', error);
+  }
+
+  return record;
+}
+
+/**
+ * Turnos bloqueados más recientes, opcionalmente filtrados
+ * @param {Object} filters - { businessId, stage, reason, limit }
+ * @returns {Array} - Eventos (más recientes primero)
+ */
+function listGuardrailEvents(filters = {}) {
+  try {
+    if (!fs.existsSync(GUARDRAIL_EVENTS_FILE)) {
+      return [];
+    }
+
+    return fs.readFileSync(GUARDRAIL_EVENTS_FILE, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line))
+      .filter(event =>
+        (!filters.businessId || event.businessId === filters.businessId) &&
+        (!filters.stage || event.stage === filters.stage) &&
+        (!filters.reason || event.reason === filters.reason)
+      )
+      .reverse()
+      .slice(0, parseInt(filters.limit) || 100);
+
+  } catch (error) {
+    logError('Error leyendo turnos bloqueados:', error);
+    return [];
+  }
+}
+
+function isInjectionAttempt(normalized) {
+  return INJECTION_PATTERNS.some(pattern => pattern.test(normalized));
+}
+
+// Patrones extra de la configuración; uno mal escrito se ignora
+function compilePatterns(patterns = []) {
+  return (patterns || []).map(pattern => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      logError(`Patrón de guardrails no válido: ${pattern}`);
+      return null;
+    }
+  }).filter(Boolean);
+}
+
+// Sin caracteres de control, marcas, enlaces ni etiquetas de acción
+function sanitizeFreeText(text, maxLength) {
+  const cleaned = String(text)
+    .replace(/\p{Cc}/gu, ' ')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/\[[^\]]*\]|\{\{[^}]*\}\}/g, ' ')
+    .replace(/\b(https?:\/\/|www\.)\S+/gi, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (cleaned.length <= maxLength) {
+    return cleaned;
+  }
+  const cut = cleaned.slice(0, maxLength);
+  return (cut.lastIndexOf(' ') > maxLength / 2 ? cut.slice(0, cut.lastIndexOf(' ')) : cut).trim();
+}
+
+function extractPrices(text) {
+  const prices = [];
+  String(text).replace(PRICE_PATTERN, (match, before, amount, cents) => {
+    const value = parseFloat(String(before || amount).replace(',', '.'));
+    prices.push(cents ? value + parseInt(cents) / 100 : value);
+    return match;
+  });
+  return prices;
+}
+
+function extractNumbers(value) {
+  return (String(value || '').match(/\d+(?:[.,]\d{1,2})?/g) || []).map(number => parseFloat(number.replace(',', '.')));
+}
+
+// Horas en formato HH:MM (acepta 9:00, 21.30, 21h30 y 21h)
+function extractTimes(text) {
+  const times = [];
+  String(text).replace(TIME_PATTERN, (match, hours, minutes) => {
+    times.push(`${hours.padStart(2, '0')}:${minutes || '00'}`);
+    return match;
+  });
+  return times;
+}
+
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+module.exports = {
+  getGuardrailsConfig,
+  checkUserInput,
+  verifyAssistantResponse,
+  sanitizeReservationData,
+  recordGuardrailEvent,
+  listGuardrailEvents
+};
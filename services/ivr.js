@@ -0,0 +1,233 @@
+const { logInfo } = require('../utils/logger');
+const { DEFAULT_LANGUAGE, getMessage } = require('./language');
+
+/**
+ * Crea el estado IVR inicial de una conversación
+ * @returns {Object} - Estado IVR
+ */
+function createIvrState() {
+  return {
+    mode: 'speech', // speech | keypad
+    step: null, // menu | party_size | phone
+    failedTranscriptions: 0,
+    keypadRetries: 0,
+    data: {}
+  };
+}
+
+/**
+ * Indica si los dígitos recibidos son una pulsación real del teclado
+ * (la almohadilla sola solo termina la grabación)
+ * @param {string} digits - Dígitos recibidos del proveedor
+ * @returns {boolean} - True si hay que tratarlos como entrada IVR
+ */
+function isKeypadInput(digits) {
+  return !!digits && digits !== '#';
+}
+
+/**
+ * Registra una transcripción fallida y pasa a modo teclado si se supera el límite
+ * @param {Object} conversation - Conversación activa
+ * @param {Object} ivrConfig - Configuración IVR del negocio
+ * @returns {boolean} - True si se ha cambiado a modo teclado
+ */
+function registerFailedTranscription(conversation, ivrConfig) {
+  const ivr = conversation.ivr;
+  ivr.failedTranscriptions++;
+
+  if (ivr.failedTranscriptions >= ivrConfig.maxFailedTranscriptions) {
+    logInfo(`⌨️ Cambiando a modo teclado tras ${ivr.failedTranscriptions} intentos fallidos`);
+    ivr.mode = 'keypad';
+    ivr.step = 'menu';
+    ivr.keypadRetries = 0;
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Genera el texto del menú de teclado
+ * @param {Object} ivrConfig - Configuración IVR del negocio
+ * @param {string} language - Idioma de la conversación
+ * @returns {string} - Texto del menú
+ */
+function getMenuPrompt(ivrConfig, language = DEFAULT_LANGUAGE) {
+  const labels = getMessage(language, 'keypadLabels');
+
+  // El 0 (personal) se anuncia siempre al final, como en cualquier centralita.
+  // Sin etiqueta propia en la configuración se usa la del idioma de la llamada
+  const options = Object.keys(ivrConfig.menu)
+    .filter(digit => ivrConfig.menu[digit])
+    .sort((a, b) => (a === '0') - (b === '0'))
+    .map(digit => {
+      const option = ivrConfig.menu[digit];
+      return getMessage(language, 'keypadOption', { digit, label: option.label || labels[option.action] });
+    });
+
+  return getMessage(language, 'keypadMenu', { options: options.join(', ') });
+}
+
+/**
+ * Procesa los dígitos marcados por el cliente
+ * @param {Object} conversation - Conversación activa
+ * @param {string} digits - Dígitos marcados (vacío si no marcó nada)
+ * @param {Object} ivrConfig - Configuración IVR del negocio
+ * @param {Object} dashboardData - Datos del negocio
+ * @returns {Object} - Resultado: { type: gather|record|continue|staff|hangup, message, ... }
+ */
+function handleKeypadInput(conversation, digits, ivrConfig, dashboardData = {}) {
+  const ivr = conversation.ivr;
+  const input = (digits || '').replace(/#/g, '');
+  const language = conversation.language || DEFAULT_LANGUAGE;
+
+  if (ivr.mode !== 'keypad') {
+    ivr.mode = 'keypad';
+    ivr.step = 'menu';
+    ivr.keypadRetries = 0;
+  }
+
+  logInfo(`⌨️ Teclado (${ivr.step}): "${input}"`);
+
+  switch (ivr.step) {
+    case 'party_size':
+      return handlePartySize(ivr, input, ivrConfig, language);
+    case 'phone':
+      return handlePhone(ivr, input, ivrConfig, language);
+    default:
+      return handleMenuOption(ivr, input, ivrConfig, dashboardData, language);
+  }
+}
+
+/**
+ * Procesa la opción elegida en el menú principal
+ */
+function handleMenuOption(ivr, input, ivrConfig, dashboardData, language) {
+  const option = input ? ivrConfig.menu[input[0]] : null;
+
+  if (!option) {
+    return retry(ivr, ivrConfig, getMessage(language, input ? 'keypadInvalidOption' : 'keypadNoInput'), language);
+  }
+
+  ivr.keypadRetries = 0;
+
+  switch (option.action) {
+    case 'reservation':
+      ivr.step = 'party_size';
+      return gather(getMessage(language, 'keypadPartySize'), { num_digits: 2 });
+
+    case 'info':
+      return gather(
+        `${getMessage(language, 'keypadInfo', { hours: dashboardData.hours, address: dashboardData.address })} ` +
+        getMenuPrompt(ivrConfig, language)
+      );
+
+    case 'staff':
+      return { type: 'staff' };
+
+    case 'speech':
+      backToSpeech(ivr);
+      return { type: 'record', message: getMessage(language, 'keypadBackToSpeech') };
+
+    default:
+      return retry(ivr, ivrConfig, getMessage(language, 'keypadUnavailableOption'), language);
+  }
+}
+
+/**
+ * Procesa el número de personas marcado
+ */
+function handlePartySize(ivr, input, ivrConfig, language) {
+  const people = parseInt(input);
+
+  if (!people || people < 1 || people > ivrConfig.maxPartySize) {
+    return retry(ivr, ivrConfig, getMessage(language, 'keypadPartySizeRange', { max: ivrConfig.maxPartySize }), language, true);
+  }
+
+  ivr.data.people = people;
+  ivr.step = 'phone';
+  ivr.keypadRetries = 0;
+
+  return gather(
+    getMessage(language, 'keypadPhone', { people: getMessage(language, 'people', { people }) }),
+    { num_digits: 15, timeout: 10 }
+  );
+}
+
+/**
+ * Procesa el número de teléfono marcado y devuelve el control al asistente
+ */
+function handlePhone(ivr, input, ivrConfig, language) {
+  const phone = input.replace(/\D/g, '');
+
+  if (phone.length < 9 || phone.length > 15) {
+    return retry(ivr, ivrConfig, getMessage(language, 'keypadPhoneInvalid'), language, true);
+  }
+
+  ivr.data.phone = phone;
+  backToSpeech(ivr);
+
+  // El asistente continúa la reserva con los datos ya recogidos
+  return {
+    type: 'continue',
+    userText: getMessage(language, 'keypadReservationRequest', {
+      people: getMessage(language, 'people', { people: ivr.data.people }),
+      phone
+    })
+  };
+}
+
+/**
+ * Vuelve a preguntar o cuelga si se agotan los intentos
+ */
+function retry(ivr, ivrConfig, message, language, keepStep = false) {
+  ivr.keypadRetries++;
+
+  if (ivr.keypadRetries > ivrConfig.maxKeypadRetries) {
+    return {
+      type: 'hangup',
+      message: getMessage(language, 'keypadGoodbye')
+    };
+  }
+
+  if (keepStep) {
+    return gather(message, { num_digits: ivr.step === 'phone' ? 15 : 2, timeout: 10 });
+  }
+
+  ivr.step = 'menu';
+  return gather(`${message} ${getMenuPrompt(ivrConfig, language)}`);
+}
+
+/**
+ * Devuelve el modo IVR a reconocimiento de voz
+ */
+function backToSpeech(ivr) {
+  ivr.mode = 'speech';
+  ivr.step = null;
+  ivr.failedTranscriptions = 0;
+  ivr.keypadRetries = 0;
+}
+
+/**
+ * Construye un resultado que pide dígitos al cliente
+ */
+function gather(message, digitOptions = {}) {
+  return {
+    type: 'gather',
+    message: message,
+    digitOptions: {
+      num_digits: 1,
+      timeout: 5,
+      finish_on_key: '#',
+      ...digitOptions
+    }
+  };
+}
+
+module.exports = {
+  createIvrState,
+  isKeypadInput,
+  registerFailedTranscription,
+  getMenuPrompt,
+  handleKeypadInput
+};
@@ -0,0 +1,396 @@
+// Idiomas de atención y mensajes fijos que dice el asistente en cada uno
+
+const DEFAULT_LANGUAGE = 'es';
+
+/**
+ * Idiomas soportados: código ISO-639-1 (el que usa Whisper), nombre que devuelve
+ * Whisper al detectarlo y locale para fechas y reconocimiento del proveedor
+ */
+const LANGUAGES = {
+  es: { name: 'español de España', whisperName: 'spanish', locale: 'es-ES' },
+  en: { name: 'inglés', whisperName: 'english', locale: 'en-GB' },
+  fr: { name: 'francés', whisperName: 'french', locale: 'fr-FR' },
+  ca: { name: 'catalán', whisperName: 'catalan', locale: 'ca-ES' }
+};
+
+const MESSAGES = {
+  es: {
+    welcome: '¡Hola! Soy tu asistente virtual. ¿En qué puedo ayudarte hoy?',
+    welcomeBack: ({ name }) => `¡Hola, ${name}! Qué alegría oírte de nuevo. ¿En qué puedo ayudarte hoy?`,
+    retry: 'Lo siento, no pude escucharte bien. ¿Podrías repetir tu solicitud?',
+    streamResume: 'Perdona, se ha cortado un momento. ¿Qué me decías?',
+    voicemailThanks: 'Gracias, hemos recibido tu mensaje. ¡Hasta luego!',
+    staffBusyAssistant: 'Ahora mismo no hay nadie disponible, pero puedo seguir ayudándote. ¿Qué necesitas?',
+    voicemailPrompt: 'Ahora mismo no hay nadie disponible. Deja tu mensaje después de la señal y te llamaremos lo antes posible.',
+    error: 'Lo siento, ha ocurrido un error. Por favor, inténtalo de nuevo más tarde.',
+    llmUnavailable: 'Lo siento, tengo dificultades técnicas en este momento. ¿Podrías intentarlo de nuevo?',
+    outOfScope: 'Con eso no puedo ayudarte: solo atiendo reservas y dudas sobre el restaurante, como el menú o el horario. ¿Te ayudo con algo de eso?',
+    unverifiedInfo: 'Ese dato no lo tengo confirmado, prefiero no decirte algo incorrecto. Puedes consultarlo directamente con el restaurante. ¿Te ayudo con algo más?',
+    people: ({ people }) => `${people} ${people === 1 ? 'persona' : 'personas'}`,
+    booking: ({ date, time, people }) => `el ${date} a las ${time} para ${people}`,
+    readback: ({ name, date, time, people, phone, notes }) =>
+      `Te leo la reserva: mesa para ${people} a nombre de ${name}, el ${date} a las ${time}` +
+      `${phone ? `, teléfono ${phone}` : ''}${notes ? `, con la nota: ${notes}` : ''}. ¿Es correcto?`,
+    reservationConfirmed: ({ name, date, time, people }) => `Perfecto, ${name}: mesa para ${people} el ${date} a las ${time}. ¡Te esperamos! ¿Puedo ayudarte en algo más?`,
+    missingFields: ({ list }) => `Para completar la reserva necesito ${list}. ¿Me lo indicas, por favor?`,
+    reservationIncomplete: 'Perdona, no he podido completar la reserva. ¿Me repites el día, la hora y para cuántas personas?',
+    reservationFailed: 'Lo siento, no he podido registrar la reserva ahora mismo. ¿Quieres que lo intente de nuevo?',
+    fields: { name: 'nombre', people: 'número de personas', date: 'fecha', time: 'hora' },
+    and: 'y',
+    cancelQuestion: ({ booking }) => `Vas a cancelar la reserva ${booking}. ¿Confirmas que la cancelo?`,
+    changeQuestion: ({ booking, updated }) => `Vas a cambiar la reserva ${booking}; quedaría ${updated}. ¿Confirmas el cambio?`,
+    cancelDone: 'Hecho, tu reserva está cancelada. ¿Puedo ayudarte en algo más?',
+    changeDone: ({ updated }) => `Hecho, tu reserva queda ${updated}. ¿Puedo ayudarte en algo más?`,
+    changeDiscarded: 'De acuerdo, dejo tu reserva como estaba. ¿Puedo ayudarte en algo más?',
+    cancelFailed: 'Lo siento, no he podido cancelar la reserva ahora mismo. El restaurante se pondrá en contacto contigo.',
+    changeFailed: 'Lo siento, no he podido cambiar la reserva ahora mismo. El restaurante se pondrá en contacto contigo.',
+    goodbye: '¡Gracias por llamar! Hasta pronto.',
+    callLimitGoodbye: 'Tenemos que ir terminando la llamada. Si necesitas algo más, vuelve a llamarnos. ¡Hasta luego!',
+    noInputGoodbye: 'Parece que no te escucho. Vuelve a llamarnos cuando quieras. ¡Hasta luego!',
+    transferToStaff: 'Te paso con el personal del restaurante, un momento por favor.',
+    staffUnavailable: 'Ahora mismo no podemos pasarte con el personal.',
+    keypadFallback: 'Parece que no te escucho bien. Puedes usar el teclado del teléfono.',
+    keypadMenu: ({ options }) => `Por favor, ${options}.`,
+    keypadOption: ({ digit, label }) => `pulsa ${digit} para ${label}`,
+    keypadLabels: {
+      reservation: 'hacer una reserva',
+      info: 'conocer nuestro horario y dirección',
+      staff: 'hablar con una persona del restaurante',
+      speech: 'volver a hablar con el asistente'
+    },
+    keypadInvalidOption: 'Esa opción no es válida.',
+    keypadUnavailableOption: 'Esa opción no está disponible.',
+    keypadNoInput: 'No he recibido ninguna opción.',
+    keypadInfo: ({ hours, address }) =>
+      `Nuestro horario es: ${hours || 'consultar'}. Estamos en ${address || 'la dirección indicada en nuestra web'}.`,
+    keypadPartySize: 'Marca el número de personas y pulsa almohadilla.',
+    keypadPartySizeRange: ({ max }) => `Marca un número de personas entre 1 y ${max} y pulsa almohadilla.`,
+    keypadPhone: ({ people }) => `Mesa para ${people}. Ahora marca tu número de teléfono y pulsa almohadilla.`,
+    keypadPhoneInvalid: 'El número no parece correcto. Marca tu teléfono completo y pulsa almohadilla.',
+    keypadReservationRequest: ({ people, phone }) => `Quiero hacer una reserva para ${people}. Mi teléfono es ${phone}.`,
+    keypadBackToSpeech: 'De acuerdo, dime en qué puedo ayudarte.',
+    keypadGoodbye: 'No he podido entenderte. Por favor, vuelve a llamar más tarde. ¡Hasta luego!',
+    // Plantillas del SMS de confirmación (variables de sms.template en config/businesses.js)
+    smsReservation: '{{restaurant}}: reserva confirmada para {{name}} el {{date}} a las {{time}}, {{people}} personas. Nº de reserva: {{reservationNumber}}. {{cancelInstructions}}',
+    smsCancelInstructions: 'Para cancelar o cambiar la reserva, llámanos al {{restaurantPhone}}.'
+  },
+
+  en: {
+    welcome: 'Hello! I am your virtual assistant. How can I help you today?',
+    welcomeBack: ({ name }) => `Hello, ${name}! Great to hear from you again. How can I help you today?`,
+    retry: "Sorry, I couldn't hear you properly. Could you say that again?",
+    streamResume: 'Sorry, the line dropped for a moment. What were you saying?',
+    voicemailThanks: 'Thank you, we have received your message. Goodbye!',
+    staffBusyAssistant: "Nobody is available right now, but I can keep helping you. What do you need?",
+    voicemailPrompt: 'Nobody is available right now. Please leave your message after the tone and we will call you back as soon as possible.',
+    error: 'Sorry, something went wrong. Please try again later.',
+    llmUnavailable: "Sorry, I'm having technical difficulties right now. Could you try again?",
+    outOfScope: "I can't help with that: I only handle bookings and questions about the restaurant, like the menu or opening hours. Can I help you with any of that?",
+    unverifiedInfo: "I don't have that information confirmed and I'd rather not tell you something wrong. You can check it directly with the restaurant. Anything else I can help with?",
+    people: ({ people }) => `${people} ${people === 1 ? 'person' : 'people'}`,
+    booking: ({ date, time, people }) => `on ${date} at ${time} for ${people}`,
+    readback: ({ name, date, time, people, phone, notes }) =>
+      `Let me read your booking back: a table for ${people} under the name ${name}, on ${date} at ${time}` +
+      `${phone ? `, phone ${phone}` : ''}${notes ? `, with the note: ${notes}` : ''}. Is that correct?`,
+    reservationConfirmed: ({ name, date, time, people }) => `Perfect, ${name}: a table for ${people} on ${date} at ${time}. We look forward to seeing you! Is there anything else I can help you with?`,
+    missingFields: ({ list }) => `To complete the booking I need ${list}. Could you tell me, please?`,
+    reservationIncomplete: "Sorry, I couldn't complete the booking. Could you repeat the day, the time and how many people?",
+    reservationFailed: "Sorry, I couldn't save the booking just now. Shall I try again?",
+    fields: { name: 'your name', people: 'the number of people', date: 'the date', time: 'the time' },
+    and: 'and',
+    cancelQuestion: ({ booking }) => `You are cancelling the booking ${booking}. Shall I cancel it?`,
+    changeQuestion: ({ booking, updated }) => `You are changing the booking ${booking}; it would be ${updated}. Shall I make the change?`,
+    cancelDone: 'Done, your booking is cancelled. Is there anything else I can help you with?',
+    changeDone: ({ updated }) => `Done, your booking is now ${updated}. Is there anything else I can help you with?`,
+    changeDiscarded: "All right, I'll leave your booking as it was. Is there anything else I can help you with?",
+    cancelFailed: "Sorry, I couldn't cancel the booking right now. The restaurant will contact you.",
+    changeFailed: "Sorry, I couldn't change the booking right now. The restaurant will contact you.",
+    goodbye: 'Thank you for calling. Goodbye!',
+    callLimitGoodbye: 'We need to wrap up this call now. If you need anything else, please call us again. Goodbye!',
+    noInputGoodbye: "I can't seem to hear you. Please call us again whenever you like. Goodbye!",
+    transferToStaff: "I'm putting you through to the restaurant staff, one moment please.",
+    staffUnavailable: "We can't put you through to the staff right now.",
+    keypadFallback: "I can't hear you very well. You can use your phone keypad.",
+    keypadMenu: ({ options }) => `Please ${options}.`,
+    keypadOption: ({ digit, label }) => `press ${digit} to ${label}`,
+    keypadLabels: {
+      reservation: 'make a booking',
+      info: 'hear our opening hours and address',
+      staff: 'speak to someone at the restaurant',
+      speech: 'talk to the assistant again'
+    },
+    keypadInvalidOption: 'That option is not valid.',
+    keypadUnavailableOption: 'That option is not available.',
+    keypadNoInput: "I didn't receive any option.",
+    keypadInfo: ({ hours, address }) =>
+      `Our opening hours are: ${hours || 'please ask us'}. We are at ${address || 'the address shown on our website'}.`,
+    keypadPartySize: 'Enter the number of people followed by the hash key.',
+    keypadPartySizeRange: ({ max }) => `Enter a number of people between 1 and ${max} followed by the hash key.`,
+    keypadPhone: ({ people }) => `A table for ${people}. Now enter your phone number followed by the hash key.`,
+    keypadPhoneInvalid: "That number doesn't look right. Enter your full phone number followed by the hash key.",
+    keypadReservationRequest: ({ people, phone }) => `I'd like to book a table for ${people}. My phone number is ${phone}.`,
+    keypadBackToSpeech: 'All right, tell me how I can help you.',
+    keypadGoodbye: "I couldn't understand you. Please call again later. Goodbye!",
+    smsReservation: '{{restaurant}}: booking confirmed for {{name}} on {{date}} at {{time}}, {{people}} people. Booking no.: {{reservationNumber}}. {{cancelInstructions}}',
+    smsCancelInstructions: 'To cancel or change your booking, call us on {{restaurantPhone}}.'
+  },
+
+  fr: {
+    welcome: 'Bonjour ! Je suis votre assistant virtuel. Comment puis-je vous aider ?',
+    welcomeBack: ({ name }) => `Bonjour, ${name} ! Ravi de vous entendre à nouveau. Comment puis-je vous aider ?`,
+    retry: "Désolé, je ne vous ai pas bien entendu. Pouvez-vous répéter votre demande ?",
+    streamResume: "Pardon, la ligne a coupé un instant. Que disiez-vous ?",
+    voicemailThanks: 'Merci, nous avons bien reçu votre message. Au revoir !',
+    staffBusyAssistant: "Personne n'est disponible pour le moment, mais je peux continuer à vous aider. De quoi avez-vous besoin ?",
+    voicemailPrompt: "Personne n'est disponible pour le moment. Laissez votre message après le bip et nous vous rappellerons au plus vite.",
+    error: 'Désolé, une erreur est survenue. Veuillez réessayer plus tard.',
+    llmUnavailable: 'Désolé, je rencontre des difficultés techniques. Pouvez-vous réessayer ?',
+    outOfScope: 'Je ne peux pas vous aider pour cela : je m’occupe uniquement des réservations et des questions sur le restaurant, comme le menu ou les horaires. Puis-je vous aider pour cela ?',
+    unverifiedInfo: 'Je n’ai pas cette information confirmée et je préfère ne pas vous dire quelque chose d’inexact. Vous pouvez la vérifier directement auprès du restaurant. Puis-je vous aider pour autre chose ?',
+    people: ({ people }) => `${people} ${people === 1 ? 'personne' : 'personnes'}`,
+    booking: ({ date, time, people }) => `le ${date} à ${time} pour ${people}`,
+    readback: ({ name, date, time, people, phone, notes }) =>
+      `Je vous relis la réservation : une table pour ${people} au nom de ${name}, le ${date} à ${time}` +
+      `${phone ? `, téléphone ${phone}` : ''}${notes ? `, avec la remarque : ${notes}` : ''}. C’est bien cela ?`,
+    reservationConfirmed: ({ name, date, time, people }) => `Parfait, ${name} : une table pour ${people} le ${date} à ${time}. Au plaisir de vous accueillir ! Puis-je vous aider pour autre chose ?`,
+    missingFields: ({ list }) => `Pour finaliser la réservation, il me faut ${list}. Pouvez-vous me l’indiquer ?`,
+    reservationIncomplete: "Désolé, je n'ai pas pu finaliser la réservation. Pouvez-vous me redire le jour, l'heure et le nombre de personnes ?",
+    reservationFailed: "Désolé, je n'ai pas pu enregistrer la réservation pour le moment. Voulez-vous que je réessaie ?",
+    fields: { name: 'votre nom', people: 'le nombre de personnes', date: 'la date', time: "l'heure" },
+    and: 'et',
+    cancelQuestion: ({ booking }) => `Vous allez annuler la réservation ${booking}. Je confirme l’annulation ?`,
+    changeQuestion: ({ booking, updated }) => `Vous allez modifier la réservation ${booking} ; elle serait ${updated}. Je confirme la modification ?`,
+    cancelDone: 'C’est fait, votre réservation est annulée. Puis-je vous aider pour autre chose ?',
+    changeDone: ({ updated }) => `C’est fait, votre réservation est maintenant ${updated}. Puis-je vous aider pour autre chose ?`,
+    changeDiscarded: 'D’accord, je laisse votre réservation telle quelle. Puis-je vous aider pour autre chose ?',
+    cancelFailed: "Désolé, je n'ai pas pu annuler la réservation pour le moment. Le restaurant vous contactera.",
+    changeFailed: "Désolé, je n'ai pas pu modifier la réservation pour le moment. Le restaurant vous contactera.",
+    goodbye: 'Merci de votre appel. Au revoir !',
+    callLimitGoodbye: "Nous devons terminer l'appel. Si vous avez besoin d'autre chose, n'hésitez pas à nous rappeler. Au revoir !",
+    noInputGoodbye: "Je ne vous entends pas. N'hésitez pas à nous rappeler. Au revoir !",
+    transferToStaff: 'Je vous passe le personnel du restaurant, un instant s’il vous plaît.',
+    staffUnavailable: 'Nous ne pouvons pas vous passer le personnel pour le moment.',
+    keypadFallback: 'Je ne vous entends pas bien. Vous pouvez utiliser le clavier de votre téléphone.',
+    keypadMenu: ({ options }) => `S’il vous plaît, ${options}.`,
+    keypadOption: ({ digit, label }) => `appuyez sur ${digit} pour ${label}`,
+    keypadLabels: {
+      reservation: 'faire une réservation',
+      info: 'connaître nos horaires et notre adresse',
+      staff: 'parler à une personne du restaurant',
+      speech: "reparler avec l'assistant"
+    },
+    keypadInvalidOption: "Cette option n'est pas valide.",
+    keypadUnavailableOption: "Cette option n'est pas disponible.",
+    keypadNoInput: "Je n'ai reçu aucune option.",
+    keypadInfo: ({ hours, address }) =>
+      `Nos horaires : ${hours || 'nous consulter'}. Nous sommes au ${address || "l'adresse indiquée sur notre site"}.`,
+    keypadPartySize: 'Composez le nombre de personnes puis appuyez sur dièse.',
+    keypadPartySizeRange: ({ max }) => `Composez un nombre de personnes entre 1 et ${max} puis appuyez sur dièse.`,
+    keypadPhone: ({ people }) => `Une table pour ${people}. Composez maintenant votre numéro de téléphone puis appuyez sur dièse.`,
+    keypadPhoneInvalid: 'Le numéro ne semble pas correct. Composez votre numéro complet puis appuyez sur dièse.',
+    keypadReservationRequest: ({ people, phone }) => `Je voudrais réserver une table pour ${people}. Mon téléphone est le ${phone}.`,
+    keypadBackToSpeech: 'D’accord, dites-moi comment je peux vous aider.',
+    keypadGoodbye: "Je n'ai pas pu vous comprendre. Veuillez rappeler plus tard. Au revoir !",
+    smsReservation: '{{restaurant}} : réservation confirmée pour {{name}} le {{date}} à {{time}}, {{people}} personnes. Nº de réservation : {{reservationNumber}}. {{cancelInstructions}}',
+    smsCancelInstructions: 'Pour annuler ou modifier votre réservation, appelez-nous au {{restaurantPhone}}.'
+  },
+
+  ca: {
+    welcome: 'Hola! Soc el teu assistent virtual. En què et puc ajudar avui?',
+    welcomeBack: ({ name }) => `Hola, ${name}! Quina alegria tornar-te a sentir. En què et puc ajudar avui?`,
+    retry: "Ho sento, no t'he sentit bé. Em pots repetir què necessites?",
+    streamResume: "Perdona, s'ha tallat un moment. Què em deies?",
+    voicemailThanks: "Gràcies, hem rebut el teu missatge. Fins aviat!",
+    staffBusyAssistant: "Ara mateix no hi ha ningú disponible, però et puc continuar ajudant. Què necessites?",
+    voicemailPrompt: "Ara mateix no hi ha ningú disponible. Deixa el teu missatge després del senyal i et trucarem tan aviat com puguem.",
+    error: "Ho sento, hi ha hagut un error. Torna-ho a provar més tard.",
+    llmUnavailable: 'Ho sento, ara mateix tinc problemes tècnics. Ho pots tornar a provar?',
+    outOfScope: "Amb això no et puc ajudar: només atenc reserves i dubtes sobre el restaurant, com el menú o l'horari. T'ajudo amb alguna d'aquestes coses?",
+    unverifiedInfo: "Aquesta dada no la tinc confirmada i prefereixo no dir-te res incorrecte. Ho pots consultar directament amb el restaurant. T'ajudo amb res més?",
+    people: ({ people }) => `${people} ${people === 1 ? 'persona' : 'persones'}`,
+    booking: ({ date, time, people }) => `el ${date} a les ${time} per a ${people}`,
+    readback: ({ name, date, time, people, phone, notes }) =>
+      `Et llegeixo la reserva: taula per a ${people} a nom de ${name}, el ${date} a les ${time}` +
+      `${phone ? `, telèfon ${phone}` : ''}${notes ? `, amb la nota: ${notes}` : ''}. És correcte?`,
+    reservationConfirmed: ({ name, date, time, people }) => `Perfecte, ${name}: taula per a ${people} el ${date} a les ${time}. Us esperem! Et puc ajudar en res més?`,
+    missingFields: ({ list }) => `Per completar la reserva necessito ${list}. M'ho pots dir, si us plau?`,
+    reservationIncomplete: "Perdona, no he pogut completar la reserva. Em repeteixes el dia, l'hora i quantes persones sereu?",
+    reservationFailed: 'Ho sento, ara mateix no he pogut registrar la reserva. Vols que ho torni a provar?',
+    fields: { name: 'el nom', people: 'el nombre de persones', date: 'la data', time: "l'hora" },
+    and: 'i',
+    cancelQuestion: ({ booking }) => `Cancel·laràs la reserva ${booking}. Confirmes que la cancel·lo?`,
+    changeQuestion: ({ booking, updated }) => `Canviaràs la reserva ${booking}; quedaria ${updated}. Confirmes el canvi?`,
+    cancelDone: 'Fet, la teva reserva està cancel·lada. Et puc ajudar en res més?',
+    changeDone: ({ updated }) => `Fet, la teva reserva queda ${updated}. Et puc ajudar en res més?`,
+    changeDiscarded: "D'acord, deixo la reserva com estava. Et puc ajudar en res més?",
+    cancelFailed: "Ho sento, ara mateix no he pogut cancel·lar la reserva. El restaurant es posarà en contacte amb tu.",
+    changeFailed: "Ho sento, ara mateix no he pogut canviar la reserva. El restaurant es posarà en contacte amb tu.",
+    goodbye: 'Gràcies per trucar! Fins aviat.',
+    callLimitGoodbye: "Hem d'anar acabant la trucada. Si necessites res més, torna'ns a trucar. Fins aviat!",
+    noInputGoodbye: "Sembla que no et sento. Torna'ns a trucar quan vulguis. Fins aviat!",
+    transferToStaff: 'Et passo amb el personal del restaurant, un moment si us plau.',
+    staffUnavailable: 'Ara mateix no et podem passar amb el personal.',
+    keypadFallback: "Sembla que no et sento bé. Pots fer servir el teclat del telèfon.",
+    keypadMenu: ({ options }) => `Si us plau, ${options}.`,
+    keypadOption: ({ digit, label }) => `prem el ${digit} per ${label}`,
+    keypadLabels: {
+      reservation: 'fer una reserva',
+      info: "conèixer el nostre horari i l'adreça",
+      staff: 'parlar amb una persona del restaurant',
+      speech: "tornar a parlar amb l'assistent"
+    },
+    keypadInvalidOption: 'Aquesta opció no és vàlida.',
+    keypadUnavailableOption: 'Aquesta opció no està disponible.',
+    keypadNoInput: "No he rebut cap opció.",
+    keypadInfo: ({ hours, address }) =>
+      `El nostre horari és: ${hours || 'consultar'}. Som a ${address || "l'adreça indicada al nostre web"}.`,
+    keypadPartySize: 'Marca el nombre de persones i prem coixinet.',
+    keypadPartySizeRange: ({ max }) => `Marca un nombre de persones entre 1 i ${max} i prem coixinet.`,
+    keypadPhone: ({ people }) => `Taula per a ${people}. Ara marca el teu número de telèfon i prem coixinet.`,
+    keypadPhoneInvalid: 'El número no sembla correcte. Marca el telèfon complet i prem coixinet.',
+    keypadReservationRequest: ({ people, phone }) => `Vull fer una reserva per a ${people}. El meu telèfon és ${phone}.`,
+    keypadBackToSpeech: "D'acord, digues-me en què et puc ajudar.",
+    keypadGoodbye: "No t'he pogut entendre. Torna a trucar més tard. Fins aviat!",
+    smsReservation: '{{restaurant}}: reserva confirmada per a {{name}} el {{date}} a les {{time}}, {{people}} persones. Núm. de reserva: {{reservationNumber}}. {{cancelInstructions}}',
+    smsCancelInstructions: "Per cancel·lar o canviar la reserva, truca'ns al {{restaurantPhone}}."
+  },
+};
+
+// Mensajes con trato de usted (persona.formality = 'usted'); en inglés y francés no cambian
+const FORMAL_MESSAGES = {
+  es: {
+    welcome: '¡Hola! Soy su asistente virtual. ¿En qué puedo ayudarle?',
+    welcomeBack: ({ name }) => `¡Hola, ${name}! Es un placer volver a atenderle. ¿En qué puedo ayudarle?`,
+    retry: 'Disculpe, no le he oído bien. ¿Podría repetir su solicitud?',
+    streamResume: 'Disculpe, se ha cortado un momento. ¿Qué me decía?',
+    voicemailThanks: 'Gracias, hemos recibido su mensaje. ¡Hasta luego!',
+    staffBusyAssistant: 'Ahora mismo no hay nadie disponible, pero puedo seguir ayudándole. ¿Qué necesita?',
+    voicemailPrompt: 'Ahora mismo no hay nadie disponible. Deje su mensaje después de la señal y le llamaremos lo antes posible.',
+    error: 'Disculpe, ha ocurrido un error. Por favor, inténtelo de nuevo más tarde.',
+    llmUnavailable: 'Disculpe, tengo dificultades técnicas en este momento. ¿Podría intentarlo de nuevo?',
+    outOfScope: 'Con eso no puedo ayudarle: solo atiendo reservas y dudas sobre el restaurante, como el menú o el horario. ¿Le ayudo con algo de eso?',
+    unverifiedInfo: 'Ese dato no lo tengo confirmado, prefiero no decirle algo incorrecto. Puede consultarlo directamente con el restaurante. ¿Le ayudo con algo más?',
+    readback: ({ name, date, time, people, phone, notes }) =>
+      `Le leo la reserva: mesa para ${people} a nombre de ${name}, el ${date} a las ${time}` +
+      `${phone ? `, teléfono ${phone}` : ''}${notes ? `, con la nota: ${notes}` : ''}. ¿Es correcto?`,
+    reservationConfirmed: ({ name, date, time, people }) => `Perfecto, ${name}: mesa para ${people} el ${date} a las ${time}. ¡Le esperamos! ¿Puedo ayudarle en algo más?`,
+    missingFields: ({ list }) => `Para completar la reserva necesito ${list}. ¿Me lo indica, por favor?`,
+    reservationIncomplete: 'Disculpe, no he podido completar la reserva. ¿Me repite el día, la hora y para cuántas personas?',
+    reservationFailed: 'Disculpe, no he podido registrar la reserva ahora mismo. ¿Quiere que lo intente de nuevo?',
+    cancelQuestion: ({ booking }) => `Va a cancelar la reserva ${booking}. ¿Confirma que la cancelo?`,
+    changeQuestion: ({ booking, updated }) => `Va a cambiar la reserva ${booking}; quedaría ${updated}. ¿Confirma el cambio?`,
+    cancelDone: 'Hecho, su reserva está cancelada. ¿Puedo ayudarle en algo más?',
+    changeDone: ({ updated }) => `Hecho, su reserva queda ${updated}. ¿Puedo ayudarle en algo más?`,
+    changeDiscarded: 'De acuerdo, dejo su reserva como estaba. ¿Puedo ayudarle en algo más?',
+    cancelFailed: 'Disculpe, no he podido cancelar la reserva ahora mismo. El restaurante se pondrá en contacto con usted.',
+    changeFailed: 'Disculpe, no he podido cambiar la reserva ahora mismo. El restaurante se pondrá en contacto con usted.',
+    goodbye: '¡Gracias por su llamada! Hasta pronto.',
+    callLimitGoodbye: 'Tenemos que ir terminando la llamada. Si necesita algo más, vuelva a llamarnos. ¡Hasta luego!',
+    noInputGoodbye: 'Parece que no le escucho. Vuelva a llamarnos cuando quiera. ¡Hasta luego!',
+    transferToStaff: 'Le paso con el personal del restaurante, un momento por favor.',
+    staffUnavailable: 'Ahora mismo no podemos pasarle con el personal.',
+    keypadFallback: 'Parece que no le escucho bien. Puede usar el teclado del teléfono.',
+    smsCancelInstructions: 'Para cancelar o cambiar la reserva, llámenos al {{restaurantPhone}}.'
+  },
+
+  ca: {
+    welcome: 'Hola! Soc el seu assistent virtual. En què el puc ajudar?',
+    welcomeBack: ({ name }) => `Hola, ${name}! És un plaer tornar-lo a atendre. En què el puc ajudar?`,
+    retry: "Disculpi, no l'he sentit bé. Em pot repetir què necessita?",
+    streamResume: "Disculpi, s'ha tallat un moment. Què em deia?",
+    voicemailThanks: 'Gràcies, hem rebut el seu missatge. Fins aviat!',
+    staffBusyAssistant: 'Ara mateix no hi ha ningú disponible, però el puc continuar ajudant. Què necessita?',
+    voicemailPrompt: 'Ara mateix no hi ha ningú disponible. Deixi el seu missatge després del senyal i el trucarem tan aviat com puguem.',
+    error: "Disculpi, hi ha hagut un error. Torni-ho a provar més tard.",
+    llmUnavailable: 'Disculpi, ara mateix tinc problemes tècnics. Ho pot tornar a provar?',
+    outOfScope: "Amb això no el puc ajudar: només atenc reserves i dubtes sobre el restaurant, com el menú o l'horari. L'ajudo amb alguna d'aquestes coses?",
+    unverifiedInfo: "Aquesta dada no la tinc confirmada i prefereixo no dir-li res incorrecte. Ho pot consultar directament amb el restaurant. L'ajudo amb res més?",
+    readback: ({ name, date, time, people, phone, notes }) =>
+      `Li llegeixo la reserva: taula per a ${people} a nom de ${name}, el ${date} a les ${time}` +
+      `${phone ? `, telèfon ${phone}` : ''}${notes ? `, amb la nota: ${notes}` : ''}. És correcte?`,
+    reservationConfirmed: ({ name, date, time, people }) => `Perfecte, ${name}: taula per a ${people} el ${date} a les ${time}. L'esperem! El puc ajudar en res més?`,
+    missingFields: ({ list }) => `Per completar la reserva necessito ${list}. M'ho pot dir, si us plau?`,
+    reservationIncomplete: "Disculpi, no he pogut completar la reserva. Em repeteix el dia, l'hora i quantes persones seran?",
+    reservationFailed: 'Disculpi, ara mateix no he pogut registrar la reserva. Vol que ho torni a provar?',
+    cancelQuestion: ({ booking }) => `Cancel·larà la reserva ${booking}. Confirma que la cancel·lo?`,
+    changeQuestion: ({ booking, updated }) => `Canviarà la reserva ${booking}; quedaria ${updated}. Confirma el canvi?`,
+    cancelDone: 'Fet, la seva reserva està cancel·lada. El puc ajudar en res més?',
+    changeDone: ({ updated }) => `Fet, la seva reserva queda ${updated}. El puc ajudar en res més?`,
+    changeDiscarded: "D'acord, deixo la reserva com estava. El puc ajudar en res més?",
+    cancelFailed: 'Disculpi, ara mateix no he pogut cancel·lar la reserva. El restaurant es posarà en contacte amb vostè.',
+    changeFailed: 'Disculpi, ara mateix no he pogut canviar la reserva. El restaurant es posarà en contacte amb vostè.',
+    goodbye: 'Gràcies per la seva trucada! Fins aviat.',
+    callLimitGoodbye: "Hem d'anar acabant la trucada. Si necessita res més, torni'ns a trucar. Fins aviat!",
+    noInputGoodbye: "Sembla que no el sento. Torni'ns a trucar quan vulgui. Fins aviat!",
+    transferToStaff: "El passo amb el personal del restaurant, un moment si us plau.",
+    staffUnavailable: 'Ara mateix no el podem passar amb el personal.',
+    keypadFallback: 'Sembla que no el sento bé. Pot fer servir el teclat del telèfon.',
+    smsCancelInstructions: "Per cancel·lar o canviar la reserva, truqui'ns al {{restaurantPhone}}."
+  }
+};
+
+/**
+ * Mensaje fijo en el idioma de la conversación (en español si no está traducido)
+ * @param {string} language - Código de idioma
+ * @param {string} key - Clave del mensaje
+ * @param {Object} params - Variables del mensaje
+ * @param {boolean} formal - Tratar al cliente de usted
+ * @returns {*} - Texto del mensaje (o el valor tal cual si no es texto)
+ */
+function getMessage(language, key, params = {}, formal = false) {
+  const code = MESSAGES[language] ? language : DEFAULT_LANGUAGE;
+  const formalMessages = (formal && FORMAL_MESSAGES[code]) || {};
+  const message = [formalMessages[key], MESSAGES[code][key], MESSAGES[DEFAULT_LANGUAGE][key]]
+    .find(value => value !== undefined);
+  return typeof message === 'function' ? message(params) : message;
+}
+
+/**
+ * Elige el idioma de la conversación a partir del detectado por Whisper
+ * @param {string|null} detected - Código detectado
+ * @param {Object} languagesConfig - Configuración del negocio ({ default, allowed })
+ * @returns {string} - Idioma permitido (el detectado o el por defecto)
+ */
+function resolveLanguage(detected, languagesConfig = {}) {
+  const allowed = getAllowedLanguages(languagesConfig);
+  return detected && allowed.includes(detected) ? detected : getDefaultLanguage(languagesConfig);
+}
+
+/**
+ * Idiomas permitidos por el negocio que tienen soporte
+ */
+function getAllowedLanguages(languagesConfig = {}) {
+  const allowed = (languagesConfig.allowed || [DEFAULT_LANGUAGE]).filter(code => LANGUAGES[code]);
+  return allowed.length > 0 ? allowed : [DEFAULT_LANGUAGE];
+}
+
+function getDefaultLanguage(languagesConfig = {}) {
+  return LANGUAGES[languagesConfig.default] ? languagesConfig.default : getAllowedLanguages(languagesConfig)[0];
+}
+
+/**
+ * Convierte el idioma que devuelve Whisper ("english" o "en") a código
+ * @returns {string|null} - Código soportado o null
+ */
+function fromWhisperLanguage(language) {
+  const value = String(language || '').toLowerCase();
+  if (LANGUAGES[value]) {
+    return value;
+  }
+  return Object.keys(LANGUAGES).find(code => LANGUAGES[code].whisperName === value) || null;
+}
+
+function getLocale(language) {
+  return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  getMessage,
+  resolveLanguage,
+  getAllowedLanguages,
+  getDefaultLanguage,
+  fromWhisperLanguage,
+  getLocale
+};
@@ -0,0 +1,483 @@
+const { WebSocketServer, WebSocket } = require('ws');
+const { transcribeAudioBuffer } = require('./stt');
+const { streamSpeech } = require('./tts');
+const { mulawToPcm, pcmToMulaw, downsamplePcm, getRmsLevel, pcmToWav } = require('../utils/audio');
+const { logInfo, logError, logWarning } = require('../utils/logger');
+
+// Ruta del WebSocket al que el proveedor envía el audio de la llamada
+const STREAM_PATH = '/voice/stream';
+
+const CALL_SAMPLE_RATE = 8000; // Audio telefónico
+const TTS_SAMPLE_RATE = 24000; // Salida PCM de OpenAI TTS
+const FRAME_MS = 20; // Tamaño de los fragmentos enviados al proveedor
+const PREROLL_MS = 200; // Audio previo que se conserva para no cortar el inicio de la frase
+const MARK_GRACE_MS = 500; // Margen si el proveedor no devuelve las marcas de reproducción
+
+/**
+ * Conecta el servidor de streaming de audio al servidor HTTP
+ * @param {Object} server - Servidor HTTP de Express (resultado de app.listen)
+ * @param {Object} handlers - { onStart(callId, token) (puede ser async), onUtterance(callId, text, language, audioSeconds),
+ *   onSilence(callId), onStop(callId) }. onUtterance y onSilence devuelven { message, end, language } o null
+ * @returns {WebSocketServer} - Servidor WebSocket
+ */
+function attachMediaStreamServer(server, handlers) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+
+    if (pathname !== STREAM_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, handlers));
+  });
+
+  logInfo(`🔊 Streaming de audio disponible en ${STREAM_PATH}`);
+  return wss;
+}
+
+/**
+ * Gestiona una conexión de streaming (una llamada)
+ */
+function handleConnection(ws, handlers) {
+  const session = {
+    ws: ws,
+    callId: null,
+    streamSid: null,
+    encoding: 'ulaw',
+    config: null,
+    language: null, // Idioma de la conversación
+    detectLanguage: false, // Se detecta en la primera frase del cliente
+    state: 'waiting', // waiting | listening | processing | speaking | closing | closed
+    speech: createSpeechState(),
+    markCount: 0,
+    playbackId: 0,
+    pendingMark: null,
+    playbackTimer: null,
+    silenceTimer: null,
+    closeAfterPlayback: false,
+    handlers: handlers
+  };
+
+  ws.on('message', data => {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return; // Los proveedores solo envían JSON: se ignora cualquier otra cosa
+    }
+
+    switch (message.event) {
+      case 'start':
+        return startSession(session, message, handlers);
+      case 'media':
+        return handleMedia(session, message, handlers);
+      case 'mark':
+        return handleMark(session, message);
+      case 'stop':
+        return stopSession(session, handlers);
+      default:
+        return null;
+    }
+  });
+
+  ws.on('close', () => stopSession(session, handlers));
+  ws.on('error', error => logError('Error en el WebSocket de streaming:', error));
+}
+
+/**
+ * Inicio del stream: identifica la llamada y valida el token de la conversación
+ */
+async function startSession(session, message, handlers) {
+  const start = message.start || {};
+  const parameters = start.customParameters || {};
+  const encoding = (start.mediaFormat && start.mediaFormat.encoding) || '';
+
+  session.streamSid = message.streamSid || start.streamSid || null;
+  session.callId = parameters.callId || start.callSid || start.callId || null;
+  session.encoding = /l16|pcm/i.test(encoding) ? 'pcm16' : 'ulaw';
+
+  let accepted = null;
+  try {
+    accepted = session.callId ? await handlers.onStart(session.callId, parameters.token) : null;
+  } catch (error) {
+    logError('Error iniciando el stream:', error);
+  }
+
+  // El proveedor pudo cerrar la conexión mientras se validaba
+  if (session.state !== 'waiting') {
+    return null;
+  }
+
+  if (!accepted) {
+    logWarning(`🚫 Stream rechazado para la llamada ${session.callId || 'desconocida'}`);
+    session.state = 'closing';
+    return session.ws.close(1008, 'Stream no autorizado');
+  }
+
+  session.config = accepted.config;
+  session.language = accepted.language || null;
+  session.detectLanguage = !!accepted.detectLanguage;
+  session.state = 'listening';
+  logInfo(`🔊 Stream iniciado para la llamada ${session.callId} (${session.encoding})`);
+
+  if (accepted.greeting) {
+    speak(session, accepted.greeting);
+  } else {
+    startSilenceTimer(session);
+  }
+}
+
+/**
+ * Audio entrante: detección de voz fragmento a fragmento
+ */
+function handleMedia(session, message, handlers) {
+  if (!message.media || !message.media.payload) {
+    return;
+  }
+
+  // Mientras el asistente habla solo se escucha si se permite interrumpirle
+  // (nunca durante la despedida o el aviso de transferencia)
+  const canBargeIn = session.state === 'speaking' && session.config.bargeIn && !session.closeAfterPlayback;
+  if (session.state !== 'listening' && !canBargeIn) {
+    return;
+  }
+
+  const payload = Buffer.from(message.media.payload, 'base64');
+  const pcm = session.encoding === 'ulaw' ? mulawToPcm(payload) : payload;
+  const result = detectSpeech(session.speech, pcm, session.config);
+
+  if (result === 'start') {
+    clearTimeout(session.silenceTimer);
+    if (session.state === 'speaking') {
+      interruptPlayback(session);
+    }
+  } else if (result === 'end') {
+    finishUtterance(session, handlers);
+  }
+}
+
+/**
+ * Barge-in: el cliente empieza a hablar y se corta la respuesta en curso
+ * conservando lo que ya ha dicho
+ */
+function interruptPlayback(session) {
+  logInfo(`✋ El cliente interrumpe al asistente (llamada ${session.callId})`);
+
+  session.playbackId++; // Descarta el audio que siga llegando del TTS
+  clearTimeout(session.playbackTimer);
+  session.pendingMark = null;
+  session.state = 'listening';
+
+  // Vacía el audio pendiente de reproducir en el proveedor
+  send(session, { event: 'clear' });
+}
+
+/**
+ * Estado inicial del detector de voz
+ */
+function createSpeechState() {
+  return {
+    active: false,
+    preroll: [],
+    chunks: [],
+    voicedMs: 0,
+    silenceMs: 0,
+    durationMs: 0
+  };
+}
+
+/**
+ * Detector de voz por energía: decide cuándo empieza y termina el turno del cliente
+ * @param {Object} speech - Estado del detector
+ * @param {Buffer} pcm - Fragmento PCM 16 bits a 8 kHz
+ * @param {Object} config - Configuración de streaming del negocio
+ * @returns {string|null} - start | speaking | end | null (sin voz)
+ */
+function detectSpeech(speech, pcm, config) {
+  const frameMs = (pcm.length / 2 / CALL_SAMPLE_RATE) * 1000;
+  const voiced = getRmsLevel(pcm) >= config.energyThreshold;
+
+  if (!speech.active) {
+    speech.preroll.push(pcm);
+    if (speech.preroll.length * frameMs > config.minSpeechMs + PREROLL_MS) {
+      speech.preroll.shift();
+    }
+
+    speech.voicedMs = voiced ? speech.voicedMs + frameMs : 0;
+    if (speech.voicedMs < config.minSpeechMs) {
+      return null;
+    }
+
+    speech.active = true;
+    speech.chunks = speech.preroll;
+    speech.preroll = [];
+    speech.durationMs = speech.chunks.length * frameMs;
+    speech.silenceMs = 0;
+    return 'start';
+  }
+
+  speech.chunks.push(pcm);
+  speech.durationMs += frameMs;
+  speech.silenceMs = voiced ? 0 : speech.silenceMs + frameMs;
+
+  if (speech.silenceMs >= config.endSilenceMs || speech.durationMs >= config.maxUtteranceMs) {
+    return 'end';
+  }
+
+  return 'speaking';
+}
+
+/**
+ * Fin del turno del cliente: transcribir, obtener respuesta y hablar
+ */
+async function finishUtterance(session, handlers) {
+  const audio = Buffer.concat(session.speech.chunks);
+  session.speech = createSpeechState();
+  session.state = 'processing';
+
+  try {
+    // Hasta conocer el idioma del cliente, Whisper lo detecta en cada frase
+    const transcription = await transcribeAudioBuffer(
+      pcmToWav(audio, CALL_SAMPLE_RATE),
+      'stream.wav',
+      session.detectLanguage ? null : session.language
+    );
+    const userText = transcription.text;
+
+    // Solo ruido: cuenta como un silencio del cliente
+    if (!userText || userText.trim() === '') {
+      return handleSilence(session);
+    }
+
+    // Segundos de audio transcritos, para el consumo de la llamada
+    const audioSeconds = transcription.duration || audio.length / (CALL_SAMPLE_RATE * 2);
+    const reply = await handlers.onUtterance(session.callId, userText, transcription.language, audioSeconds);
+
+    if (!reply || !reply.message) {
+      return resumeListening(session);
+    }
+
+    if (reply.language) {
+      session.language = reply.language;
+      session.detectLanguage = false;
+    }
+
+    await speak(session, reply.message, reply.end);
+
+  } catch (error) {
+    logError('Error procesando turno en streaming:', error);
+    resumeListening(session);
+  }
+}
+
+/**
+ * El cliente no ha dicho nada: el manejador decide si se le pide que repita o se cuelga
+ */
+async function handleSilence(session) {
+  if (!session.handlers.onSilence) {
+    return resumeListening(session);
+  }
+
+  session.state = 'processing';
+
+  try {
+    const reply = await session.handlers.onSilence(session.callId);
+
+    if (!reply || !reply.message) {
+      return resumeListening(session);
+    }
+
+    await speak(session, reply.message, reply.end);
+
+  } catch (error) {
+    logError('Error procesando silencio en streaming:', error);
+    resumeListening(session);
+  }
+}
+
+/**
+ * Cuenta el tiempo escuchando sin que el cliente empiece a hablar
+ */
+function startSilenceTimer(session) {
+  clearTimeout(session.silenceTimer);
+
+  if (!session.config.noInputTimeoutMs) {
+    return;
+  }
+
+  session.silenceTimer = setTimeout(() => {
+    if (session.state === 'listening' && !session.speech.active) {
+      logInfo(`🤫 Sin voz del cliente en ${session.config.noInputTimeoutMs} ms (llamada ${session.callId})`);
+      handleSilence(session);
+    }
+  }, session.config.noInputTimeoutMs);
+}
+
+/**
+ * Sintetiza el texto y envía el audio al proveedor a medida que se genera
+ * @param {Object} session - Sesión de streaming
+ * @param {string} text - Texto a decir
+ * @param {boolean} end - Cerrar el stream al terminar la reproducción
+ */
+async function speak(session, text, end = false) {
+  if (!isOpen(session)) {
+    return;
+  }
+
+  const playbackId = ++session.playbackId;
+  clearTimeout(session.silenceTimer);
+  session.state = 'speaking';
+  session.closeAfterPlayback = end;
+  session.speech = createSpeechState();
+
+  const bytesPerSample = session.encoding === 'ulaw' ? 1 : 2;
+  const frameBytes = (CALL_SAMPLE_RATE * FRAME_MS / 1000) * bytesPerSample;
+  const ratio = TTS_SAMPLE_RATE / CALL_SAMPLE_RATE;
+  let carry = Buffer.alloc(0);
+  let outgoing = Buffer.alloc(0);
+  let sentSamples = 0;
+  const startedAt = Date.now();
+
+  try {
+    await streamSpeech(text, chunk => {
+      if (session.playbackId !== playbackId) {
+        return; // Respuesta interrumpida
+      }
+
+      // Remuestrear solo bloques completos; el resto espera al siguiente fragmento
+      const input = Buffer.concat([carry, chunk]);
+      const usable = input.length - (input.length % (ratio * 2));
+      carry = input.subarray(usable);
+
+      const pcm = downsamplePcm(input.subarray(0, usable), TTS_SAMPLE_RATE, CALL_SAMPLE_RATE);
+      outgoing = Buffer.concat([outgoing, session.encoding === 'ulaw' ? pcmToMulaw(pcm) : pcm]);
+
+      while (outgoing.length >= frameBytes) {
+        sendMedia(session, outgoing.subarray(0, frameBytes));
+        outgoing = outgoing.subarray(frameBytes);
+        sentSamples += frameBytes / bytesPerSample;
+      }
+    }, 'nova', session.language || undefined);
+
+    if (outgoing.length > 0 && session.playbackId === playbackId) {
+      sendMedia(session, outgoing);
+      sentSamples += outgoing.length / bytesPerSample;
+    }
+
+  } catch (error) {
+    logError('Error enviando audio en streaming:', error);
+  }
+
+  if (session.playbackId === playbackId) {
+    waitForPlayback(session, startedAt + (sentSamples / CALL_SAMPLE_RATE) * 1000);
+  }
+}
+
+/**
+ * Envía una marca tras el audio para saber cuándo termina de reproducirse
+ */
+function waitForPlayback(session, expectedEnd) {
+  if (!isOpen(session)) {
+    return;
+  }
+
+  session.markCount++;
+  session.pendingMark = `respuesta-${session.markCount}`;
+  send(session, { event: 'mark', mark: { name: session.pendingMark } });
+
+  // Por si el proveedor no devuelve la marca
+  clearTimeout(session.playbackTimer);
+  session.playbackTimer = setTimeout(
+    () => finishPlayback(session),
+    Math.max(0, expectedEnd - Date.now()) + MARK_GRACE_MS
+  );
+}
+
+/**
+ * El proveedor confirma que ha reproducido el audio hasta la marca
+ */
+function handleMark(session, message) {
+  if (message.mark && message.mark.name === session.pendingMark) {
+    finishPlayback(session);
+  }
+}
+
+/**
+ * Fin de la reproducción: volver a escuchar o cerrar el stream
+ */
+function finishPlayback(session) {
+  clearTimeout(session.playbackTimer);
+  session.pendingMark = null;
+
+  if (session.state !== 'speaking') {
+    return;
+  }
+
+  if (session.closeAfterPlayback) {
+    session.state = 'closing';
+    return session.ws.close(1000, 'Fin de la conversación');
+  }
+
+  resumeListening(session);
+}
+
+/**
+ * Vuelve a escuchar al cliente descartando el audio acumulado
+ */
+function resumeListening(session) {
+  if (session.state === 'closing' || session.state === 'closed') {
+    return;
+  }
+
+  session.speech = createSpeechState();
+  session.state = 'listening';
+  startSilenceTimer(session);
+}
+
+/**
+ * Fin del stream (el proveedor lo detiene o se cierra la conexión)
+ */
+function stopSession(session, handlers) {
+  if (session.state === 'closed') {
+    return;
+  }
+
+  const accepted = !!session.config;
+  session.state = 'closed';
+  clearTimeout(session.playbackTimer);
+  clearTimeout(session.silenceTimer);
+
+  if (accepted && handlers.onStop) {
+    handlers.onStop(session.callId);
+  }
+}
+
+/**
+ * Envía un fragmento de audio al proveedor
+ */
+function sendMedia(session, audio) {
+  send(session, { event: 'media', media: { payload: audio.toString('base64') } });
+}
+
+/**
+ * Envía un mensaje JSON al proveedor (con el streamSid si lo hay)
+ */
+function send(session, message) {
+  if (isOpen(session)) {
+    session.ws.send(JSON.stringify(session.streamSid ? { ...message, streamSid: session.streamSid } : message));
+  }
+}
+
+function isOpen(session) {
+  return session.ws.readyState === WebSocket.OPEN;
+}
+
+module.exports = {
+  STREAM_PATH,
+  attachMediaStreamServer,
+  detectSpeech,
+  createSpeechState
+};
@@ -0,0 +1,618 @@
+const crypto = require('crypto');
+const path = require('path');
+const { placeOutboundCall, getProviderConfig } = require('../config/phone');
+const { getBusinessConfig, getConfiguredBusinessIds } = require('../config/businesses');
+const { getDashboardData, cancelReservation, modificarReserva } = require('../utils/dashboard');
+const { normalizeReservation, formatSpokenDate } = require('../utils/reservationFormat');
+const { logInfo, logError } = require('../utils/logger');
+const { isBudgetExceeded } = require('./usage');
+const { checkAvailability } = require('./availability');
+const { createConversationStore } = require('./conversationStore');
+
+// Llamadas salientes (en cola, en curso y terminadas) por ID interno. Las terminadas
+// se conservan para consultarlas hasta que pasan OUTBOUND_TTL_MINUTES sin cambios
+const OUTBOUND_TTL_MINUTES = 7 * 24 * 60;
+const outboundStore = createConversationStore({
+  dir: path.join(__dirname, '..', 'data', 'outbound-calls'),
+  ttlMinutes: OUTBOUND_TTL_MINUTES,
+  name: 'llamadas salientes'
+});
+
+// Reservas que ya tienen recordatorio programado ("negocio:reserva"); caducan cuando
+// la reserva ya ha pasado (el recordatorio se programa como mucho reminderHoursBefore antes)
+const REMINDER_TTL_MINUTES = 7 * 24 * 60;
+const reminderStore = createConversationStore({
+  dir: path.join(__dirname, '..', 'data', 'outbound-reminders'),
+  ttlMinutes: REMINDER_TTL_MINUTES,
+  name: 'recordatorios programados'
+});
+
+// Estados en los que el proveedor no llegó a conectar con el cliente
+const RETRY_STATUSES = ['no-answer', 'busy', 'failed', 'timeout'];
+
+// Respuestas del cliente: cancelar, no cancelar ("no la anules") y "sí" como palabra
+// (\b no reconoce la í como letra)
+const CANCEL_PATTERN = /cancel|cancél|anul|anúl/;
+const NEGATED_CANCEL_PATTERN = /\bno\b(?:\s+[\wáéíóúñ]+){0,2}\s+(?:cancel|cancél|anul|anúl)/;
+const YES_PATTERN = /(?:^|[^a-záéíóúñ])s[ií](?![a-záéíóúñ])/;
+
+let schedulerInterval = null;
+
+/**
+ * Crea una llamada saliente y la deja en cola
+ * @param {string} businessId - ID del negocio
+ * @param {Object} reservation - Reserva a recordar o confirmar
+ * @param {string} type - reminder | confirmation
+ * @returns {Promise<Object>} - Llamada saliente creada
+ */
+async function createOutboundCall(businessId, reservation, type = 'reminder') {
+  const normalized = normalizeReservation(reservation);
+
+  if (!normalized.phone) {
+    throw new Error('La reserva no tiene un teléfono válido');
+  }
+
+  if (!normalized.id) {
+    throw new Error('La reserva no tiene identificador');
+  }
+
+  if (isOutboundPaused(businessId)) {
+    throw new Error('Presupuesto mensual agotado: llamadas salientes en pausa');
+  }
+
+  const outboundCall = {
+    id: crypto.randomUUID(),
+    businessId: businessId,
+    type: type,
+    reservation: normalized,
+    status: 'queued',
+    step: 'intro',
+    attempts: 0,
+    retries: 0,
+    nextAttemptAt: Date.now(),
+    outcome: null,
+    createdAt: new Date().toISOString()
+  };
+
+  await outboundStore.create(outboundCall.id, outboundCall);
+  logInfo(`📋 Llamada saliente (${type}) en cola para reserva ${normalized.id}`);
+
+  return outboundCall;
+}
+
+// En modo económico las llamadas salientes se pausan salvo que el negocio las mantenga
+function isOutboundPaused(businessId) {
+  return !getBusinessConfig(businessId).budget.degraded.outbound && isBudgetExceeded(businessId);
+}
+
+/**
+ * Marca la llamada a través del proveedor
+ * @param {string} outboundId - ID interno de la llamada
+ * @param {string} baseUrl - URL pública del servidor
+ * @returns {Promise<Object|null>} - Llamada saliente actualizada (null si no existe)
+ */
+async function dialOutboundCall(outboundId, baseUrl) {
+  return outboundStore.update(outboundId, async outboundCall => {
+    // Otra instancia puede haberla marcado ya
+    if (!outboundCall || outboundCall.status !== 'queued') {
+      return outboundCall;
+    }
+
+    outboundCall.attempts++;
+    outboundCall.status = 'dialing';
+
+    try {
+      const { providerCallId } = await placeOutboundCall({
+        to: outboundCall.reservation.phone,
+        answerUrl: `${baseUrl}/voice/outbound/answer?outboundId=${outboundCall.id}`,
+        statusUrl: `${baseUrl}/voice/outbound/status?outboundId=${outboundCall.id}`
+      });
+
+      outboundCall.providerCallId = providerCallId;
+      logInfo(`📲 Llamada saliente ${outboundCall.id} iniciada (intento ${outboundCall.attempts})`);
+
+    } catch (error) {
+      logError(`Error iniciando llamada saliente ${outboundCall.id}:`, error);
+      registerOutboundStatus(outboundCall, 'failed');
+    }
+
+    return outboundCall;
+  });
+}
+
+/**
+ * Indica si se puede llamar al cliente a esta hora
+ * @param {Object} outboundConfig - Configuración de llamadas salientes
+ * @param {Date} date - Momento a comprobar
+ * @returns {boolean} - True si está dentro del horario permitido
+ */
+function isWithinCallingHours(outboundConfig, date = new Date()) {
+  const hour = date.getHours();
+  return hour >= outboundConfig.callingHours.start && hour < outboundConfig.callingHours.end;
+}
+
+/**
+ * Marca las llamadas en cola que ya toca hacer
+ * @param {string} baseUrl - URL pública del servidor
+ */
+async function processOutboundQueue(baseUrl) {
+  const now = Date.now();
+
+  for (const outboundCall of await outboundStore.list()) {
+    if (outboundCall.status !== 'queued' || outboundCall.nextAttemptAt > now) {
+      continue;
+    }
+
+    const outboundConfig = getBusinessConfig(outboundCall.businessId).outbound;
+    if (!isWithinCallingHours(outboundConfig)) {
+      continue;
+    }
+
+    await dialOutboundCall(outboundCall.id, baseUrl);
+  }
+}
+
+/**
+ * Registra el estado final de una llamada y programa reintentos
+ * @param {Object} outboundCall - Llamada saliente
+ * @param {string} status - Estado reportado por el proveedor
+ * @param {number} duration - Duración en segundos
+ */
+function registerOutboundStatus(outboundCall, status, duration = 0) {
+  const outboundConfig = getBusinessConfig(outboundCall.businessId).outbound;
+
+  outboundCall.duration = parseInt(duration) || 0;
+  outboundCall.estimatedCost = Number(
+    (Math.ceil(outboundCall.duration / 60) * getProviderConfig().pricing.outbound).toFixed(3)
+  );
+
+  // Si el cliente no contestó, volver a intentarlo más tarde
+  if (!outboundCall.outcome && RETRY_STATUSES.includes(status) && outboundCall.attempts < outboundConfig.maxAttempts) {
+    outboundCall.status = 'queued';
+    outboundCall.nextAttemptAt = Date.now() + outboundConfig.retryDelayMinutes * 60 * 1000;
+    logInfo(`🔁 Llamada saliente ${outboundCall.id} sin respuesta (${status}), se reintentará`);
+    return;
+  }
+
+  outboundCall.status = outboundCall.outcome ? 'completed' : status;
+  outboundCall.endedAt = new Date().toISOString();
+}
+
+/**
+ * Genera el texto inicial de la llamada
+ * @param {Object} outboundCall - Llamada saliente
+ * @param {Object} dashboardData - Datos del negocio
+ * @returns {string} - Texto a reproducir
+ */
+function getOutboundScript(outboundCall, dashboardData = {}) {
+  const { name, date, time, people } = outboundCall.reservation;
+  const greeting = name ? `Hola ${name}` : 'Hola';
+  const reason = outboundCall.type === 'confirmation'
+    ? 'para confirmar la reserva que acabas de hacer'
+    : 'para recordarte tu reserva';
+
+  return `${greeting}, te llamamos de ${dashboardData.name || 'el restaurante'} ${reason} ` +
+    `del ${formatSpokenDate(date)} a las ${time}${people ? ` para ${people} personas` : ''}. ` +
+    'Di "confirmo" o pulsa 1 para confirmarla, di "cancelar" o pulsa 2 para cancelarla, ' +
+    'o di "cambiar" o pulsa 3 para cambiar la hora o el número de personas.';
+}
+
+/**
+ * Detecta qué quiere hacer el cliente con su reserva
+ * @param {string} text - Texto transcrito
+ * @param {string} digits - Tecla pulsada
+ * @returns {string|null} - confirm | cancel | change | null
+ */
+function detectOutboundIntent(text = '', digits = '') {
+  const key = (digits || '').replace(/#/g, '')[0];
+  if (key === '1') return 'confirm';
+  if (key === '2') return 'cancel';
+  if (key === '3') return 'change';
+
+  const lower = text.toLowerCase();
+
+  // "No quiero cancelar" o "no la anules" piden lo contrario, y "¿puedo cancelar luego?"
+  // es una pregunta, no una petición
+  const mentionsCancel = CANCEL_PATTERN.test(lower);
+  const keepsReservation = mentionsCancel && NEGATED_CANCEL_PATTERN.test(lower);
+  const asksAboutCancel = mentionsCancel && isQuestion(lower);
+
+  // Cancelar y cambiar primero: "sí, quiero cancelar" no es una confirmación
+  if (mentionsCancel && !keepsReservation && !asksAboutCancel) return 'cancel';
+  if (/no (podemos|podré|puedo|vamos|iremos)\b/.test(lower) && !isQuestion(lower)) return 'cancel';
+  if (/cambi|modific|mover|otra hora|más personas|menos personas/.test(lower)) return 'change';
+  if (YES_PATTERN.test(lower) || /confirm|vale|perfecto|de acuerdo|allí estaremos|ahí estaremos/.test(lower)) return 'confirm';
+  if (keepsReservation) return 'confirm';
+
+  return null;
+}
+
+/**
+ * Respuesta del cliente a "¿seguro que quieres cancelar?"
+ * @param {string} text - Texto transcrito
+ * @param {string} digits - Tecla pulsada (1 = sí, 2 = no)
+ * @returns {boolean|null} - true (cancelar), false (mantener) o null si no está claro
+ */
+function detectCancelConfirmation(text = '', digits = '') {
+  const key = (digits || '').replace(/#/g, '')[0];
+  if (key === '1') return true;
+  if (key === '2') return false;
+
+  const lower = text.toLowerCase().trim();
+
+  if (/^no\b|mantén|mantener|mejor no/.test(lower) || NEGATED_CANCEL_PATTERN.test(lower)) return false;
+  if (YES_PATTERN.test(lower) || /confirm|vale|de acuerdo|adelante|correcto/.test(lower) || CANCEL_PATTERN.test(lower)) return true;
+
+  return null;
+}
+
+/**
+ * Respuesta del cliente a la lectura del cambio ("¿hago el cambio?")
+ * @param {string} text - Texto transcrito
+ * @param {string} digits - Tecla pulsada (1 = sí, 2 = no)
+ * @returns {boolean|null} - true (cambiar), false (no cambiar) o null si no está claro
+ */
+function detectChangeConfirmation(text = '', digits = '') {
+  const key = (digits || '').replace(/#/g, '')[0];
+  if (key === '1') return true;
+  if (key === '2') return false;
+
+  const lower = text.toLowerCase().trim();
+
+  if (/^no\b|mejor no|como estaba|déjala/.test(lower)) return false;
+  if (YES_PATTERN.test(lower) || /confirm|vale|de acuerdo|adelante|correcto|perfecto|cámbiala|cambiala/.test(lower)) return true;
+
+  return null;
+}
+
+function isQuestion(lower) {
+  return /[¿?]/.test(lower) || /^(puedo|podría|podríamos|se puede|hay que|cómo|cuándo|hasta cuándo)\b/.test(lower);
+}
+
+/**
+ * Extrae la nueva hora y/o número de personas de la respuesta del cliente
+ * @param {string} text - Texto transcrito
+ * @param {string} referenceTime - Hora actual de la reserva (HH:MM) para resolver "a las 10"
+ * @returns {Object} - { time, people }
+ */
+function parseReservationChange(text = '', referenceTime = null) {
+  const timeMatch = text.match(/(?:a las?|para las?)\s*(\d{1,2})(?::(\d{2})|\s*y\s*(media|cuarto))?/i);
+  const peopleMatch = text.match(/(\d+)\s*(?:personas?|comensales?)/i);
+
+  let time = null;
+  if (timeMatch) {
+    let hour = parseInt(timeMatch[1]);
+    const minutes = timeMatch[2] || ({ media: '30', cuarto: '15' }[(timeMatch[3] || '').toLowerCase()]) || '00';
+
+    // "a las 10" puede ser por la mañana o por la noche: lo que diga el cliente y, si no,
+    // lo más cercano a la hora que ya tenía (sin ella, por la noche). Se le lee antes de cambiarla
+    if (hour >= 1 && hour < 12 && !/de la mañana/i.test(text)) {
+      const evening = /de la (tarde|noche)/i.test(text) || !referenceTime ||
+        Math.abs(toMinutes(referenceTime) - (hour + 12) * 60) < Math.abs(toMinutes(referenceTime) - hour * 60);
+      if (evening) {
+        hour += 12;
+      }
+    }
+
+    time = `${String(hour).padStart(2, '0')}:${minutes}`;
+  }
+
+  return {
+    time: time,
+    people: peopleMatch ? parseInt(peopleMatch[1]) : null
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Procesa la respuesta del cliente y ejecuta la acción sobre la reserva
+ * @param {Object} outboundCall - Llamada saliente
+ * @param {Object} reply - { text, digits }
+ * @returns {Promise<Object>} - { message, end }
+ */
+async function handleOutboundReply(outboundCall, { text = '', digits = '' }) {
+  const reservation = outboundCall.reservation;
+
+  if (outboundCall.step === 'change') {
+    return proposeReservationChange(outboundCall, text);
+  }
+
+  if (outboundCall.step === 'confirm_change') {
+    return applyReservationChange(outboundCall, text, digits);
+  }
+
+  if (outboundCall.step === 'confirm_cancel') {
+    return confirmCancellation(outboundCall, text, digits);
+  }
+
+  const intent = detectOutboundIntent(text, digits);
+  logInfo(`📲 Respuesta a llamada saliente ${outboundCall.id}: ${intent || 'sin intención clara'}`);
+
+  switch (intent) {
+    case 'confirm':
+      outboundCall.outcome = 'confirmed';
+      return { message: '¡Perfecto! Tu reserva queda confirmada. Te esperamos. ¡Hasta pronto!', end: true };
+
+    // Como en las llamadas entrantes, nada se cancela sin un sí claro
+    case 'cancel':
+      outboundCall.step = 'confirm_cancel';
+      outboundCall.retries = 0;
+      return {
+        message: `Vas a cancelar tu reserva del ${formatSpokenDate(reservation.date)} a las ${reservation.time}. ` +
+          '¿La cancelo? Di "sí" o pulsa 1 para cancelarla, o di "no" o pulsa 2 para mantenerla.',
+        end: false
+      };
+
+    case 'change':
+      outboundCall.step = 'change';
+      outboundCall.retries = 0;
+      return { message: 'De acuerdo. Dime la nueva hora y el número de personas, por ejemplo: a las nueve y media para cuatro personas.', end: false };
+
+    default:
+      return retryOutbound(outboundCall, 'Perdona, no te he entendido. Di "confirmo", "cancelar" o "cambiar", o pulsa 1, 2 o 3.');
+  }
+}
+
+/**
+ * Cancela la reserva solo si el cliente lo confirma; si no, la mantiene
+ */
+async function confirmCancellation(outboundCall, text, digits) {
+  const confirmed = detectCancelConfirmation(text, digits);
+
+  if (confirmed === null) {
+    return retryOutbound(outboundCall, 'Perdona, ¿cancelo la reserva? Di "sí" o pulsa 1 para cancelarla, o di "no" o pulsa 2 para mantenerla.');
+  }
+
+  outboundCall.step = 'intro';
+
+  if (!confirmed) {
+    logInfo(`↩️ El cliente mantiene la reserva (llamada saliente ${outboundCall.id})`);
+    outboundCall.outcome = 'confirmed';
+    return { message: 'De acuerdo, tu reserva se mantiene. Te esperamos. ¡Hasta pronto!', end: true };
+  }
+
+  try {
+    await cancelReservation(outboundCall.reservation.id);
+    outboundCall.outcome = 'cancelled';
+    return { message: 'Tu reserva ha sido cancelada. Esperamos verte en otra ocasión. ¡Hasta luego!', end: true };
+  } catch (error) {
+    outboundCall.outcome = 'cancel_failed';
+    return { message: 'No he podido cancelar la reserva ahora mismo. El restaurante se pondrá en contacto contigo. ¡Hasta luego!', end: true };
+  }
+}
+
+/**
+ * Entiende el cambio pedido, comprueba que hay mesa y se lo lee al cliente para que lo confirme
+ */
+async function proposeReservationChange(outboundCall, text) {
+  const reservation = outboundCall.reservation;
+  const change = parseReservationChange(text, reservation.time);
+
+  if (!change.time && !change.people) {
+    return retryOutbound(outboundCall, 'No he entendido el cambio. Dime la nueva hora y cuántas personas seréis.');
+  }
+
+  const updated = {
+    date: reservation.date,
+    time: change.time || reservation.time,
+    people: change.people || reservation.people
+  };
+
+  if (updated.time === reservation.time && updated.people === reservation.people) {
+    return retryOutbound(outboundCall, 'Tu reserva ya está así. Dime la nueva hora o el número de personas que quieres.');
+  }
+
+  // Con menos personas a la misma hora la mesa ya es suya
+  if (updated.time !== reservation.time || updated.people > reservation.people) {
+    const availability = await checkAvailability(updated);
+    if (availability.available === false) {
+      const options = availability.alternatives
+        .filter(alternative => alternative.date === updated.date)
+        .map(alternative => alternative.time);
+      return retryOutbound(outboundCall, 'No hay mesa para ese cambio' +
+        (options.length > 0 ? `; sí la hay a las ${options.join(' o a las ')}` : '') +
+        '. Dime otra hora o número de personas.');
+    }
+  }
+
+  outboundCall.pendingChange = updated;
+  outboundCall.step = 'confirm_change';
+  outboundCall.retries = 0;
+  return { message: buildChangeReadback(updated), end: false };
+}
+
+function buildChangeReadback({ date, time, people }) {
+  return `Tu reserva quedaría el ${formatSpokenDate(date)} a las ${time}${people ? ` para ${people} personas` : ''}. ` +
+    '¿Hago el cambio? Di "sí" o pulsa 1 para cambiarla, o di "no" o pulsa 2 para no cambiar nada.';
+}
+
+/**
+ * Cambia la reserva solo si el cliente confirma lo que se le ha leído
+ */
+async function applyReservationChange(outboundCall, text, digits) {
+  const reservation = outboundCall.reservation;
+  const updated = outboundCall.pendingChange;
+  const confirmed = detectChangeConfirmation(text, digits);
+
+  if (confirmed === null) {
+    return retryOutbound(outboundCall, `Perdona, no te he entendido. ${buildChangeReadback(updated)}`);
+  }
+
+  outboundCall.pendingChange = null;
+
+  // Lo entendido no era lo que quería: se vuelve a preguntar con los intentos que queden
+  if (!confirmed) {
+    logInfo(`↩️ El cliente no confirma el cambio (llamada saliente ${outboundCall.id})`);
+    outboundCall.step = 'change';
+    return retryOutbound(outboundCall, 'De acuerdo, no cambio nada. Dime de nuevo la nueva hora y el número de personas.');
+  }
+
+  outboundCall.step = 'intro';
+
+  try {
+    await modificarReserva({
+      id: reservation.id,
+      fecha: updated.date,
+      hora: updated.time,
+      personas: updated.people
+    });
+    outboundCall.reservation = { ...reservation, time: updated.time, people: updated.people };
+    outboundCall.outcome = 'changed';
+    return {
+      message: `Hecho, tu reserva queda a las ${updated.time} para ${updated.people} personas. ¡Hasta pronto!`,
+      end: true
+    };
+  } catch (error) {
+    outboundCall.outcome = 'change_failed';
+    return {
+      message: 'No he podido hacer el cambio ahora mismo. El restaurante te llamará para buscar otra opción. ¡Hasta luego!',
+      end: true
+    };
+  }
+}
+
+/**
+ * Vuelve a preguntar una vez y despide la llamada si sigue sin entenderse
+ */
+function retryOutbound(outboundCall, message) {
+  outboundCall.retries++;
+
+  if (outboundCall.retries > 2) {
+    outboundCall.outcome = 'no_response';
+    return { message: 'No te he podido entender. Tu reserva se mantiene igual. ¡Hasta luego!', end: true };
+  }
+
+  return { message: message, end: false };
+}
+
+/**
+ * Busca reservas próximas y programa sus llamadas de recordatorio
+ */
+async function scheduleReminders() {
+  for (const businessId of getConfiguredBusinessIds()) {
+    const outboundConfig = getBusinessConfig(businessId).outbound;
+    if (!outboundConfig.remindersEnabled) continue;
+    if (isOutboundPaused(businessId)) continue;
+
+    try {
+      const dashboardData = await getDashboardData(businessId);
+      const now = Date.now();
+      const windowEnd = now + outboundConfig.reminderHoursBefore * 60 * 60 * 1000;
+
+      for (const raw of dashboardData.reservations || []) {
+        const reservation = normalizeReservation(raw);
+        const key = `${businessId}:${reservation.id}`;
+        const startsAt = new Date(`${reservation.date}T${reservation.time}:00`).getTime();
+
+        // Recordar solo reservas activas dentro de la ventana y con al menos 2 horas de margen
+        if (!reservation.id || !reservation.phone || /cancel/i.test(reservation.status)) continue;
+        if (isNaN(startsAt) || startsAt > windowEnd || startsAt < now + 2 * 60 * 60 * 1000) continue;
+        if (await reminderStore.get(key)) continue;
+
+        await createOutboundCall(businessId, raw, 'reminder');
+        await reminderStore.create(key, { businessId: businessId, reservationId: reservation.id });
+      }
+
+    } catch (error) {
+      logError(`Error programando recordatorios para ${businessId}:`, error);
+    }
+  }
+}
+
+/**
+ * Arranca el programador de llamadas salientes (recordatorios y cola)
+ * @param {number} intervalMinutes - Cada cuántos minutos revisar
+ */
+function startOutboundScheduler(intervalMinutes = 5) {
+  const baseUrl = process.env.PUBLIC_BASE_URL;
+  const enabled = getConfiguredBusinessIds().some(id => {
+    const outboundConfig = getBusinessConfig(id).outbound;
+    return outboundConfig.remindersEnabled || outboundConfig.confirmAfterBooking;
+  });
+
+  if (!enabled) {
+    logInfo('📲 Llamadas salientes automáticas desactivadas');
+    return;
+  }
+
+  if (!baseUrl) {
+    logError('⚠️ PUBLIC_BASE_URL no configurada - no se pueden programar llamadas salientes');
+    return;
+  }
+
+  const run = async () => {
+    await scheduleReminders();
+    await processOutboundQueue(baseUrl);
+  };
+
+  // Un fallo en una vuelta no debe quedar como promesa rechazada sin capturar
+  const runSafely = () => run().catch(error => logError('Error en el programador de llamadas salientes:', error));
+
+  runSafely();
+  schedulerInterval = setInterval(runSafely, intervalMinutes * 60 * 1000);
+  logInfo(`📲 Programador de llamadas salientes activo (cada ${intervalMinutes} min)`);
+}
+
+/**
+ * Detiene el programador de llamadas salientes
+ */
+function stopOutboundScheduler() {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+  }
+}
+
+/**
+ * Obtiene una llamada saliente por ID (copia, sin bloquear)
+ * @param {string} outboundId - ID interno de la llamada
+ * @returns {Promise<Object|null>} - Llamada saliente
+ */
+function getOutboundCall(outboundId) {
+  return outboundStore.get(outboundId);
+}
+
+/**
+ * Modifica una llamada saliente y guarda los cambios (ver conversationStore.update)
+ * @param {string} outboundId - ID interno de la llamada
+ * @param {Function} fn - fn(outboundCall), con null si no existe
+ * @returns {Promise<*>} - Lo que devuelva fn
+ */
+function updateOutboundCall(outboundId, fn) {
+  return outboundStore.update(outboundId, fn);
+}
+
+/**
+ * Lista las llamadas salientes, opcionalmente filtradas
+ * @param {Object} filters - { businessId, status }
+ * @returns {Promise<Array>} - Llamadas salientes
+ */
+async function listOutboundCalls(filters = {}) {
+  return (await outboundStore.list()).filter(call =>
+    (!filters.businessId || call.businessId === filters.businessId) &&
+    (!filters.status || call.status === filters.status)
+  );
+}
+
+module.exports = {
+  createOutboundCall,
+  dialOutboundCall,
+  processOutboundQueue,
+  registerOutboundStatus,
+  getOutboundScript,
+  detectOutboundIntent,
+  detectCancelConfirmation,
+  detectChangeConfirmation,
+  parseReservationChange,
+  handleOutboundReply,
+  scheduleReminders,
+  startOutboundScheduler,
+  stopOutboundScheduler,
+  getOutboundCall,
+  updateOutboundCall,
+  listOutboundCalls
+};
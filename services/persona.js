@@ -0,0 +1,177 @@
+// Personalidad del asistente en cada negocio: papel, tono, trato, saludo, despedida
+// y normas de la casa (clave `persona` de la configuración)
+const { getBusinessConfig } = require('../config/businesses');
+const { getMessage } = require('./language');
+const { renderTemplate, pickTemplate, findUnknownVariables } = require('../utils/template');
+
+const FORMALITIES = ['tu', 'usted'];
+const DEFAULT_ROLE = 'un camarero amigable';
+const DEFAULT_TONE = 'profesional pero cercano';
+
+// Variables de las plantillas (callerName solo en el saludo a clientes habituales)
+const TEMPLATE_VARIABLES = ['restaurant', 'restaurantPhone', 'address', 'hours', 'assistant'];
+const RETURNING_GREETING_VARIABLES = [...TEMPLATE_VARIABLES, 'callerName'];
+
+// Respuestas de ejemplo para el modelo si el negocio no define las suyas
+const DEFAULT_EXAMPLES = {
+  tu: [
+    '¡Hola! Bienvenido a {{restaurant}}. ¿En qué puedo ayudarte?',
+    'Por supuesto, tenemos mesa para 4 personas. ¿Para qué día y hora te gustaría?',
+    'Perfecto, he reservado una mesa para 2 personas el viernes a las 21:00 a nombre de María.'
+  ],
+  usted: [
+    '¡Buenas tardes! Bienvenido a {{restaurant}}. ¿En qué puedo ayudarle?',
+    'Por supuesto, tenemos mesa para 4 personas. ¿Para qué día y hora le vendría bien?',
+    'Perfecto, le he reservado una mesa para 2 personas el viernes a las 21:00 a nombre de María.'
+  ]
+};
+
+/**
+ * Obtiene la personalidad del asistente para un negocio
+ * @param {string} businessId - ID del negocio
+ * @param {Object|null} override - Cambios sin guardar (vista previa)
+ * @returns {Object} - Personalidad completa
+ */
+function getPersona(businessId, override = null) {
+  return { ...getBusinessConfig(businessId).persona, ...(override || {}) };
+}
+
+/**
+ * Indica si el asistente trata al cliente de usted
+ */
+function isFormal(persona) {
+  return !!persona && persona.formality === 'usted';
+}
+
+/**
+ * Variables de las plantillas con los datos actuales del Dashboard
+ * @param {Object} persona - Personalidad del asistente
+ * @param {Object} dashboardData - Datos del negocio
+ * @param {Object} extra - Variables adicionales (callerName)
+ * @returns {Object} - Valores de las variables
+ */
+function getTemplateVariables(persona, dashboardData = {}, extra = {}) {
+  return {
+    restaurant: dashboardData.name || 'el restaurante',
+    restaurantPhone: dashboardData.phone || '',
+    address: dashboardData.address || '',
+    hours: dashboardData.hours || '',
+    assistant: persona.name || '',
+    ...extra
+  };
+}
+
+/**
+ * Saludo inicial: plantilla del negocio o mensaje fijo del idioma
+ * @param {Object} persona - Personalidad del asistente
+ * @param {Object} context - { language, dashboardData, callerName }
+ * @returns {string} - Texto del saludo
+ */
+function renderGreeting(persona, { language, dashboardData = {}, callerName = null }) {
+  const returningTemplate = callerName ? pickTemplate(persona.returningGreeting, language) : null;
+  const template = returningTemplate || pickTemplate(persona.greeting, language);
+
+  if (!template) {
+    return callerName
+      ? getMessage(language, 'welcomeBack', { name: callerName }, isFormal(persona))
+      : getMessage(language, 'welcome', {}, isFormal(persona));
+  }
+
+  const variables = getTemplateVariables(persona, dashboardData, returningTemplate ? { callerName } : {});
+  return cleanRendered(renderTemplate(template, variables));
+}
+
+/**
+ * Despedida del negocio en el idioma de la conversación (null si no hay plantilla)
+ */
+function renderFarewell(persona, { language, dashboardData = {} }) {
+  const template = pickTemplate(persona.farewell, language);
+  return template ? cleanRendered(renderTemplate(template, getTemplateVariables(persona, dashboardData))) : null;
+}
+
+/**
+ * Parte del prompt con la personalidad, el trato, la despedida y las normas de la casa
+ * @param {Object} persona - Personalidad del asistente
+ * @param {Object} context - { language, dashboardData }
+ * @returns {Object} - { intro, role, tone, formality, farewell, rules, examples } ya rellenados
+ */
+function buildPersonaPrompt(persona, { language, dashboardData = {} }) {
+  const variables = getTemplateVariables(persona, dashboardData);
+  const restaurant = variables.restaurant;
+  const examples = Array.isArray(persona.examples) && persona.examples.length > 0
+    ? persona.examples
+    : DEFAULT_EXAMPLES[isFormal(persona) ? 'usted' : 'tu'];
+
+  return {
+    intro: persona.name
+      ? `Eres ${persona.name}, el asistente virtual de ${restaurant}.`
+      : `Eres el asistente virtual de ${restaurant}.`,
+    role: persona.role || DEFAULT_ROLE,
+    tone: persona.tone || DEFAULT_TONE,
+    formality: isFormal(persona) ? 'Trata al cliente de usted' : 'Tutea al cliente',
+    farewell: renderFarewell(persona, { language, dashboardData }),
+    rules: (persona.rules || []).map(rule => cleanRendered(renderTemplate(String(rule), variables))).filter(Boolean),
+    examples: examples.map(example => cleanRendered(renderTemplate(String(example), variables)))
+  };
+}
+
+/**
+ * Comprueba una personalidad antes de guardarla o previsualizarla
+ * @param {Object} persona - Personalidad completa
+ * @returns {Array<string>} - Errores encontrados
+ */
+function validatePersona(persona = {}) {
+  const errors = [];
+
+  if (!FORMALITIES.includes(persona.formality)) {
+    errors.push(`formality debe ser ${FORMALITIES.join(' o ')}`);
+  }
+
+  ['rules', 'examples'].forEach(key => {
+    const value = persona[key];
+    if (value !== null && value !== undefined &&
+        (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+      errors.push(`${key} debe ser una lista de textos`);
+    }
+  });
+
+  const templates = {
+    greeting: TEMPLATE_VARIABLES,
+    returningGreeting: RETURNING_GREETING_VARIABLES,
+    farewell: TEMPLATE_VARIABLES
+  };
+  Object.keys(templates).forEach(key => {
+    const value = persona[key];
+    if (value === null || value === undefined) {
+      return;
+    }
+    if (typeof value !== 'string' && (typeof value !== 'object' || Array.isArray(value))) {
+      errors.push(`${key} debe ser un texto o un objeto por idioma`);
+      return;
+    }
+
+    const texts = typeof value === 'string' ? [value] : Object.values(value);
+    texts.forEach(text => {
+      findUnknownVariables(text, templates[key]).forEach(variable => {
+        errors.push(`${key}: variable desconocida {{${variable}}}`);
+      });
+    });
+  });
+
+  return errors;
+}
+
+// Variables vacías dejan espacios dobles o comas sueltas
+function cleanRendered(text) {
+  return text.replace(/\s+/g, ' ').replace(/\s+([,.!?])/g, '$1').trim();
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  getPersona,
+  isFormal,
+  renderGreeting,
+  renderFarewell,
+  buildPersonaPrompt,
+  validatePersona
+};
@@ -0,0 +1,100 @@
+// Estado de la reserva que se está tomando en una conversación:
+// collecting → readback → confirmed | rejected (tras un "no" se corrige y se vuelve a leer)
+const DIALOG_STATES = {
+  COLLECTING: 'collecting',
+  READBACK: 'readback',
+  CONFIRMED: 'confirmed',
+  REJECTED: 'rejected'
+};
+
+const DIALOG_FIELDS = ['name', 'people', 'date', 'time', 'phone', 'notes'];
+
+/**
+ * Crea el estado de una reserva nueva
+ * @returns {Object} - { state, fields, corrections, updatedAt }
+ */
+function createReservationDialog() {
+  return {
+    state: DIALOG_STATES.COLLECTING,
+    fields: {},
+    corrections: 0,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Copia el estado guardado en la conversación (o crea uno nuevo)
+ * @param {Object|null} dialog - Estado guardado
+ * @returns {Object} - Copia que se puede modificar durante el turno
+ */
+function cloneReservationDialog(dialog) {
+  return dialog ? { ...dialog, fields: { ...dialog.fields } } : createReservationDialog();
+}
+
+/**
+ * Añade o corrige datos: solo cambian los campos que el cliente ha dado en este turno
+ * @param {Object} dialog - Estado de la reserva
+ * @param {Object} args - Datos devueltos por el modelo
+ * @returns {Array<string>} - Campos que han cambiado
+ */
+function updateReservationFields(dialog, args = {}) {
+  // Tras confirmar una reserva, la siguiente empieza de cero
+  if (dialog.state === DIALOG_STATES.CONFIRMED) {
+    Object.assign(dialog, createReservationDialog());
+  }
+
+  const changed = DIALOG_FIELDS.filter(field => {
+    const value = args[field];
+    if (value === undefined || value === null || value === '') {
+      return false;
+    }
+    if (dialog.fields[field] === value) {
+      return false;
+    }
+    dialog.fields[field] = value;
+    return true;
+  });
+
+  // Un cambio después de leer la reserva es una corrección: hay que volver a leerla
+  if (changed.length > 0 && dialog.state !== DIALOG_STATES.COLLECTING) {
+    dialog.corrections++;
+  }
+  dialog.state = DIALOG_STATES.COLLECTING;
+  dialog.updatedAt = new Date().toISOString();
+
+  return changed;
+}
+
+/**
+ * Pasa a lectura de la reserva con los datos ya validados
+ */
+function startReadback(dialog, data) {
+  dialog.fields = { ...data };
+  dialog.state = DIALOG_STATES.READBACK;
+  dialog.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Registra la respuesta del cliente a la lectura
+ * @param {Object} dialog - Estado de la reserva
+ * @param {boolean} confirmed - true si el cliente ha dicho que sí
+ * @returns {boolean} - false si no había ninguna reserva leída
+ */
+function answerReadback(dialog, confirmed) {
+  if (dialog.state !== DIALOG_STATES.READBACK) {
+    return false;
+  }
+
+  dialog.state = confirmed ? DIALOG_STATES.CONFIRMED : DIALOG_STATES.REJECTED;
+  dialog.updatedAt = new Date().toISOString();
+  return true;
+}
+
+module.exports = {
+  DIALOG_STATES,
+  createReservationDialog,
+  cloneReservationDialog,
+  updateReservationFields,
+  startReadback,
+  answerReadback
+};
@@ -0,0 +1,83 @@
+const { modificarReserva, cancelReservation } = require('../utils/dashboard');
+const { normalizePhone } = require('../utils/phone');
+const { normalizeReservation } = require('../utils/reservationFormat');
+const { logInfo } = require('../utils/logger');
+
+const MAX_RESULTS = 3; // Reservas que se leen al cliente como mucho
+const CANCELLED_STATUSES = ['cancelada', 'cancelled', 'anulada'];
+
+/**
+ * Busca las reservas futuras de un cliente en las reservas del Dashboard
+ * @param {Array} reservations - Reservas del espejo (dashboardData.reservations)
+ * @param {Object} criteria - { phone, name, reservationNumber }
+ * @returns {Array<Object>} - Reservas normalizadas, las más próximas primero
+ */
+function findReservations(reservations = [], criteria = {}) {
+  const phone = normalizePhone(criteria.phone);
+  const name = normalizeText(criteria.name).trim();
+  const number = String(criteria.reservationNumber || '').trim();
+
+  if (!phone && !name && !number) {
+    return [];
+  }
+
+  const now = new Date();
+
+  return reservations
+    .filter(raw => {
+      if (number) {
+        return [raw.id, raw.numero].some(value => value !== undefined && value !== null && String(value) === number);
+      }
+
+      const reservation = normalizeReservation(raw);
+      if (phone && reservation.phone === phone) {
+        return true;
+      }
+      // Por nombre solo si coincide el nombre completo (no basta con una letra o un apellido suelto)
+      return !!name && normalizeText(reservation.name).trim() === name;
+    })
+    .map(raw => {
+      const reservation = normalizeReservation(raw);
+      // El backend puede dar la hora con segundos
+      return { ...reservation, time: reservation.time ? String(reservation.time).slice(0, 5) : null };
+    })
+    .filter(reservation => !CANCELLED_STATUSES.includes(String(reservation.status).toLowerCase()))
+    .filter(reservation => new Date(`${reservation.date}T${reservation.time || '23:59'}:00`) >= now)
+    .sort((a, b) => `${a.date} ${a.time}`.localeCompare(`${b.date} ${b.time}`))
+    .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Aplica en el Dashboard un cambio o una cancelación ya confirmados por el cliente
+ * @param {Object} change - { type: 'modify' | 'cancel', reservation, changes }
+ * @returns {Promise<Object>} - Reserva tal y como queda
+ */
+async function applyReservationChange(change) {
+  const reservation = change.reservation;
+
+  if (change.type === 'cancel') {
+    await cancelReservation(reservation.id);
+    logInfo(`❌ Reserva ${reservation.id} cancelada por el cliente`);
+    return { ...reservation, status: 'cancelada' };
+  }
+
+  const updated = { ...reservation, ...change.changes };
+  await modificarReserva({
+    id: reservation.id,
+    fecha: updated.date,
+    hora: updated.time,
+    personas: updated.people
+  });
+
+  logInfo(`✏️ Reserva ${reservation.id} modificada por el cliente: ${updated.date} ${updated.time}, ${updated.people} personas`);
+  return updated;
+}
+
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+module.exports = {
+  findReservations,
+  applyReservationChange
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sendSms } = require('../config/phone');
+const { getBusinessConfig } = require('../config/businesses');
+const { normalizePhone } = require('../utils/phone');
+const { normalizeReservation, formatSpokenDate } = require('../utils/reservationFormat');
+const { renderTemplate, pickTemplate } = require('../utils/template');
+const { DEFAULT_LANGUAGE, getMessage, getLocale } = require('./language');
+const { getPersona, isFormal } = require('./persona');
+const { createConversationStore } = require('./conversationStore');
+const { logInfo, logError } = require('../utils/logger');
+
+// SMS enviados por ID interno (para seguir el estado de entrega); se conservan hasta
+// que pasan SMS_TTL_MINUTES sin cambios de estado
+const SMS_TTL_MINUTES = 7 * 24 * 60;
+const smsStore = createConversationStore({
+  dir: path.join(__dirname, '..', 'data', 'sms'),
+  ttlMinutes: SMS_TTL_MINUTES,
+  name: 'SMS'
+});
+
+// Bandeja de salida del transporte local (desarrollo)
+const LOCAL_OUTBOX_FILE = path.join(__dirname, '..', 'data', 'sms-outbox.jsonl');
+
+/**
+ * Obtiene el transporte de SMS: el proveedor telefónico o uno local para desarrollo
+ * @returns {string} - provider | local
+ */
+function getSmsTransport() {
+  if (process.env.SMS_TRANSPORT) {
+    return process.env.SMS_TRANSPORT;
+  }
+  return process.env.NODE_ENV === 'production' ? 'provider' : 'local';
+}
+
+/**
+ * Genera el texto del SMS de confirmación de una reserva
+ * @param {Object} smsConfig - Configuración SMS del negocio
+ * @param {Object} reservation - Reserva creada
+ * @param {Object} dashboardData - Datos del negocio
+ * @param {Object} options - { language, formal } de la conversación
+ * @returns {string} - Texto del SMS
+ */
+function buildReservationSms(smsConfig, reservation, dashboardData = {}, { language = DEFAULT_LANGUAGE, formal = false } = {}) {
+  const normalized = normalizeReservation(reservation);
+  const variables = {
+    restaurant: dashboardData.name || 'Restaurante',
+    restaurantPhone: dashboardData.phone || '',
+    name: normalized.name || 'cliente',
+    date: formatSpokenDate(normalized.date, getLocale(language)),
+    time: normalized.time,
+    people: normalized.people,
+    reservationNumber: reservation.numero || normalized.id || '-'
+  };
+
+  // Sin teléfono del restaurante las instrucciones quedarían incompletas
+  const cancelInstructions = pickTemplate(smsConfig.cancelInstructions, language) ||
+    getMessage(language, 'smsCancelInstructions', {}, formal);
+  variables.cancelInstructions = variables.restaurantPhone
+    ? renderTemplate(cancelInstructions, variables)
+    : '';
+
+  const template = pickTemplate(smsConfig.template, language) || getMessage(language, 'smsReservation', {}, formal);
+  return renderTemplate(template, variables).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Envía el SMS de confirmación de una reserva
+ * @param {string} businessId - ID del negocio
+ * @param {Object} reservation - Reserva creada (con teléfono)
+ * @param {Object} dashboardData - Datos del negocio
+ * @param {string} baseUrl - URL pública del servidor (para avisos de entrega)
+ * @param {string} fallbackPhone - Teléfono si la reserva no trae uno válido (el número que llama)
+ * @param {string} language - Idioma de la conversación
+ * @returns {Promise<Object|null>} - SMS registrado o null si no se envía
+ */
+async function sendReservationSms(businessId, reservation, dashboardData, baseUrl, fallbackPhone = null, language = DEFAULT_LANGUAGE) {
+  const smsConfig = getBusinessConfig(businessId).sms;
+  const to = normalizePhone(reservation.phone) ||
+    normalizePhone(reservation.cliente && reservation.cliente.telefono) ||
+    normalizePhone(fallbackPhone);
+
+  if (!smsConfig.enabled) {
+    return null;
+  }
+
+  if (!to) {
+    logInfo('✉️ Reserva sin teléfono válido: no se envía SMS');
+    return null;
+  }
+
+  const sms = {
+    id: crypto.randomUUID(),
+    businessId: businessId,
+    reservationId: reservation.id || reservation.numero || null,
+    to: to,
+    text: buildReservationSms(smsConfig, reservation, dashboardData, {
+      language: language,
+      formal: isFormal(getPersona(businessId))
+    }),
+    transport: getSmsTransport(),
+    status: 'queued',
+    providerMessageId: null,
+    error: null,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  await smsStore.create(sms.id, sms);
+
+  try {
+    const result = sms.transport === 'local'
+      ? sendLocalSms(sms)
+      : await sendSms({ to: to, text: sms.text, statusUrl: `${baseUrl}/voice/sms/status?smsId=${sms.id}` });
+
+    logInfo(`✉️ SMS de confirmación enviado a ${to} (${sms.transport})`);
+    return await updateSmsStatus(sms.id, result.status, null, result.providerMessageId);
+
+  } catch (error) {
+    logError('Error enviando SMS de confirmación:', error);
+    return updateSmsStatus(sms.id, 'failed', error.message);
+  }
+}
+
+/**
+ * Transporte local: guarda el SMS en data/sms-outbox.jsonl en lugar de enviarlo
+ */
+function sendLocalSms(sms) {
+  fs.mkdirSync(path.dirname(LOCAL_OUTBOX_FILE), { recursive: true });
+  fs.appendFileSync(LOCAL_OUTBOX_FILE, JSON.stringify({ to: sms.to, text: sms.text, createdAt: sms.createdAt }) + '\n');
+  logInfo(`✉️ [SMS local] ${sms.to}: ${sms.text}`);
+
+  return { providerMessageId: `local-${sms.id}`, status: 'delivered' };
+}
+
+/**
+ * Actualiza el estado de entrega de un SMS
+ * @param {string} smsId - ID interno del SMS
+ * @param {string} status - queued | sent | delivered | undelivered | failed
+ * @param {string} error - Detalle del error (opcional)
+ * @param {string} providerMessageId - ID del mensaje en el proveedor (al enviarlo)
+ * @returns {Promise<Object|null>} - SMS actualizado
+ */
+function updateSmsStatus(smsId, status, error = null, providerMessageId = null) {
+  return smsStore.update(smsId, async sms => {
+    if (!sms) {
+      return null;
+    }
+
+    sms.status = status || sms.status;
+    sms.error = error || sms.error;
+    sms.providerMessageId = providerMessageId || sms.providerMessageId;
+
+    return sms;
+  });
+}
+
+/**
+ * Lista los SMS enviados, opcionalmente filtrados
+ * @param {Object} filters - { businessId, status }
+ * @returns {Promise<Array>} - SMS
+ */
+async function listSmsMessages(filters = {}) {
+  return (await smsStore.list()).filter(sms =>
+    (!filters.businessId || sms.businessId === filters.businessId) &&
+    (!filters.status || sms.status === filters.status)
+  );
+}
+
+module.exports = {
+  sendReservationSms,
+  buildReservationSms,
+  updateSmsStatus,
+  listSmsMessages
+};
@@ -1,5 +1,6 @@
 const OpenAI = require('openai');
 const fs = require('fs');
+const { DEFAULT_LANGUAGE, fromWhisperLanguage } = require('./language');
 const { logInfo, logError } = require('../utils/logger');
 
 const openai = new OpenAI({
@@ -9,11 +10,24 @@ const openai = new OpenAI({
 /**
  * Transcribe audio file to text using OpenAI Whisper
  * @param {string} audioPath - Path to audio file
+ * @param {string} language - Código de idioma (es, en, fr, ca)
  * @returns {Promise<string>} - Transcribed text
  */
-async function transcribeAudio(audioPath) {
+async function transcribeAudio(audioPath, language = DEFAULT_LANGUAGE) {
+  const result = await transcribeAudioDetailed(audioPath, language);
+  return result.text;
+}
+
+/**
+ * Transcribe audio y devuelve también el idioma
+ * @param {string} audioPath - Path to audio file
+ * @param {string|null} language - Código de idioma; null para que Whisper lo detecte
+ * @returns {Promise<Object>} - { text, language, duration } (language null si no es un idioma soportado;
+ *   duration en segundos de audio facturados)
+ */
+async function transcribeAudioDetailed(audioPath, language = null) {
   try {
-    logInfo(`🎙️ Transcribiendo audio: ${audioPath}`);
+    logInfo(`🎙️ Transcribiendo audio: ${audioPath}${language ? '' : ' (detectando idioma)'}`);
     
     if (!fs.existsSync(audioPath)) {
       throw new Error(`Archivo de audio no encontrado: ${audioPath}`);
@@ -22,15 +36,17 @@ async function transcribeAudio(audioPath) {
     const transcription = await openai.audio.transcriptions.create({
       file: fs.createReadStream(audioPath),
       model: 'whisper-1',
-      language: 'es', // Español
-      response_format: 'text',
+      ...(language && { language: language }),
+      // La respuesta detallada incluye el idioma detectado y la duración del audio
+      response_format: 'verbose_json',
       temperature: 0.2 // Menor temperatura para mayor precisión
     });
 
-    const text = transcription.trim();
-    logInfo(`📝 Texto transcrito: "${text}"`);
+    const text = (typeof transcription === 'string' ? transcription : transcription.text || '').trim();
+    const detected = language || fromWhisperLanguage(transcription.language);
+    logInfo(`📝 Texto transcrito${language ? '' : ` (${transcription.language || 'idioma desconocido'})`}: "${text}"`);
     
-    return text;
+    return { text: text, language: detected, duration: Number(transcription.duration) || 0 };
     
   } catch (error) {
     logError('Error en transcripción:', error);
@@ -51,9 +67,10 @@ async function transcribeAudio(audioPath) {
  * Transcribe audio from buffer (útil para streams)
  * @param {Buffer} audioBuffer - Audio buffer
  * @param {string} filename - Filename with extension
- * @returns {Promise<string>} - Transcribed text
+ * @param {string|null} language - Código de idioma; null para detectarlo
+ * @returns {Promise<Object>} - { text, language, duration }
  */
-async function transcribeAudioBuffer(audioBuffer, filename = 'audio.wav') {
+async function transcribeAudioBuffer(audioBuffer, filename = 'audio.wav', language = DEFAULT_LANGUAGE) {
   try {
     logInfo('🎙️ Transcribiendo audio desde buffer');
     
@@ -62,12 +79,12 @@ async function transcribeAudioBuffer(audioBuffer, filename = 'audio.wav') {
     fs.writeFileSync(tempPath, audioBuffer);
     
     // Transcribir
-    const text = await transcribeAudio(tempPath);
+    const result = await transcribeAudioDetailed(tempPath, language);
     
     // Limpiar archivo temporal
     fs.unlinkSync(tempPath);
     
-    return text;
+    return result;
     
   } catch (error) {
     logError('Error transcribiendo buffer:', error);
@@ -133,6 +150,7 @@ function getAudioInfo(audioPath) {
 
 module.exports = {
   transcribeAudio,
+  transcribeAudioDetailed,
   transcribeAudioBuffer,
   validateAudioFile,
   getAudioInfo
@@ -11,9 +11,10 @@ const openai = new OpenAI({
  * Genera audio a partir de texto usando OpenAI TTS
  * @param {string} text - Texto a convertir en voz
  * @param {string} voice - Voz a usar (alloy, echo, fable, onyx, nova, shimmer)
+ * @param {string} language - Idioma del texto (para normalizar abreviaturas y horas)
  * @returns {Promise<string>} - Path al archivo de audio generado
  */
-async function generateSpeech(text, voice = 'nova') {
+async function generateSpeech(text, voice = 'nova', language = 'es') {
   try {
     logInfo(`🗣️ Generando audio para: "${text.substring(0, 50)}..."`);
     
@@ -22,7 +23,7 @@ async function generateSpeech(text, voice = 'nova') {
     }
 
     // Limpiar texto para TTS
-    const cleanText = cleanTextForTTS(text);
+    const cleanText = cleanTextForTTS(text, language);
     
     const response = await openai.audio.speech.create({
       model: 'tts-1', // Modelo más económico
@@ -55,41 +56,116 @@ async function generateSpeech(text, voice = 'nova') {
   }
 }
 
+/**
+ * Genera audio PCM (16 bits, 24 kHz, mono) y lo entrega por fragmentos
+ * a medida que llega, sin esperar a la síntesis completa (streaming de llamadas)
+ * @param {string} text - Texto a convertir en voz
+ * @param {Function} onChunk - Recibe cada fragmento PCM (Buffer con muestras completas)
+ * @param {string} voice - Voz a usar
+ * @param {string} language - Idioma del texto
+ * @returns {Promise<number>} - Bytes PCM generados
+ */
+async function streamSpeech(text, onChunk, voice = 'nova', language = 'es') {
+  try {
+    if (!text || text.trim() === '') {
+      throw new Error('Texto vacío para generar audio');
+    }
+
+    const response = await openai.audio.speech.create({
+      model: 'tts-1',
+      voice: voice,
+      input: cleanTextForTTS(text, language),
+      response_format: 'pcm'
+    });
+
+    let pending = Buffer.alloc(0);
+    let total = 0;
+
+    for await (const chunk of response.body) {
+      pending = Buffer.concat([pending, Buffer.from(chunk)]);
+
+      // Entregar solo muestras completas de 16 bits
+      const usable = pending.length - (pending.length % 2);
+      if (usable > 0) {
+        onChunk(pending.subarray(0, usable));
+        total += usable;
+        pending = pending.subarray(usable);
+      }
+    }
+
+    return total;
+
+  } catch (error) {
+    logError('Error generando audio en streaming:', error);
+    throw new Error(`Error de síntesis de voz: ${error.message}`);
+  }
+}
+
+// Abreviaturas y horas por idioma (las horas concretas antes que la regla general)
+const TTS_RULES = {
+  es: {
+    abbreviations: [
+      [/\bdr\./gi, 'doctor'], [/\bdra\./gi, 'doctora'], [/\bsr\./gi, 'señor'], [/\bsra\./gi, 'señora'],
+      [/\bc\//gi, 'calle'], [/\bavda\./gi, 'avenida'], [/\btel\./gi, 'teléfono']
+    ],
+    times: [[/(\d{1,2}):00/g, '$1 en punto'], [/(\d{1,2}):30/g, '$1 y media'], [/(\d{1,2}):(\d{2})/g, '$1 y $2']]
+  },
+  en: {
+    abbreviations: [
+      [/\bdr\./gi, 'doctor'], [/\bmr\./gi, 'mister'], [/\bst\./gi, 'street'], [/\bave\./gi, 'avenue'], [/\btel\./gi, 'telephone'],
+      [/\bc\//gi, 'calle']
+    ],
+    times: [[/(\d{1,2}):00/g, "$1 o'clock"], [/(\d{1,2}):(\d{2})/g, '$1 $2']]
+  },
+  fr: {
+    abbreviations: [
+      [/\bm\./gi, 'monsieur'], [/\bmme\b/gi, 'madame'], [/\bav\./gi, 'avenue'], [/\btél\./gi, 'téléphone'],
+      [/\bc\//gi, 'calle']
+    ],
+    times: [[/(\d{1,2}):00/g, '$1 heures'], [/(\d{1,2}):(\d{2})/g, '$1 heures $2']]
+  },
+  ca: {
+    abbreviations: [
+      [/\bsr\./gi, 'senyor'], [/\bsra\./gi, 'senyora'], [/\bc\//gi, 'carrer'], [/\bav\./gi, 'avinguda'], [/\btel\./gi, 'telèfon']
+    ],
+    times: [[/(\d{1,2}):00/g, '$1 en punt'], [/(\d{1,2}):30/g, '$1 i mitja'], [/(\d{1,2}):(\d{2})/g, '$1 i $2']]
+  }
+};
+
 /**
  * Limpia el texto para mejorar la síntesis de voz
  * @param {string} text - Texto original
+ * @param {string} language - Código de idioma (es, en, fr, ca)
  * @returns {string} - Texto limpiado
  */
-function cleanTextForTTS(text) {
+function cleanTextForTTS(text, language = 'es') {
+  const rules = TTS_RULES[language] || TTS_RULES.es;
   let cleanText = text.trim();
   
   // Remover marcadores de acción
   cleanText = cleanText.replace(/\[ACCIÓN:[^\]]+\]/g, '');
   
   // Reemplazar abreviaciones comunes
-  cleanText = cleanText.replace(/\bdr\./gi, 'doctor');
-  cleanText = cleanText.replace(/\bdra\./gi, 'doctora');
-  cleanText = cleanText.replace(/\bsr\./gi, 'señor');
-  cleanText = cleanText.replace(/\bsra\./gi, 'señora');
-  cleanText = cleanText.replace(/\bc\//gi, 'calle');
-  cleanText = cleanText.replace(/\bavda\./gi, 'avenida');
-  cleanText = cleanText.replace(/\btel\./gi, 'teléfono');
+  rules.abbreviations.forEach(([pattern, replacement]) => {
+    cleanText = cleanText.replace(pattern, replacement);
+  });
   
   // Mejorar pronunciación de números de teléfono
   cleanText = cleanText.replace(/(\d{3})[\s-]?(\d{3})[\s-]?(\d{3})/g, '$1 $2 $3');
   
   // Mejorar pronunciación de horarios
-  cleanText = cleanText.replace(/(\d{1,2}):(\d{2})/g, '$1 y $2');
-  cleanText = cleanText.replace(/(\d{1,2}):00/g, '$1 en punto');
-  cleanText = cleanText.replace(/(\d{1,2}):30/g, '$1 y media');
+  rules.times.forEach(([pattern, replacement]) => {
+    cleanText = cleanText.replace(pattern, replacement);
+  });
   
   // Separar números largos para mejor pronunciación
   cleanText = cleanText.replace(/\b(\d{4,})\b/g, (match) => {
     return match.split('').join(' ');
   });
   
-  // Limpiar caracteres especiales problemáticos
-  cleanText = cleanText.replace(/[^\w\s.,;:!?¡¿ñáéíóúüÁÉÍÓÚÜÑ]/g, '');
+  // Limpiar caracteres especiales problemáticos (se conservan letras acentuadas,
+  // apóstrofos y el punto volado del catalán)
+  cleanText = cleanText.replace(/[^\p{L}\d\s.,;:!?¡¿'’·-]/gu, '');
   
   // Asegurar que hay pauses apropiadas
   cleanText = cleanText.replace(/\.\s*/g, '. ');
@@ -109,13 +185,14 @@ async function generateSpeechCustom(text, options = {}) {
     voice = 'nova',
     speed = 1.0,
     format = 'mp3',
-    model = 'tts-1'
+    model = 'tts-1',
+    language = 'es'
   } = options;
 
   try {
     logInfo(`🎙️ Generando audio personalizado con voz: ${voice}`);
     
-    const cleanText = cleanTextForTTS(text);
+    const cleanText = cleanTextForTTS(text, language);
     
     const response = await openai.audio.speech.create({
       model: model,
@@ -223,11 +300,12 @@ cleanOldAudioFiles();
 // Programar limpieza cada 6 horas
 setInterval(() => {
   cleanOldAudioFiles();
-}, 6 * 60 * 60 * 1000);
+}, 6 * 60 * 60 * 1000).unref(); // No impedir que el proceso termine
 
 module.exports = {
   generateSpeech,
   generateSpeechCustom,
+  streamSpeech,
   getPublicAudioUrl,
   cleanOldAudioFiles,
   validateVoice,
@@ -0,0 +1,285 @@
+// Consumo y coste de cada llamada (teléfono, transcripción, LLM y voz) y presupuesto
+// mensual de cada negocio
+const fs = require('fs');
+const path = require('path');
+const { getBusinessConfig } = require('../config/businesses');
+const { getProviderConfig } = require('../config/phone');
+const { logInfo, logWarning, logError } = require('../utils/logger');
+
+// Una línea por llamada terminada
+const USAGE_LEDGER_FILE = process.env.USAGE_LEDGER_PATH || path.join(__dirname, '..', 'data', 'usage-ledger.jsonl');
+
+// Precio del audio de OpenAI en euros
+const AUDIO_PRICING = {
+  sttPerMinute: parseFloat(process.env.STT_COST_PER_MINUTE) || 0.0055, // Whisper ($0,006/min)
+  ttsPerThousandChars: parseFloat(process.env.TTS_COST_PER_1K_CHARS) || 0.014 // tts-1 ($15 por millón de caracteres)
+};
+
+// Gasto del mes por negocio ("businessId|YYYY-MM"), calculado del registro la primera vez
+let monthlySpend = null;
+
+/**
+ * Suma consumo a una conversación o llamada saliente (campo `usage`)
+ * @param {Object|null} target - Conversación o llamada saliente
+ * @param {Object} delta - { sttSeconds, ttsCharacters, llm: { prompt_tokens, completion_tokens, cost } }
+ */
+function addUsage(target, delta = {}) {
+  if (!target) {
+    return;
+  }
+
+  const usage = target.usage || (target.usage = createUsage());
+  usage.sttSeconds += Number(delta.sttSeconds) || 0;
+  usage.ttsCharacters += Number(delta.ttsCharacters) || 0;
+
+  if (delta.llm) {
+    usage.llmPromptTokens += delta.llm.prompt_tokens || 0;
+    usage.llmCompletionTokens += delta.llm.completion_tokens || 0;
+    usage.llmCost += delta.llm.cost || 0;
+  }
+}
+
+/**
+ * Guarda el consumo de una llamada terminada con su coste
+ * @param {Object} call - { callId, businessId, channel, direction, callSeconds, usage, reservations, degraded }
+ * @returns {Object|null} - Entrada del registro
+ */
+function recordCallUsage(call) {
+  const usage = { ...createUsage(), ...(call.usage || {}) };
+  const pricing = getProviderConfig().pricing;
+  const callSeconds = parseInt(call.callSeconds) || 0;
+
+  // El teléfono se factura por minuto empezado; el widget web no tiene coste de línea
+  const callMinutes = call.channel === 'web' ? 0 : Math.ceil(callSeconds / 60);
+  const cost = {
+    telephony: callMinutes * (call.direction === 'outbound' ? pricing.outbound : pricing.inbound),
+    stt: usage.sttSeconds / 60 * AUDIO_PRICING.sttPerMinute,
+    llm: usage.llmCost,
+    tts: usage.ttsCharacters / 1000 * AUDIO_PRICING.ttsPerThousandChars
+  };
+  cost.total = cost.telephony + cost.stt + cost.llm + cost.tts;
+
+  const entry = {
+    callId: call.callId,
+    businessId: call.businessId || 'default',
+    channel: call.channel || 'phone',
+    direction: call.direction || 'inbound',
+    date: getLocalIsoDate(),
+    callSeconds: callSeconds,
+    callMinutes: callMinutes,
+    sttSeconds: round(usage.sttSeconds, 1),
+    llmPromptTokens: usage.llmPromptTokens,
+    llmCompletionTokens: usage.llmCompletionTokens,
+    ttsCharacters: usage.ttsCharacters,
+    reservations: call.reservations || 0,
+    degraded: !!call.degraded,
+    cost: roundCost(cost),
+    recordedAt: new Date().toISOString()
+  };
+
+  // El gasto del mes se lee del registro antes de añadir esta llamada
+  getMonthlySpend(entry.businessId, entry.date.slice(0, 7));
+
+  try {
+    fs.mkdirSync(path.dirname(USAGE_LEDGER_FILE), { recursive: true });
+    fs.appendFileSync(USAGE_LEDGER_FILE, JSON.stringify(entry) + '\n');
+  } catch (error) {
+    logError('Error guardando el consumo de la llamada:', error);
+    return null;
+  }
+
+  logInfo(`💶 Consumo de ${entry.callId}: ${entry.cost.total.toFixed(4)} € (${callMinutes} min, ${entry.sttSeconds} s STT, ` +
+    `${entry.llmPromptTokens + entry.llmCompletionTokens} tokens, ${entry.ttsCharacters} caracteres TTS)`);
+
+  addToMonthlySpend(entry);
+  return entry;
+}
+
+/**
+ * Totales de consumo y coste por día o por mes
+ * @param {Object} filters - { businessId, period: day | month, from, to } (fechas YYYY-MM-DD)
+ * @returns {Object} - { currency, totals, periods } (periodos más recientes primero)
+ */
+function getUsageReport(filters = {}) {
+  const period = filters.period === 'month' ? 'month' : 'day';
+  const groups = new Map();
+  const totals = createTotals();
+
+  readLedger()
+    .filter(entry =>
+      (!filters.businessId || entry.businessId === filters.businessId) &&
+      (!filters.from || entry.date >= filters.from) &&
+      (!filters.to || entry.date <= filters.to)
+    )
+    .forEach(entry => {
+      const key = period === 'month' ? entry.date.slice(0, 7) : entry.date;
+      if (!groups.has(key)) {
+        groups.set(key, createTotals());
+      }
+      addToTotals(groups.get(key), entry);
+      addToTotals(totals, entry);
+    });
+
+  return {
+    currency: 'EUR',
+    period: period,
+    totals: formatTotals(totals),
+    periods: Array.from(groups.keys())
+      .sort()
+      .reverse()
+      .map(key => ({ period: key, ...formatTotals(groups.get(key)) }))
+  };
+}
+
+/**
+ * Gasto del mes frente al presupuesto del negocio
+ * @param {string} businessId - ID del negocio
+ * @returns {Object} - { month, limit, spent, remaining, usedRatio, alert, exceeded }
+ */
+function getBudgetStatus(businessId) {
+  const budget = getBusinessConfig(businessId).budget || {};
+  const month = getLocalIsoDate().slice(0, 7);
+  const spent = getMonthlySpend(businessId, month);
+  const limit = parseFloat(budget.monthlyLimit) > 0 ? parseFloat(budget.monthlyLimit) : null;
+
+  return {
+    month: month,
+    limit: limit,
+    spent: round(spent, 4),
+    remaining: limit !== null ? round(Math.max(limit - spent, 0), 4) : null,
+    usedRatio: limit !== null ? round(spent / limit, 3) : null,
+    alert: limit !== null && spent >= limit * (budget.alertAt || 0.8),
+    exceeded: limit !== null && spent >= limit
+  };
+}
+
+/**
+ * Indica si el negocio ha superado su presupuesto del mes (modo económico)
+ * @param {string} businessId - ID del negocio
+ * @returns {boolean}
+ */
+function isBudgetExceeded(businessId) {
+  return getBudgetStatus(businessId).exceeded;
+}
+
+function createUsage() {
+  return { sttSeconds: 0, llmPromptTokens: 0, llmCompletionTokens: 0, llmCost: 0, ttsCharacters: 0 };
+}
+
+function createTotals() {
+  return {
+    calls: 0,
+    callMinutes: 0,
+    sttSeconds: 0,
+    llmTokens: 0,
+    ttsCharacters: 0,
+    reservations: 0,
+    degradedCalls: 0,
+    cost: { telephony: 0, stt: 0, llm: 0, tts: 0, total: 0 }
+  };
+}
+
+function addToTotals(totals, entry) {
+  totals.calls++;
+  totals.callMinutes += entry.callMinutes || 0;
+  totals.sttSeconds += entry.sttSeconds || 0;
+  totals.llmTokens += (entry.llmPromptTokens || 0) + (entry.llmCompletionTokens || 0);
+  totals.ttsCharacters += entry.ttsCharacters || 0;
+  totals.reservations += entry.reservations || 0;
+  totals.degradedCalls += entry.degraded ? 1 : 0;
+  Object.keys(totals.cost).forEach(key => {
+    totals.cost[key] += (entry.cost && entry.cost[key]) || 0;
+  });
+}
+
+function formatTotals(totals) {
+  return {
+    ...totals,
+    sttMinutes: round(totals.sttSeconds / 60, 2),
+    sttSeconds: round(totals.sttSeconds, 1),
+    cost: roundCost(totals.cost),
+    costPerCall: totals.calls > 0 ? round(totals.cost.total / totals.calls, 4) : null,
+    costPerReservation: totals.reservations > 0 ? round(totals.cost.total / totals.reservations, 4) : null
+  };
+}
+
+function getMonthlySpend(businessId, month) {
+  if (!monthlySpend) {
+    monthlySpend = new Map();
+    readLedger().forEach(entry => {
+      const key = `${entry.businessId}|${entry.date.slice(0, 7)}`;
+      monthlySpend.set(key, (monthlySpend.get(key) || 0) + ((entry.cost && entry.cost.total) || 0));
+    });
+  }
+  return monthlySpend.get(`${businessId}|${month}`) || 0;
+}
+
+// Suma el coste al mes del negocio y avisa al cruzar el aviso o el límite
+function addToMonthlySpend(entry) {
+  const month = entry.date.slice(0, 7);
+  const before = getMonthlySpend(entry.businessId, month);
+  const after = before + entry.cost.total;
+  monthlySpend.set(`${entry.businessId}|${month}`, after);
+
+  const budget = getBusinessConfig(entry.businessId).budget || {};
+  const limit = parseFloat(budget.monthlyLimit);
+  if (!(limit > 0)) {
+    return;
+  }
+
+  const alertAt = limit * (budget.alertAt || 0.8);
+
+  if (before < limit && after >= limit) {
+    logWarning(`💶 ${entry.businessId} ha superado su presupuesto mensual (${limit} €): modo económico hasta fin de mes`);
+  } else if (before < alertAt && after >= alertAt) {
+    logWarning(`💶 ${entry.businessId} ha gastado ${after.toFixed(2)} € de su presupuesto mensual (${limit} €)`);
+  }
+}
+
+function readLedger() {
+  try {
+    if (!fs.existsSync(USAGE_LEDGER_FILE)) {
+      return [];
+    }
+
+    return fs.readFileSync(USAGE_LEDGER_FILE, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => JSON.parse(line));
+
+  } catch (error) {
+    logError('Error leyendo el registro de consumo:', error);
+    return [];
+  }
+}
+
+function roundCost(cost) {
+  const rounded = {};
+  Object.keys(cost).forEach(key => {
+    rounded[key] = round(cost[key], 6);
+  });
+  return rounded;
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round((Number(value) || 0) * factor) / factor;
+}
+
+// Fecha local del servidor en formato YYYY-MM-DD
+function getLocalIsoDate(date = new Date()) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+module.exports = {
+  AUDIO_PRICING,
+  addUsage,
+  recordCallUsage,
+  getUsageReport,
+  getBudgetStatus,
+  isBudgetExceeded
+};
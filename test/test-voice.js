@@ -1,9 +1,73 @@
 // Script para probar el asistente de voz localmente
+require('dotenv').config();
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs');
 const FormData = require('form-data');
+const { getProviderConfig } = require('../config/phone');
 
-const BASE_URL = 'http://localhost:3001';
+const BASE_URL = process.env.TEST_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+/**
+ * Prepara una petición de webhook firmada como la enviaría el proveedor de PHONE_PROVIDER,
+ * con el secreto del .env. Sin secreto va sin firma: el servidor solo la acepta fuera de producción
+ * @param {string} path - Ruta del webhook (p. ej. /voice/webhook)
+ * @param {Object} params - Parámetros del formulario
+ * @returns {Object} - { body, headers } para axios
+ */
+function signWebhookRequest(path, params) {
+  const provider = getProviderConfig();
+  const secret = process.env[provider.signatureSecretEnv];
+  const body = new URLSearchParams(params).toString();
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  
+  if (!secret) {
+    console.log(`⚠️ Sin ${provider.signatureSecretEnv}: petición sin firmar (el servidor la rechaza con NODE_ENV=production)`);
+    return { body, headers };
+  }
+  
+  // La misma URL que reconstruye el servidor para comprobar la firma
+  const url = (process.env.PUBLIC_BASE_URL || BASE_URL).replace(/\/$/, '') + path;
+  const sortedKeys = Object.keys(params).sort();
+  
+  switch (provider.webhookFormat) {
+    case 'plivo': {
+      const nonce = crypto.randomBytes(10).toString('hex');
+      const data = `${url}?${sortedKeys.map(key => key + params[key]).join('')}.${nonce}`;
+      headers['X-Plivo-Signature-V3'] = crypto.createHmac('sha256', secret).update(data).digest('base64');
+      headers['X-Plivo-Signature-V3-Nonce'] = nonce;
+      break;
+    }
+    case 'twilio': {
+      const data = sortedKeys.reduce((acc, key) => acc + key + params[key], url);
+      headers['X-Twilio-Signature'] = crypto.createHmac('sha1', secret).update(data).digest('base64');
+      break;
+    }
+    default: {
+      const timestamp = Date.now().toString();
+      headers['X-Asisteme-Timestamp'] = timestamp;
+      headers['X-Asisteme-Signature'] = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+  }
+  
+  return { body, headers };
+}
+
+/**
+ * Datos de una llamada entrante con los nombres de campo del proveedor configurado
+ */
+function buildIncomingCall(call) {
+  switch (getProviderConfig().webhookFormat) {
+    case 'plivo':
+      return { CallUUID: call.callId, From: call.from, To: call.to, Direction: 'inbound', CallStatus: 'in-progress' };
+    case 'twilio':
+      return { CallSid: call.callId, From: call.from, To: call.to, Direction: 'inbound', CallStatus: 'in-progress' };
+    case 'voximplant':
+      return { call_id: call.callId, from_number: call.from, to_number: call.to, event: 'incoming_call' };
+    default:
+      return { callId: call.callId, from: call.from, to: call.to, direction: 'inbound', status: 'in-progress' };
+  }
+}
 
 /**
  * Prueba básica de salud del servidor
@@ -68,7 +132,7 @@ async function testDashboardConnection() {
     
     // Simular llamada al dashboard
     const mockBusinessId = 'test';
-    const response = await axios.get(`${BASE_URL}/voice/test-dashboard?businessId=${mockBusinessId}`);
+    await axios.get(`${BASE_URL}/voice/test-dashboard?businessId=${mockBusinessId}`);
     
     console.log('✅ Conexión con dashboard OK');
     return true;
@@ -87,15 +151,12 @@ async function testWebhook() {
     console.log('📞 Probando webhook de llamada entrante...');
     
     const webhookData = {
-      callId: 'test-call-' + Date.now(),
-      from: '+34600123456',
-      to: '+34900123456',
-      direction: 'inbound',
-      callStatus: 'in-progress',
+      ...buildIncomingCall({ callId: 'test-call-' + Date.now(), from: '+34600123456', to: '+34900123456' }),
       businessId: 'test'
     };
 
-    const response = await axios.post(`${BASE_URL}/voice/webhook`, webhookData);
+    const { body, headers } = signWebhookRequest('/voice/webhook', webhookData);
+    const response = await axios.post(`${BASE_URL}/voice/webhook`, body, { headers });
     
     console.log('✅ Webhook procesado correctamente');
     console.log('📋 Respuesta:', response.data);
@@ -221,17 +282,19 @@ async function main() {
       case 'webhook':
         await testWebhook();
         break;
-      case 'voice':
+      case 'voice': {
         const audioFile = args[1] || 'test-audio.wav';
         await testVoiceWithFile(audioFile);
         break;
+      }
       case 'dashboard':
         await testDashboardConnection();
         break;
-      case 'create-audio':
+      case 'create-audio': {
         const text = args[1] || "Hola, quiero hacer una reserva";
         await createTestAudio(text);
         break;
+      }
       default:
         console.log('Comandos disponibles:');
         console.log('  node test-voice.js              # Ejecutar todas las pruebas');
@@ -0,0 +1,149 @@
+// Pruebas de la disponibilidad: alternativas a otras horas y otros días, horario semanal
+// del restaurante y la herramienta buscarMesa con el proveedor stub
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// El proveedor se lee de la configuración del negocio al cargar los módulos
+process.env.LLM_PROVIDER = 'stub';
+
+// Backend simulado: las horas libres se eligen en cada prueba y se apuntan las consultas.
+// Sin mesa el backend responde con un error HTTP; caído, sin respuesta
+const dashboard = require('../../utils/dashboard');
+let freeSlots = [];
+let weeklyHours = null;
+let backendDown = false;
+let lookups = [];
+dashboard.getHorarios = async () => weeklyHours;
+dashboard.consultarHorario = async () => null;
+dashboard.buscarMesa = async ({ fecha, hora }) => {
+  lookups.push(`${fecha} ${hora}`);
+  if (backendDown) {
+    throw new Error('ECONNREFUSED');
+  }
+  if (!freeSlots.includes(`${fecha} ${hora}`)) {
+    throw Object.assign(new Error('Sin mesa'), { response: { status: 404 } });
+  }
+  return { mesaId: 3 };
+};
+
+const { checkAvailability, getScheduleForDate } = require('../../services/availability');
+const { LLM_PROVIDERS, queueStubReplies } = require('../../config/llm');
+const { processConversation } = require('../../services/llm');
+
+// 10 de mayo de 2030: viernes
+const REQUEST = { date: '2030-05-10', time: '21:00', people: 4 };
+
+beforeEach(() => {
+  freeSlots = [];
+  weeklyHours = null;
+  backendDown = false;
+  lookups = [];
+});
+
+const slots = alternatives => alternatives.map(({ date, time }) => `${date} ${time}`);
+
+test('con mesa libre no se buscan alternativas', async () => {
+  freeSlots = ['2030-05-10 21:00'];
+  const result = await checkAvailability(REQUEST);
+
+  assert.equal(result.available, true);
+  assert.deepEqual(result.alternatives, []);
+  assert.deepEqual(lookups, ['2030-05-10 21:00']);
+});
+
+test('sin mesa se ofrecen hasta tres horas cercanas, las más próximas primero', async () => {
+  freeSlots = ['2030-05-10 19:30', '2030-05-10 20:00', '2030-05-10 21:30', '2030-05-10 22:00'];
+  const result = await checkAvailability(REQUEST);
+
+  assert.equal(result.available, false);
+  assert.deepEqual(slots(result.alternatives), ['2030-05-10 21:30', '2030-05-10 22:00', '2030-05-10 20:00']);
+});
+
+test('si no hay hueco ese día se ofrece la misma hora los días siguientes', async () => {
+  freeSlots = ['2030-05-12 21:00'];
+  const result = await checkAvailability(REQUEST);
+
+  assert.deepEqual(slots(result.alternatives), ['2030-05-12 21:00']);
+});
+
+test('las consultas al backend están limitadas', async () => {
+  await checkAvailability(REQUEST);
+  // La hora pedida y ocho alternativas como mucho
+  assert.equal(lookups.length, 1 + 8);
+});
+
+test('no se ofrecen horas ni días en los que el restaurante cierra', async () => {
+  weeklyHours = {
+    viernes: { abierto: true, apertura: '13:00', cierre: '22:00' },
+    sabado: { abierto: false }
+  };
+  freeSlots = ['2030-05-10 22:00', '2030-05-11 21:00', '2030-05-10 20:00'];
+  const result = await checkAvailability(REQUEST);
+
+  assert.deepEqual(slots(result.alternatives), ['2030-05-10 20:00']);
+  assert.ok(!lookups.some(lookup => lookup === '2030-05-10 22:00' || lookup.startsWith('2030-05-11')));
+});
+
+test('a una hora de cierre no se consulta la mesa y se marca como cerrado', async () => {
+  weeklyHours = { viernes: { abierto: true, apertura: '13:00', cierre: '16:00' } };
+  const result = await checkAvailability(REQUEST);
+
+  assert.equal(result.available, false);
+  assert.equal(result.closed, true);
+  assert.ok(!lookups.includes('2030-05-10 21:00'));
+});
+
+test('un horario que pasa de medianoche abre de madrugada', async () => {
+  weeklyHours = { viernes: { abierto: true, apertura: '20:00', cierre: '01:00' } };
+  freeSlots = ['2030-05-10 00:30'];
+  const result = await checkAvailability({ ...REQUEST, time: '00:30' });
+
+  assert.equal(result.available, true);
+  assert.equal(result.closed, undefined);
+});
+
+test('sin respuesta del backend la disponibilidad queda sin saber', async () => {
+  backendDown = true;
+  const result = await checkAvailability(REQUEST);
+
+  assert.equal(result.available, null);
+  assert.deepEqual(result.alternatives, []);
+});
+
+test('el horario de un día combina el semanal y el del backend', async () => {
+  weeklyHours = { viernes: { abierto: true, apertura: '13:00', cierre: '23:30' }, sabado: { abierto: false } };
+
+  assert.deepEqual(await getScheduleForDate('2030-05-10'), {
+    date: '2030-05-10', weekday: 'viernes', open: true, opening: '13:00', closing: '23:30', details: null
+  });
+  assert.equal((await getScheduleForDate('2030-05-11')).open, false);
+  assert.equal((await getScheduleForDate('2030-05-12')).open, null);
+});
+
+test('buscarMesa devuelve al modelo las alternativas con el día hablado', async () => {
+  freeSlots = ['2030-05-10 21:30'];
+  const requests = [];
+  const completeWithStub = LLM_PROVIDERS.stub.complete;
+  LLM_PROVIDERS.stub.complete = (settings, messages, tools) => {
+    requests.push(messages);
+    return completeWithStub(settings, messages, tools);
+  };
+
+  try {
+    queueStubReplies(
+      { tool_calls: [{ function: { name: 'buscarMesa', arguments: JSON.stringify(REQUEST) } }] },
+      'A las 21:00 no hay mesa, pero sí a las 21:30.'
+    );
+    await processConversation(
+      [{ role: 'user', content: 'Mesa para cuatro el viernes 10 de mayo a las nueve' }],
+      { name: 'Mar Azul', menu: [] }, 'default', { callId: 'call-1' }
+    );
+  } finally {
+    LLM_PROVIDERS.stub.complete = completeWithStub;
+  }
+
+  const output = JSON.parse(requests[1].find(message => message.role === 'tool').content);
+  assert.equal(output.disponible, false);
+  assert.deepEqual(output.alternativas, [{ fecha: '2030-05-10', dia: 'viernes, 10 de mayo', hora: '21:30' }]);
+  assert.match(output.instrucciones, /Ofrece solo estas alternativas/);
+});
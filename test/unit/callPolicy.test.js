@@ -0,0 +1,73 @@
+// Pruebas de la política de fin de llamada: end_call, límites de turnos y duración y silencios
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_BUSINESS_CONFIG } = require('../../config/businesses');
+const { isEndCall, checkCallLimits, registerSilence, resetSilences } = require('../../services/callPolicy');
+const { DIALOG_STATES } = require('../../services/reservationDialog');
+
+const POLICY = { maxTurns: 3, maxDurationSeconds: 60, maxSilences: 2 };
+
+function createConversation({ turns = 0, secondsAgo = 0, ...rest } = {}) {
+  return {
+    startTime: new Date(Date.now() - secondsAgo * 1000).toISOString(),
+    messages: Array.from({ length: turns }, () => ({ role: 'user', content: 'hola' })),
+    ...rest
+  };
+}
+
+test('solo la acción end_call termina la llamada', () => {
+  assert.equal(isEndCall({ message: 'Adiós', action: { type: 'end_call', data: { reason: 'goodbye' } } }), true);
+  assert.equal(isEndCall({ message: '¡Hasta luego!', action: null }), false);
+  assert.equal(isEndCall(null), false);
+});
+
+test('la llamada sigue por debajo de los límites', () => {
+  assert.equal(checkCallLimits(createConversation({ turns: 2, secondsAgo: 30 }), POLICY), null);
+});
+
+test('se alcanza el límite de turnos', () => {
+  assert.equal(checkCallLimits(createConversation({ turns: 3 }), POLICY), 'max_turns');
+});
+
+test('se alcanza el límite de duración', () => {
+  assert.equal(checkCallLimits(createConversation({ turns: 1, secondsAgo: 61 }), POLICY), 'max_duration');
+});
+
+test('con límites a 0 no se corta nunca', () => {
+  const conversation = createConversation({ turns: 100, secondsAgo: 10000 });
+  assert.equal(checkCallLimits(conversation, { maxTurns: 0, maxDurationSeconds: 0, maxSilences: 0 }), null);
+});
+
+test('no se corta con una reserva leída o un cambio pendientes de respuesta', () => {
+  const readback = createConversation({ turns: 5, reservationDialog: { state: DIALOG_STATES.READBACK } });
+  const pendingChange = createConversation({ turns: 5, pendingReservationChange: { type: 'cancel' } });
+
+  assert.equal(checkCallLimits(readback, POLICY), null);
+  assert.equal(checkCallLimits(pendingChange, POLICY), null);
+});
+
+test('los silencios seguidos cuelgan al llegar al máximo y se reinician al hablar', () => {
+  const conversation = createConversation();
+
+  assert.equal(registerSilence(conversation, POLICY), false);
+  resetSilences(conversation);
+  assert.equal(registerSilence(conversation, POLICY), false);
+  assert.equal(registerSilence(conversation, POLICY), true);
+});
+
+test('con maxSilences a 0 los silencios no cuelgan', () => {
+  const conversation = createConversation();
+  for (let i = 0; i < 10; i++) {
+    assert.equal(registerSilence(conversation, { ...POLICY, maxSilences: 0 }), false);
+  }
+});
+
+test('con la configuración por defecto el límite de silencios es alcanzable', () => {
+  const { callPolicy, ivr, streaming } = DEFAULT_BUSINESS_CONFIG;
+
+  // Los silencios se siguen contando en el menú de teclado: el máximo llega antes
+  // de agotar sus reintentos
+  assert.ok(callPolicy.maxSilences > 0);
+  assert.ok(callPolicy.maxSilences - ivr.maxFailedTranscriptions <= ivr.maxKeypadRetries);
+  assert.ok(streaming.noInputTimeoutMs > 0);
+});
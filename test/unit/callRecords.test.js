@@ -0,0 +1,132 @@
+// Pruebas del archivo de conversaciones: filtros de búsqueda y exportación a CSV y JSON
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Archivos en un directorio temporal: se leen al cargar los módulos
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asisteme-records-'));
+process.env.CALL_RECORDS_PATH = path.join(tmpDir, 'call-records.jsonl');
+process.env.OPENAI_API_KEY = 'clave-de-prueba';
+process.env.CONVERSATION_STORE = 'memory';
+process.env.USAGE_LEDGER_PATH = path.join(tmpDir, 'usage-ledger.jsonl');
+process.env.CALLER_PROFILES_PATH = path.join(tmpDir, 'caller-profiles.json');
+process.env.ADMIN_API_KEY = 'clave-admin';
+
+const express = require('express');
+const { saveCallRecord, getCallRecord, searchCallRecords, callRecordsToCsv } = require('../../utils/callRecords');
+const voiceRoutes = require('../../routes/voice');
+
+const app = express();
+app.use('/voice', voiceRoutes);
+let server;
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function exportRecords(query, adminKey = 'clave-admin') {
+  return fetch(`${baseUrl}/voice/conversations/export?${query}`, { headers: { 'X-Admin-Key': adminKey } });
+}
+
+saveCallRecord({
+  callId: 'c1', businessId: 'mar-azul', channel: 'phone', from: '+34600111222', startTime: '2030-05-10T12:00:00.000Z',
+  status: 'completed', reservationMade: true, reservation: { id: 'R7', name: 'Eva' }, turns: 2,
+  messages: [{ role: 'user', content: 'Una mesa en la terraza' }, { role: 'assistant', content: '¡Claro! Adiós.' }]
+});
+saveCallRecord({
+  callId: 'c2', businessId: 'mar-azul', channel: 'web', startTime: '2030-05-10T22:30:00.000Z',
+  status: 'abandoned', turns: 1, messages: [{ role: 'user', content: 'Hola' }]
+});
+saveCallRecord({
+  callId: 'c3', businessId: 'casa-pepe', startTime: '2030-05-11T09:00:00.000Z',
+  status: 'completed', turns: 1, messages: [{ role: 'user', content: '¿Tenéis terraza?' }]
+});
+
+const ids = records => records.map(record => record.callId);
+
+test('sin filtros devuelve todo, los más recientes primero', () => {
+  assert.deepEqual(ids(searchCallRecords()), ['c3', 'c2', 'c1']);
+});
+
+test('filtra por negocio, estado y canal (sin canal es teléfono)', () => {
+  assert.deepEqual(ids(searchCallRecords({ businessId: 'mar-azul' })), ['c2', 'c1']);
+  assert.deepEqual(ids(searchCallRecords({ status: 'completed' })), ['c3', 'c1']);
+  assert.deepEqual(ids(searchCallRecords({ channel: 'phone' })), ['c3', 'c1']);
+  assert.deepEqual(ids(searchCallRecords({ businessId: 'mar-azul', channel: 'web' })), ['c2']);
+});
+
+test('una fecha sin hora incluye el día completo', () => {
+  assert.deepEqual(ids(searchCallRecords({ dateFrom: '2030-05-10', dateTo: '2030-05-10' })), ['c2', 'c1']);
+  assert.deepEqual(ids(searchCallRecords({ dateFrom: '2030-05-10T13:00:00Z' })), ['c3', 'c2']);
+  assert.throws(() => searchCallRecords({ dateFrom: 'ayer' }), /Fecha no válida: ayer/);
+});
+
+test('el texto libre busca sin tildes en mensajes, teléfonos y reserva', () => {
+  assert.deepEqual(ids(searchCallRecords({ q: 'TERRAZA' })), ['c3', 'c1']);
+  assert.deepEqual(ids(searchCallRecords({ q: 'adios' })), ['c1']);
+  assert.deepEqual(ids(searchCallRecords({ q: '600111222' })), ['c1']);
+  assert.deepEqual(ids(searchCallRecords({ q: 'R7' })), ['c1']);
+});
+
+test('getCallRecord devuelve la conversación por su id', () => {
+  assert.equal(getCallRecord('c2').channel, 'web');
+  assert.equal(getCallRecord('no-existe'), null);
+});
+
+test('el CSV tiene una fila por conversación con la transcripción legible', () => {
+  const csv = callRecordsToCsv(searchCallRecords({ q: 'terraza', businessId: 'mar-azul' }));
+  const [header, row, end] = csv.split('\r\n');
+
+  assert.equal(header, 'callId,businessId,channel,from,to,startTime,endTime,duration,status,reservationMade,reservationNumber,turns,transcript');
+  assert.equal(row, 'c1,mar-azul,phone,+34600111222,,2030-05-10T12:00:00.000Z,,,completed,true,R7,2,' +
+    '"Cliente: Una mesa en la terraza\nAsistente: ¡Claro! Adiós."');
+  assert.equal(end, '');
+});
+
+test('el CSV escapa comillas y neutraliza fórmulas, pero no los teléfonos', () => {
+  const csv = callRecordsToCsv([{
+    callId: '=HYPERLINK("x")',
+    from: '+34600111222',
+    status: '+A1*2',
+    messages: [{ role: 'user', content: 'Dijo "hola", luego nada' }]
+  }]);
+  const row = csv.split('\r\n')[1];
+
+  assert.ok(row.startsWith('"\'=HYPERLINK(""x"")",,phone,+34600111222,'));
+  assert.match(row, /,'\+A1\*2,/);
+  assert.match(row, /"Cliente: Dijo ""hola"", luego nada"$/);
+});
+
+test('la exportación JSON aplica los mismos filtros que la búsqueda', async () => {
+  const response = await exportRecords('businessId=mar-azul&q=terraza');
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-disposition'), /^attachment; filename="conversaciones-\d{4}-\d{2}-\d{2}\.json"$/);
+  assert.deepEqual(ids(await response.json()), ['c1']);
+});
+
+test('la exportación CSV lleva BOM para Excel', async () => {
+  const response = await exportRecords('format=csv&status=completed');
+  const body = Buffer.from(await response.arrayBuffer()).toString('utf8');
+
+  assert.match(response.headers.get('content-type'), /^text\/csv; charset=utf-8/);
+  assert.ok(body.startsWith('\uFEFFcallId,businessId,'));
+  assert.equal(body.trim().split('\r\n').length, 1 + 2);
+});
+
+test('la exportación pide la clave de administración y rechaza fechas no válidas', async () => {
+  assert.equal((await exportRecords('format=csv', 'otra')).status, 403);
+
+  const response = await exportRecords('dateFrom=ayer');
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, 'Fecha no válida: ayer');
+});
@@ -0,0 +1,111 @@
+// Pruebas de los perfiles de clientes habituales: reconocimiento por teléfono, datos
+// aprendidos de las reservas, edición y borrado, y lo que recibe el asistente
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// El archivo de perfiles se lee al cargar el módulo
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asisteme-profiles-'));
+process.env.CALLER_PROFILES_PATH = path.join(tmpDir, 'caller-profiles.json');
+
+const {
+  getCallerProfile,
+  registerCall,
+  recordReservation,
+  detectPreferences,
+  updateCallerProfile,
+  deleteCallerProfile,
+  listCallerProfiles
+} = require('../../services/callerProfiles');
+const { createSystemPrompt } = require('../../services/llm');
+const { getPersona, renderGreeting } = require('../../services/persona');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function savedProfiles() {
+  return JSON.parse(fs.readFileSync(process.env.CALLER_PROFILES_PATH, 'utf8'));
+}
+
+test('la primera llamada no reconoce al cliente; la segunda sí, con el mismo número en otro formato', () => {
+  assert.equal(registerCall('mar-azul', '+34 600 111 222'), null);
+
+  const summary = registerCall('mar-azul', '600111222');
+  assert.equal(summary.phone, '+34600111222');
+  assert.equal(summary.callCount, 1);
+  assert.equal(getCallerProfile('mar-azul', '0034600111222').callCount, 2);
+  assert.equal(savedProfiles()['mar-azul:+34600111222'].callCount, 2);
+});
+
+test('un número oculto no tiene perfil', () => {
+  assert.equal(registerCall('mar-azul', 'anonymous'), null);
+  assert.equal(getCallerProfile('mar-azul', ''), null);
+  assert.equal(recordReservation('mar-azul', null, { name: 'Eva' }), null);
+});
+
+test('los perfiles son de cada negocio', () => {
+  registerCall('casa-pepe', '600111222');
+  assert.equal(getCallerProfile('casa-pepe', '600111222').callCount, 1);
+  assert.deepEqual(listCallerProfiles('casa-pepe').map(profile => profile.businessId), ['casa-pepe']);
+});
+
+test('las reservas enseñan el nombre, el grupo habitual y las preferencias', () => {
+  const messages = [
+    { role: 'user', content: 'Somos cuatro, en la terraza si puede ser' },
+    { role: 'assistant', content: '¿Necesitáis algo más, una zona tranquila?' },
+    { role: 'user', content: 'Uno de nosotros es celíaco' }
+  ];
+  recordReservation('mar-azul', '600111222', { id: 'R1', name: 'Eva', people: 4, date: '2030-05-10', time: '21:00' }, messages);
+  recordReservation('mar-azul', '600111222', { id: 'R2', people: '2', date: '2030-05-17', time: '14:00' });
+  const profile = recordReservation('mar-azul', '600111222', { numero: 'R3', people: 4 });
+
+  assert.equal(profile.name, 'Eva');
+  assert.equal(profile.usualPartySize, 4);
+  // Solo cuenta lo que dice el cliente, no las preguntas del asistente
+  assert.deepEqual(profile.preferences, ['terraza', 'sin gluten']);
+  assert.deepEqual(profile.reservations.map(reservation => reservation.id), ['R3', 'R2', 'R1']);
+});
+
+test('se detectan las preferencias conocidas', () => {
+  assert.deepEqual(detectPreferences('Vamos con una trona y una silla de ruedas'), ['trona para bebé', 'accesible en silla de ruedas']);
+  assert.deepEqual(detectPreferences('Mejor dentro, somos veganos'), ['interior', 'vegano']);
+  assert.deepEqual(detectPreferences('A las nueve'), []);
+});
+
+test('el asistente recibe el resumen del cliente habitual', () => {
+  const summary = registerCall('mar-azul', '600111222');
+  const prompt = createSystemPrompt({ name: 'Mar Azul' }, 'mar-azul', { callerProfile: summary });
+
+  assert.match(prompt, /CLIENTE HABITUAL \(reconocido por su teléfono\):\n- Nombre: Eva\n/);
+  // El resumen es el del perfil antes de esta llamada
+  assert.match(prompt, /- Llamadas anteriores: 2, reservas anteriores: 3\n/);
+  assert.match(prompt, /- Suele reservar para 4 personas\n/);
+  assert.match(prompt, /- Última reserva: fecha desconocida a las \? para 4 personas\n/);
+  assert.match(prompt, /- Preferencias: terraza, sin gluten\n/);
+
+  assert.doesNotMatch(createSystemPrompt({ name: 'Mar Azul' }, 'mar-azul', {}), /CLIENTE HABITUAL/);
+});
+
+test('el saludo nombra al cliente habitual', () => {
+  const greeting = renderGreeting(getPersona('mar-azul'), { language: 'es', dashboardData: { name: 'Mar Azul' }, callerName: 'Eva' });
+  assert.match(greeting, /Eva/);
+});
+
+test('el nombre y las preferencias se pueden corregir a mano', () => {
+  const profile = updateCallerProfile('mar-azul', '600111222', { name: '', preferences: ['interior', 7] });
+
+  assert.equal(profile.name, null);
+  assert.deepEqual(profile.preferences, ['interior', '7']);
+  assert.equal(profile.usualPartySize, 4);
+});
+
+test('el perfil se borra del archivo (derecho de supresión)', () => {
+  assert.equal(deleteCallerProfile('mar-azul', '+34600111222'), true);
+  assert.equal(deleteCallerProfile('mar-azul', '+34600111222'), false);
+  assert.equal(getCallerProfile('mar-azul', '600111222'), null);
+  assert.equal(savedProfiles()['mar-azul:+34600111222'], undefined);
+  assert.ok(savedProfiles()['casa-pepe:+34600111222']);
+});
@@ -0,0 +1,94 @@
+// Pruebas de la ronda de corrección de datos no verificados con los adaptadores de OpenAI
+// y de Anthropic (un servidor local responde como cada API)
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+process.env.OPENAI_API_KEY = 'clave-de-prueba';
+process.env.ANTHROPIC_API_KEY = 'clave-de-prueba';
+
+const { processConversation } = require('../../services/llm');
+
+const DASHBOARD = {
+  name: 'Mar Azul',
+  hours: 'Todos los días de 13:00 a 23:30',
+  menu: [{ name: 'Paella', price: '18,50 €' }]
+};
+
+// Peticiones recibidas y respuestas de texto que se devuelven en orden
+let requests = [];
+let replies = [];
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ path: req.url, body: JSON.parse(body) });
+    const text = replies.shift();
+    const payload = req.url.endsWith('/messages')
+      ? { content: [{ type: 'text', text: text }], usage: { input_tokens: 10, output_tokens: 5 } }
+      : { choices: [{ message: { role: 'assistant', content: text } }], usage: { prompt_tokens: 10, completion_tokens: 5 } };
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  });
+});
+
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  requests = [];
+  replies = [];
+});
+
+function ask(provider) {
+  return processConversation(
+    [{ role: 'user', content: '¿Hasta qué hora abrís hoy?' }],
+    DASHBOARD, 'default', { callId: `call-${provider}`, llm: { provider: provider, baseUrl: baseUrl } }
+  );
+}
+
+test('OpenAI: la corrección es un turno de usuario después del borrador', async () => {
+  replies.push('Cerramos a las 02:00.', 'Cerramos a las 23:30.');
+  const result = await ask('openai');
+
+  assert.equal(result.message, 'Cerramos a las 23:30.');
+  assert.equal(requests.length, 2);
+
+  const messages = requests[1].body.messages;
+  assert.deepEqual(messages.map(message => message.role), ['system', 'user', 'assistant', 'user']);
+  assert.equal(messages[2].content, 'Cerramos a las 02:00.');
+  assert.match(messages[3].content, /hora 02:00/);
+});
+
+test('Anthropic: la petición de corrección termina en el cliente, no en el borrador', async () => {
+  replies.push('Cerramos a las 02:00.', 'Cerramos a las 23:30.');
+  const result = await ask('anthropic');
+
+  assert.equal(result.message, 'Cerramos a las 23:30.');
+  assert.equal(requests.length, 2);
+
+  const body = requests[1].body;
+  assert.deepEqual(body.messages.map(message => message.role), ['user', 'assistant', 'user']);
+  assert.equal(body.messages[1].content[0].text, 'Cerramos a las 02:00.');
+  assert.match(body.messages[2].content[0].text, /hora 02:00/);
+  assert.doesNotMatch(body.system, /hora 02:00/);
+});
+
+test('si el modelo insiste en el dato no verificado, no se dice', async () => {
+  replies.push('Cerramos a las 02:00.', 'Perdón: cerramos a las 02:00.');
+  const result = await ask('openai');
+
+  // La nota de corrección menciona la hora, pero no sirve para darla por verificada
+  assert.equal(result.action.type, 'guardrail_blocked');
+  assert.equal(result.action.data.reason, 'unverified');
+  assert.doesNotMatch(result.message, /02:00/);
+});
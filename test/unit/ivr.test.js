@@ -0,0 +1,129 @@
+// Pruebas del menú de teclado: paso a teclado tras fallos de voz, opciones del menú,
+// reserva por teclado y reintentos
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_BUSINESS_CONFIG } = require('../../config/businesses');
+const {
+  createIvrState,
+  isKeypadInput,
+  registerFailedTranscription,
+  getMenuPrompt,
+  handleKeypadInput
+} = require('../../services/ivr');
+
+const IVR_CONFIG = DEFAULT_BUSINESS_CONFIG.ivr;
+const DASHBOARD = { hours: 'Todos los días de 13:00 a 23:30', address: 'Calle Mayor 1' };
+
+function createConversation(language = 'es') {
+  return { language: language, ivr: createIvrState() };
+}
+
+function keypadConversation(language) {
+  const conversation = createConversation(language);
+  conversation.ivr.mode = 'keypad';
+  conversation.ivr.step = 'menu';
+  return conversation;
+}
+
+test('la almohadilla sola no es una pulsación', () => {
+  assert.equal(isKeypadInput('#'), false);
+  assert.equal(isKeypadInput(''), false);
+  assert.equal(isKeypadInput(undefined), false);
+  assert.equal(isKeypadInput('1'), true);
+  assert.equal(isKeypadInput('12#'), true);
+});
+
+test('se pasa al teclado al llegar al límite de transcripciones fallidas', () => {
+  const conversation = createConversation();
+
+  assert.equal(registerFailedTranscription(conversation, IVR_CONFIG), false);
+  assert.equal(conversation.ivr.mode, 'speech');
+
+  assert.equal(registerFailedTranscription(conversation, IVR_CONFIG), true);
+  assert.equal(conversation.ivr.mode, 'keypad');
+  assert.equal(conversation.ivr.step, 'menu');
+});
+
+test('el menú anuncia el 0 al final y usa las etiquetas del idioma', () => {
+  const spanish = getMenuPrompt(IVR_CONFIG, 'es');
+  assert.match(spanish, /^Por favor, pulsa 1 para hacer una reserva, pulsa 2 para .*, pulsa 0 para hablar con una persona del restaurante\.$/);
+
+  const english = getMenuPrompt(IVR_CONFIG, 'en');
+  assert.match(english, /^Please press 1 to make a booking/);
+});
+
+test('una etiqueta propia sustituye a la del idioma y una opción vacía no se anuncia', () => {
+  const config = { ...IVR_CONFIG, menu: { ...IVR_CONFIG.menu, '1': { action: 'reservation', label: 'reservar mesa' }, '2': null } };
+  const prompt = getMenuPrompt(config, 'es');
+
+  assert.match(prompt, /pulsa 1 para reservar mesa/);
+  assert.doesNotMatch(prompt, /pulsa 2/);
+});
+
+test('la opción de información da horario y dirección y repite el menú', () => {
+  const result = handleKeypadInput(keypadConversation(), '2', IVR_CONFIG, DASHBOARD);
+
+  assert.equal(result.type, 'gather');
+  assert.match(result.message, /^Nuestro horario es: Todos los días de 13:00 a 23:30\. Estamos en Calle Mayor 1\. Por favor, /);
+});
+
+test('el 0 pasa con el personal y el 9 vuelve a la voz', () => {
+  assert.deepEqual(handleKeypadInput(keypadConversation(), '0', IVR_CONFIG, DASHBOARD), { type: 'staff' });
+
+  const conversation = keypadConversation();
+  const result = handleKeypadInput(conversation, '9#', IVR_CONFIG, DASHBOARD);
+  assert.equal(result.type, 'record');
+  assert.equal(conversation.ivr.mode, 'speech');
+  assert.equal(conversation.ivr.failedTranscriptions, 0);
+});
+
+test('una reserva por teclado pide personas y teléfono y devuelve el control al asistente', () => {
+  const conversation = keypadConversation();
+
+  const partySize = handleKeypadInput(conversation, '1', IVR_CONFIG, DASHBOARD);
+  assert.equal(partySize.type, 'gather');
+  assert.equal(partySize.digitOptions.num_digits, 2);
+  assert.equal(conversation.ivr.step, 'party_size');
+
+  const phone = handleKeypadInput(conversation, '4#', IVR_CONFIG, DASHBOARD);
+  assert.equal(phone.digitOptions.num_digits, 15);
+  assert.equal(conversation.ivr.step, 'phone');
+
+  const result = handleKeypadInput(conversation, '600111222#', IVR_CONFIG, DASHBOARD);
+  assert.equal(result.type, 'continue');
+  assert.match(result.userText, /^Quiero hacer una reserva para 4 personas\. Mi teléfono es 600111222\.$/);
+  assert.equal(conversation.ivr.mode, 'speech');
+});
+
+test('un número de personas fuera de rango se vuelve a pedir en el mismo paso', () => {
+  const conversation = keypadConversation();
+  handleKeypadInput(conversation, '1', IVR_CONFIG, DASHBOARD);
+
+  const result = handleKeypadInput(conversation, '25#', IVR_CONFIG, DASHBOARD);
+  assert.equal(result.type, 'gather');
+  assert.match(result.message, /entre 1 y 20/);
+  assert.equal(conversation.ivr.step, 'party_size');
+});
+
+test('una opción no válida repite el menú y al agotar los intentos se cuelga', () => {
+  const conversation = keypadConversation('en');
+
+  for (let attempt = 0; attempt < IVR_CONFIG.maxKeypadRetries; attempt++) {
+    const result = handleKeypadInput(conversation, '7', IVR_CONFIG, DASHBOARD);
+    assert.equal(result.type, 'gather');
+    assert.match(result.message, /^That option is not valid\. Please press 1/);
+  }
+
+  const result = handleKeypadInput(conversation, '', IVR_CONFIG, DASHBOARD);
+  assert.equal(result.type, 'hangup');
+  assert.match(result.message, /Goodbye!$/);
+});
+
+test('marcar en modo voz entra directamente en el menú', () => {
+  const conversation = createConversation();
+  const result = handleKeypadInput(conversation, '1', IVR_CONFIG, DASHBOARD);
+
+  assert.equal(conversation.ivr.mode, 'keypad');
+  assert.equal(conversation.ivr.step, 'party_size');
+  assert.equal(result.type, 'gather');
+});
@@ -0,0 +1,152 @@
+// Pruebas de las conversaciones completas con el proveedor stub: reserva leída y confirmada,
+// cambio y cancelación de una reserva existente y fin de la llamada
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// El proveedor se lee de la configuración del negocio al cargar los módulos
+process.env.LLM_PROVIDER = 'stub';
+
+// Backend simulado: los servicios toman las funciones del Dashboard al cargarse
+const dashboard = require('../../utils/dashboard');
+dashboard.getHorarios = async () => null;
+dashboard.consultarHorario = async () => null;
+dashboard.buscarMesa = async () => ({ mesaId: 7 });
+
+const { LLM_PROVIDERS, queueStubReplies } = require('../../config/llm');
+const { processConversation } = require('../../services/llm');
+const { DIALOG_STATES } = require('../../services/reservationDialog');
+
+const DASHBOARD = {
+  name: 'Mar Azul',
+  hours: 'Todos los días de 13:00 a 23:30',
+  menu: [],
+  reservations: [
+    { id: 'R7', cliente: { nombre: 'Eva Gil', telefono: '600111222' }, fecha: '2030-05-10', hora: '21:00:00', personas: 2 }
+  ]
+};
+
+// Peticiones que recibe el stub en cada ronda
+let requests = [];
+const completeWithStub = LLM_PROVIDERS.stub.complete;
+LLM_PROVIDERS.stub.complete = (settings, messages) => {
+  requests.push(messages);
+  return completeWithStub(settings, messages);
+};
+
+beforeEach(() => {
+  requests = [];
+});
+
+function toolCall(name, args) {
+  return { tool_calls: [{ function: { name: name, arguments: JSON.stringify(args) } }] };
+}
+
+test('la reserva se lee al cliente y solo se hace cuando dice que sí', async () => {
+  queueStubReplies(toolCall('hacerReserva', { name: 'Eva', people: 4, date: '2030-05-10', time: '21:30' }));
+  const readback = await processConversation(
+    [{ role: 'user', content: 'Mesa para cuatro el 10 de mayo a las nueve y media, a nombre de Eva' }],
+    DASHBOARD, 'default', { callId: 'call-1' }
+  );
+
+  assert.equal(readback.action.type, 'reservation_readback');
+  assert.match(readback.message, /10 de mayo/);
+  assert.equal(readback.reservationDialog.state, DIALOG_STATES.READBACK);
+
+  queueStubReplies(toolCall('confirmarReserva', { confirmed: true }));
+  const confirmed = await processConversation(
+    [{ role: 'user', content: 'Sí, perfecto' }],
+    DASHBOARD, 'default', { callId: 'call-1', reservationDialog: readback.reservationDialog }
+  );
+
+  assert.equal(confirmed.message, null);
+  assert.equal(confirmed.action.type, 'make_reservation');
+  assert.deepEqual(confirmed.action.data, { name: 'Eva', people: 4, date: '2030-05-10', time: '21:30', phone: null, notes: '' });
+});
+
+test('un cambio de reserva se propone y se hace al confirmarlo', async () => {
+  queueStubReplies(
+    toolCall('buscarReservaCliente', {}),
+    toolCall('cambiarReserva', { reservationId: 'R7', time: '22:00' })
+  );
+  const proposed = await processConversation(
+    [{ role: 'user', content: 'Quiero cambiar mi reserva a las diez' }],
+    DASHBOARD, 'default', { callId: 'call-2', callerPhone: '+34600111222' }
+  );
+
+  assert.equal(proposed.action.type, 'propose_reservation_change');
+  assert.deepEqual(proposed.action.data.changes, { date: '2030-05-10', time: '22:00', people: 2 });
+  // La reserva encontrada llega al modelo como resultado de la herramienta
+  const toolResult = requests[1].find(message => message.role === 'tool');
+  assert.equal(JSON.parse(toolResult.content).reservas[0].id, 'R7');
+
+  queueStubReplies(toolCall('confirmarCambioReserva', { confirmed: true }));
+  const done = await processConversation(
+    [{ role: 'user', content: 'Sí' }],
+    DASHBOARD, 'default', { callId: 'call-2', pendingChange: proposed.action.data }
+  );
+
+  assert.equal(done.action.type, 'modify_reservation');
+  assert.equal(done.action.data.reservation.id, 'R7');
+});
+
+test('una cancelación que el cliente no confirma se descarta', async () => {
+  queueStubReplies(toolCall('cancelarReserva', { reservationId: 'R7' }));
+  const proposed = await processConversation(
+    [{ role: 'user', content: 'Cancela la reserva R7' }],
+    DASHBOARD, 'default', { callId: 'call-3' }
+  );
+
+  assert.equal(proposed.action.type, 'propose_reservation_change');
+  assert.equal(proposed.action.data.type, 'cancel');
+
+  queueStubReplies(toolCall('confirmarCambioReserva', { confirmed: false }));
+  const kept = await processConversation(
+    [{ role: 'user', content: 'No, déjala' }],
+    DASHBOARD, 'default', { callId: 'call-3', pendingChange: proposed.action.data }
+  );
+
+  assert.equal(kept.action.type, 'discard_reservation_change');
+  assert.ok(kept.message);
+});
+
+test('la despedida del cliente termina la llamada', async () => {
+  const result = await processConversation(
+    [{ role: 'user', content: 'Eso es todo, gracias' }],
+    DASHBOARD, 'default', { callId: 'call-4' }
+  );
+
+  assert.equal(result.action.type, 'end_call');
+  assert.equal(result.action.data.reason, 'done');
+  assert.match(result.message, /Gracias por llamar/);
+});
+
+test('no se termina la llamada con una reserva leída sin responder', async () => {
+  queueStubReplies(toolCall('hacerReserva', { name: 'Eva', people: 2, date: '2030-05-10', time: '21:00' }));
+  const readback = await processConversation(
+    [{ role: 'user', content: 'Mesa para dos el 10 de mayo a las nueve, a nombre de Eva' }],
+    DASHBOARD, 'default', { callId: 'call-5' }
+  );
+
+  queueStubReplies(toolCall('terminarLlamada', { reason: 'goodbye' }));
+  const result = await processConversation(
+    [{ role: 'user', content: 'Adiós' }],
+    DASHBOARD, 'default', { callId: 'call-5', reservationDialog: readback.reservationDialog }
+  );
+
+  assert.equal(result.action, null);
+  assert.equal(result.reservationDialog.state, DIALOG_STATES.READBACK);
+});
+
+test('cada llamada a herramienta del stub tiene su propio id', async () => {
+  queueStubReplies({
+    tool_calls: [
+      { function: { name: 'consultarHorario', arguments: JSON.stringify({ date: '2030-05-10' }) } },
+      { function: { name: 'consultarHorario', arguments: JSON.stringify({ date: '2030-05-11' }) } }
+    ]
+  });
+  await processConversation([{ role: 'user', content: '¿Abrís el 10 y el 11 de mayo?' }], DASHBOARD, 'default', { callId: 'call-6' });
+
+  const toolResults = requests[1].filter(message => message.role === 'tool');
+  assert.equal(toolResults.length, 2);
+  assert.notEqual(toolResults[0].tool_call_id, toolResults[1].tool_call_id);
+});
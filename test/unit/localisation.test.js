@@ -0,0 +1,54 @@
+// Pruebas de los textos que salen de la conversación en su idioma: la síntesis del
+// proveedor y el SMS de confirmación
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// El proveedor y el almacén de SMS se eligen al cargar los módulos
+process.env.PHONE_PROVIDER = 'twilio';
+process.env.CONVERSATION_STORE = 'memory';
+
+const { generateVoiceResponse } = require('../../config/phone');
+const { DEFAULT_BUSINESS_CONFIG } = require('../../config/businesses');
+const { getLocale } = require('../../services/language');
+const { buildReservationSms } = require('../../services/sms');
+
+const SMS_CONFIG = DEFAULT_BUSINESS_CONFIG.sms;
+const RESERVATION = { id: 'R7', name: 'Eva', date: '2030-05-10', time: '21:00', people: 4 };
+const DASHBOARD = { name: 'Mar Azul', phone: '+34911222333' };
+
+test('la síntesis del proveedor usa el idioma y la voz de la conversación', () => {
+  const english = generateVoiceResponse('say', { text: 'Sorry', language: getLocale('en') });
+  assert.match(english.content, /<Say voice="Polly\.Amy" language="en-GB">Sorry<\/Say>/);
+
+  const spanish = generateVoiceResponse('say', { text: 'Lo siento' });
+  assert.match(spanish.content, /<Say voice="Polly\.Lucia" language="es-ES">/);
+});
+
+test('el SMS de serie sale en el idioma de la conversación', () => {
+  const english = buildReservationSms(SMS_CONFIG, RESERVATION, DASHBOARD, { language: 'en' });
+  assert.equal(english, 'Mar Azul: booking confirmed for Eva on Friday 10 May at 21:00, 4 people. Booking no.: R7. ' +
+    'To cancel or change your booking, call us on +34911222333.');
+
+  const catalan = buildReservationSms(SMS_CONFIG, RESERVATION, DASHBOARD, { language: 'ca' });
+  assert.match(catalan, /divendres, 10 de maig a les 21:00/);
+});
+
+test('el SMS respeta el trato de usted', () => {
+  const informal = buildReservationSms(SMS_CONFIG, RESERVATION, DASHBOARD, { language: 'es' });
+  const formal = buildReservationSms(SMS_CONFIG, RESERVATION, DASHBOARD, { language: 'es', formal: true });
+
+  assert.match(informal, /llámanos al \+34911222333\.$/);
+  assert.match(formal, /llámenos al \+34911222333\.$/);
+});
+
+test('una plantilla por idioma solo se usa en su idioma', () => {
+  const config = { ...SMS_CONFIG, template: { en: '{{restaurant}}: see you on {{date}}, {{name}}!' } };
+
+  assert.equal(buildReservationSms(config, RESERVATION, DASHBOARD, { language: 'en' }), 'Mar Azul: see you on Friday 10 May, Eva!');
+  assert.match(buildReservationSms(config, RESERVATION, DASHBOARD, { language: 'fr' }), /^Mar Azul : réservation confirmée/);
+});
+
+test('sin teléfono del restaurante no hay instrucciones para cancelar', () => {
+  const text = buildReservationSms(SMS_CONFIG, RESERVATION, { name: 'Mar Azul' }, { language: 'fr' });
+  assert.match(text, /Nº de réservation : R7\.$/);
+});
@@ -0,0 +1,190 @@
+// Pruebas del audio en tiempo real: detector de voz por energía e interrupción del asistente
+// (barge-in) con un cliente WebSocket que hace de proveedor
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebSocket } = require('ws');
+
+// Los clientes de OpenAI se crean al cargar stt y tts
+process.env.OPENAI_API_KEY = 'clave-de-prueba';
+
+// Transcripción y síntesis simuladas: el stream las toma al cargarse.
+// La síntesis envía un fragmento y espera a que la prueba deje seguir
+const stt = require('../../services/stt');
+const tts = require('../../services/tts');
+let spoken = [];
+let releaseSpeech = null;
+stt.transcribeAudioBuffer = async () => ({ text: 'Quiero reservar', language: 'es', duration: 1.2 });
+tts.streamSpeech = async (text, onChunk) => {
+  spoken.push(text);
+  onChunk(Buffer.alloc(4800)); // 100 ms de PCM a 24 kHz
+  await new Promise(resolve => { releaseSpeech = resolve; });
+  onChunk(Buffer.alloc(4800));
+};
+
+const { DEFAULT_BUSINESS_CONFIG } = require('../../config/businesses');
+const { STREAM_PATH, attachMediaStreamServer, detectSpeech, createSpeechState } = require('../../services/mediaStream');
+
+const STREAMING = DEFAULT_BUSINESS_CONFIG.streaming;
+const FRAME_BYTES = 320; // 20 ms de PCM 16 bits a 8 kHz
+
+function frame(level) {
+  const pcm = Buffer.alloc(FRAME_BYTES);
+  for (let i = 0; i < FRAME_BYTES / 2; i++) {
+    pcm.writeInt16LE(i % 2 === 0 ? level : -level, i * 2);
+  }
+  return pcm;
+}
+
+const LOUD = frame(2000);
+const QUIET = frame(50);
+
+// Respuesta de la ruta al iniciar el stream y turnos que recibe
+let streamOptions = {};
+let utterances = [];
+
+const handlers = {
+  onStart: async () => ({ config: { ...STREAMING, noInputTimeoutMs: 0, ...streamOptions.config }, language: 'es', greeting: streamOptions.greeting }),
+  onUtterance: async (callId, text) => {
+    utterances.push(text);
+    return null;
+  },
+  onStop: () => {}
+};
+
+const server = http.createServer();
+attachMediaStreamServer(server, handlers);
+let streamUrl;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  streamUrl = `ws://127.0.0.1:${server.address().port}${STREAM_PATH}`;
+});
+
+after(() => {
+  server.close();
+});
+
+beforeEach(() => {
+  spoken = [];
+  utterances = [];
+  releaseSpeech = null;
+});
+
+/**
+ * Abre un stream como lo haría el proveedor y guarda los mensajes que recibe
+ */
+async function openStream(options) {
+  streamOptions = options;
+  const ws = new WebSocket(streamUrl);
+  const received = [];
+  ws.on('message', data => received.push(JSON.parse(data.toString())));
+  await new Promise(resolve => ws.on('open', resolve));
+
+  ws.send(JSON.stringify({
+    event: 'start',
+    streamSid: 'MZ1',
+    start: { callSid: 'call-1', mediaFormat: { encoding: 'audio/l16' }, customParameters: { token: 't' } }
+  }));
+
+  return {
+    received,
+    sendFrames: (pcm, count) => {
+      for (let i = 0; i < count; i++) {
+        ws.send(JSON.stringify({ event: 'media', media: { payload: pcm.toString('base64') } }));
+      }
+    },
+    close: () => new Promise(resolve => {
+      ws.on('close', resolve);
+      ws.close();
+    })
+  };
+}
+
+async function waitFor(check) {
+  for (let attempt = 0; attempt < 100 && !check(); attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.ok(check(), 'no se cumplió la condición a tiempo');
+}
+
+const pause = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('el turno empieza tras minSpeechMs de voz e incluye el audio previo', () => {
+  const speech = createSpeechState();
+
+  assert.equal(detectSpeech(speech, QUIET, STREAMING), null);
+  for (let i = 0; i < STREAMING.minSpeechMs / 20 - 1; i++) {
+    assert.equal(detectSpeech(speech, LOUD, STREAMING), null);
+  }
+
+  assert.equal(detectSpeech(speech, LOUD, STREAMING), 'start');
+  assert.equal(speech.active, true);
+  // El silencio anterior se conserva para no cortar el inicio de la frase
+  assert.equal(speech.chunks[0], QUIET);
+});
+
+test('la voz entrecortada no empieza un turno', () => {
+  const speech = createSpeechState();
+
+  for (let i = 0; i < 20; i++) {
+    assert.equal(detectSpeech(speech, i % 5 === 4 ? QUIET : LOUD, STREAMING), null);
+  }
+});
+
+test('el turno termina con endSilenceMs de silencio o al llegar a maxUtteranceMs', () => {
+  const speech = createSpeechState();
+  const config = { ...STREAMING, minSpeechMs: 20, endSilenceMs: 100, maxUtteranceMs: 1000 };
+
+  assert.equal(detectSpeech(speech, LOUD, config), 'start');
+  for (let i = 0; i < 4; i++) {
+    assert.equal(detectSpeech(speech, QUIET, config), 'speaking');
+  }
+  assert.equal(detectSpeech(speech, QUIET, config), 'end');
+
+  const long = createSpeechState();
+  detectSpeech(long, LOUD, config);
+  let result;
+  for (let i = 0; i < 49; i++) {
+    result = detectSpeech(long, LOUD, config);
+  }
+  assert.equal(result, 'end');
+});
+
+test('el cliente interrumpe el saludo: se vacía el audio y se descarta el resto de la síntesis', async () => {
+  const stream = await openStream({ config: { bargeIn: true }, greeting: 'Hola, ¿en qué puedo ayudarte?' });
+  await waitFor(() => stream.received.some(message => message.event === 'media'));
+  assert.deepEqual(spoken, ['Hola, ¿en qué puedo ayudarte?']);
+
+  stream.sendFrames(LOUD, STREAMING.minSpeechMs / 20);
+  await waitFor(() => stream.received.some(message => message.event === 'clear'));
+
+  const mediaBeforeClear = stream.received.filter(message => message.event === 'media').length;
+  releaseSpeech();
+  await pause(50);
+  assert.equal(stream.received.filter(message => message.event === 'media').length, mediaBeforeClear);
+  assert.equal(stream.received.find(message => message.event === 'clear').streamSid, 'MZ1');
+
+  // La frase que interrumpe se transcribe como un turno normal
+  stream.sendFrames(QUIET, STREAMING.endSilenceMs / 20);
+  await waitFor(() => utterances.length === 1);
+  assert.deepEqual(utterances, ['Quiero reservar']);
+
+  await stream.close();
+});
+
+test('sin barge-in la voz del cliente se ignora mientras habla el asistente', async () => {
+  const stream = await openStream({ config: { bargeIn: false }, greeting: 'Hola' });
+  await waitFor(() => stream.received.some(message => message.event === 'media'));
+
+  stream.sendFrames(LOUD, STREAMING.minSpeechMs / 20 + 5);
+  await pause(100);
+  assert.ok(!stream.received.some(message => message.event === 'clear'));
+
+  // El resto del saludo se reproduce y termina con su marca
+  releaseSpeech();
+  await waitFor(() => stream.received.some(message => message.event === 'mark'));
+  assert.equal(stream.received.filter(message => message.event === 'media').length, 10);
+
+  await stream.close();
+});
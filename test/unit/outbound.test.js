@@ -0,0 +1,217 @@
+// Pruebas de la intención del cliente en las llamadas salientes
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Almacenes en memoria y negocios de prueba: se leen al cargar los módulos
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asisteme-outbound-'));
+process.env.CONVERSATION_STORE = 'memory';
+process.env.USAGE_LEDGER_PATH = path.join(tmpDir, 'usage-ledger.jsonl');
+process.env.BUSINESS_CONFIG_PATH = path.join(tmpDir, 'businesses.json');
+fs.writeFileSync(process.env.BUSINESS_CONFIG_PATH, JSON.stringify({
+  'mar-azul': { outbound: { remindersEnabled: true } }
+}));
+
+// Backend simulado: los servicios toman las funciones del Dashboard al cargarse.
+// A las 23:00 no hay mesa; los cambios aplicados se apuntan
+const dashboard = require('../../utils/dashboard');
+let modifiedReservations = [];
+dashboard.getHorarios = async () => null;
+dashboard.buscarMesa = async ({ hora }) => {
+  if (hora === '23:00') {
+    throw Object.assign(new Error('Sin mesa'), { response: { status: 404 } });
+  }
+  return { mesaId: 3 };
+};
+dashboard.modificarReserva = async reservation => {
+  modifiedReservations.push(reservation);
+  return reservation;
+};
+
+// Reservas del Dashboard para los recordatorios: una dentro de la ventana de 24 h
+const inFiveHours = new Date(Date.now() + 5 * 60 * 60 * 1000);
+const localDate = date => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString();
+dashboard.getDashboardData = async () => ({
+  reservations: [
+    { id: 'R9', cliente: { nombre: 'Eva', telefono: '600111222' }, fecha: localDate(inFiveHours).slice(0, 10), hora: localDate(inFiveHours).slice(11, 16), personas: 2 }
+  ]
+});
+
+const {
+  detectOutboundIntent,
+  detectCancelConfirmation,
+  detectChangeConfirmation,
+  parseReservationChange,
+  handleOutboundReply,
+  createOutboundCall,
+  getOutboundCall,
+  updateOutboundCall,
+  listOutboundCalls,
+  scheduleReminders
+} = require('../../services/outbound');
+
+beforeEach(() => {
+  modifiedReservations = [];
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function buildOutboundCall() {
+  return {
+    id: 'out-1',
+    step: 'intro',
+    retries: 0,
+    outcome: null,
+    reservation: { id: 'R1', date: '2030-05-10', time: '21:00', people: 2 }
+  };
+}
+
+test('las teclas tienen prioridad sobre el texto', () => {
+  assert.equal(detectOutboundIntent('quiero cancelar', '1'), 'confirm');
+  assert.equal(detectOutboundIntent('', '2#'), 'cancel');
+  assert.equal(detectOutboundIntent('', '3'), 'change');
+});
+
+test('detecta confirmar, cancelar y cambiar', () => {
+  assert.equal(detectOutboundIntent('Sí, allí estaremos'), 'confirm');
+  assert.equal(detectOutboundIntent('sí'), 'confirm');
+  assert.equal(detectOutboundIntent('Quiero cancelar la reserva'), 'cancel');
+  assert.equal(detectOutboundIntent('sí, quiero cancelar'), 'cancel');
+  assert.equal(detectOutboundIntent('cancélala, por favor'), 'cancel');
+  assert.equal(detectOutboundIntent('al final no podemos ir'), 'cancel');
+  assert.equal(detectOutboundIntent('quiero cambiar la hora'), 'change');
+});
+
+test('una cancelación negada no cancela', () => {
+  assert.equal(detectOutboundIntent('No quiero cancelar'), 'confirm');
+  assert.equal(detectOutboundIntent('no, no la anules'), 'confirm');
+  assert.equal(detectOutboundIntent('no quiero cancelar, quiero cambiar la hora'), 'change');
+});
+
+test('una pregunta sobre cancelar no cancela', () => {
+  assert.equal(detectOutboundIntent('¿puedo cancelar luego?'), null);
+  assert.equal(detectOutboundIntent('puedo cancelarla más adelante'), null);
+});
+
+test('no confunde palabras que empiezan por "si"', () => {
+  assert.equal(detectOutboundIntent('sin comentarios'), null);
+  assert.equal(detectOutboundIntent('así es'), null);
+});
+
+test('respuesta a la confirmación de la cancelación', () => {
+  assert.equal(detectCancelConfirmation('sí'), true);
+  assert.equal(detectCancelConfirmation('Sí, cancélala'), true);
+  assert.equal(detectCancelConfirmation('', '1'), true);
+  assert.equal(detectCancelConfirmation('no'), false);
+  assert.equal(detectCancelConfirmation('no, no la canceles'), false);
+  assert.equal(detectCancelConfirmation('', '2'), false);
+  assert.equal(detectCancelConfirmation('mmm'), null);
+});
+
+test('extrae la nueva hora y el número de personas', () => {
+  assert.deepEqual(parseReservationChange('a las 9 y media para 4 personas'), { time: '21:30', people: 4 });
+  assert.deepEqual(parseReservationChange('a las 10 de la mañana'), { time: '10:00', people: null });
+});
+
+test('una hora sin "mañana" ni "noche" se entiende cerca de la que ya tenía la reserva', () => {
+  assert.equal(parseReservationChange('a las 10', '21:00').time, '22:00');
+  assert.equal(parseReservationChange('a las 10', '13:30').time, '10:00');
+  assert.equal(parseReservationChange('a las 2', '13:30').time, '14:00');
+  assert.equal(parseReservationChange('a las 8 de la tarde', '13:30').time, '20:00');
+  assert.equal(parseReservationChange('a las 22:15', '13:30').time, '22:15');
+});
+
+test('respuesta a la lectura del cambio', () => {
+  assert.equal(detectChangeConfirmation('sí, perfecto'), true);
+  assert.equal(detectChangeConfirmation('', '1'), true);
+  assert.equal(detectChangeConfirmation('no, déjala como estaba'), false);
+  assert.equal(detectChangeConfirmation('', '2'), false);
+  assert.equal(detectChangeConfirmation('a las diez'), null);
+});
+
+test('cancelar pide confirmación antes de tocar la reserva', async () => {
+  const outboundCall = buildOutboundCall();
+
+  const question = await handleOutboundReply(outboundCall, { text: 'quiero cancelar' });
+  assert.equal(question.end, false);
+  assert.equal(outboundCall.step, 'confirm_cancel');
+  assert.equal(outboundCall.outcome, null);
+
+  const kept = await handleOutboundReply(outboundCall, { text: 'no, mejor no' });
+  assert.equal(kept.end, true);
+  assert.equal(outboundCall.outcome, 'confirmed');
+});
+
+test('el cambio se lee al cliente y solo se hace con un sí', async () => {
+  const outboundCall = buildOutboundCall();
+
+  await handleOutboundReply(outboundCall, { text: 'quiero cambiar la hora' });
+  assert.equal(outboundCall.step, 'change');
+
+  const readback = await handleOutboundReply(outboundCall, { text: 'a las 10 para 4 personas' });
+  assert.equal(readback.end, false);
+  assert.equal(outboundCall.step, 'confirm_change');
+  assert.match(readback.message, /a las 22:00 para 4 personas\. ¿Hago el cambio\?/);
+  assert.equal(modifiedReservations.length, 0);
+
+  const done = await handleOutboundReply(outboundCall, { digits: '1' });
+  assert.equal(done.end, true);
+  assert.equal(outboundCall.outcome, 'changed');
+  assert.deepEqual(modifiedReservations, [{ id: 'R1', fecha: '2030-05-10', hora: '22:00', personas: 4 }]);
+});
+
+test('un cambio sin mesa no se propone y se pide otra hora', async () => {
+  const outboundCall = buildOutboundCall();
+  outboundCall.step = 'change';
+
+  const reply = await handleOutboundReply(outboundCall, { text: 'a las 11' });
+
+  assert.equal(reply.end, false);
+  assert.match(reply.message, /No hay mesa para ese cambio/);
+  assert.equal(outboundCall.step, 'change');
+  assert.equal(modifiedReservations.length, 0);
+});
+
+test('si el cliente no confirma el cambio, la reserva no se toca', async () => {
+  const outboundCall = buildOutboundCall();
+  outboundCall.step = 'change';
+
+  await handleOutboundReply(outboundCall, { text: 'a las 10 y media' });
+  const reply = await handleOutboundReply(outboundCall, { text: 'no' });
+
+  assert.equal(reply.end, false);
+  assert.equal(outboundCall.step, 'change');
+  assert.equal(outboundCall.pendingChange, null);
+  assert.equal(modifiedReservations.length, 0);
+});
+
+test('las llamadas salientes se guardan en el almacén y solo cambian con update', async () => {
+  const created = await createOutboundCall('mar-azul', { id: 'R1', name: 'Eva', phone: '600111222', date: '2030-05-10', time: '21:00', people: 2 });
+
+  const copy = await getOutboundCall(created.id);
+  copy.status = 'completed';
+  assert.equal((await getOutboundCall(created.id)).status, 'queued');
+
+  await updateOutboundCall(created.id, async outboundCall => {
+    await handleOutboundReply(outboundCall, { digits: '1' });
+  });
+  assert.equal((await getOutboundCall(created.id)).outcome, 'confirmed');
+
+  const listed = await listOutboundCalls({ businessId: 'mar-azul', status: 'queued' });
+  assert.ok(listed.some(call => call.id === created.id));
+  assert.deepEqual(await listOutboundCalls({ businessId: 'otro-negocio' }), []);
+});
+
+test('cada reserva recibe un solo recordatorio aunque se revise varias veces', async () => {
+  await scheduleReminders();
+  await scheduleReminders();
+
+  const reminders = (await listOutboundCalls({ businessId: 'mar-azul' }))
+    .filter(call => call.type === 'reminder' && call.reservation.id === 'R9');
+  assert.equal(reminders.length, 1);
+  assert.equal(reminders[0].reservation.phone, '+34600111222');
+});
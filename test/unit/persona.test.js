@@ -0,0 +1,124 @@
+// Pruebas de la personalidad del asistente: validación, saludos y despedida por idioma,
+// trato de usted y lo que recibe el modelo en el prompt
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Negocios de prueba: la configuración se lee al cargar los módulos
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asisteme-persona-'));
+process.env.BUSINESS_CONFIG_PATH = path.join(tmpDir, 'businesses.json');
+fs.writeFileSync(process.env.BUSINESS_CONFIG_PATH, JSON.stringify({
+  'casa-pepe': {
+    persona: {
+      name: 'Lola',
+      role: 'la encargada de sala',
+      tone: 'cálido y tranquilo',
+      formality: 'usted',
+      greeting: { es: 'Casa Pepe, le atiende {{assistant}}.', en: 'Casa Pepe, {{assistant}} speaking.' },
+      returningGreeting: { es: '¡{{callerName}}, qué alegría! Le atiende {{assistant}}.' },
+      farewell: 'Gracias por llamar a {{restaurant}}, le esperamos en {{address}}.',
+      rules: ['Los grupos de más de 8 personas reservan llamando al {{restaurantPhone}}', 'No se admiten mascotas'],
+      examples: ['Buenas noches, ¿en qué puedo ayudarle?']
+    }
+  }
+}));
+
+const { getPersona, isFormal, renderGreeting, renderFarewell, buildPersonaPrompt, validatePersona } = require('../../services/persona');
+const { createSystemPrompt } = require('../../services/llm');
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const DASHBOARD = { name: 'Casa Pepe', phone: '+34911222333', address: 'Calle Mayor 1', hours: 'De 13:00 a 23:30' };
+
+test('la personalidad del negocio se combina con la de serie y con un borrador sin guardar', () => {
+  const persona = getPersona('casa-pepe');
+  assert.equal(persona.name, 'Lola');
+  assert.equal(isFormal(persona), true);
+
+  const standard = getPersona('default');
+  assert.equal(standard.role, 'un camarero amigable');
+  assert.equal(isFormal(standard), false);
+
+  const draft = getPersona('casa-pepe', { formality: 'tu' });
+  assert.equal(draft.formality, 'tu');
+  assert.equal(draft.name, 'Lola');
+});
+
+test('la validación detecta trato, listas y variables no válidos', () => {
+  assert.deepEqual(validatePersona(getPersona('casa-pepe')), []);
+
+  assert.deepEqual(validatePersona({
+    formality: 'vos',
+    rules: 'sin mascotas',
+    examples: ['Hola', 3],
+    greeting: ['Hola'],
+    returningGreeting: { es: 'Hola {{callerName}}, soy {{assistant}} de {{local}}' },
+    farewell: 'Adiós, {{callerName}}'
+  }), [
+    'formality debe ser tu o usted',
+    'rules debe ser una lista de textos',
+    'examples debe ser una lista de textos',
+    'greeting debe ser un texto o un objeto por idioma',
+    'returningGreeting: variable desconocida {{local}}',
+    'farewell: variable desconocida {{callerName}}'
+  ]);
+});
+
+test('el saludo usa la plantilla del idioma o el mensaje de serie con el trato del negocio', () => {
+  const persona = getPersona('casa-pepe');
+
+  assert.equal(renderGreeting(persona, { language: 'es', dashboardData: DASHBOARD }), 'Casa Pepe, le atiende Lola.');
+  assert.equal(renderGreeting(persona, { language: 'en', dashboardData: DASHBOARD }), 'Casa Pepe, Lola speaking.');
+  // Sin plantilla en francés: mensaje del idioma
+  assert.equal(renderGreeting(persona, { language: 'fr', dashboardData: DASHBOARD }), 'Bonjour ! Je suis votre assistant virtuel. Comment puis-je vous aider ?');
+});
+
+test('el saludo a un cliente habitual usa su plantilla y, sin ella, el saludo normal o el de serie', () => {
+  const persona = getPersona('casa-pepe');
+
+  assert.equal(renderGreeting(persona, { language: 'es', dashboardData: DASHBOARD, callerName: 'Eva' }), '¡Eva, qué alegría! Le atiende Lola.');
+  assert.equal(renderGreeting(persona, { language: 'en', dashboardData: DASHBOARD, callerName: 'Eva' }), 'Casa Pepe, Lola speaking.');
+
+  const standard = getPersona('default');
+  assert.equal(renderGreeting(standard, { language: 'es', callerName: 'Eva' }), '¡Hola, Eva! Qué alegría oírte de nuevo. ¿En qué puedo ayudarte hoy?');
+  assert.match(renderGreeting({ ...standard, formality: 'usted' }, { language: 'ca', callerName: 'Eva' }), /tornar-lo a atendre/);
+});
+
+test('las variables vacías no dejan espacios ni comas sueltas', () => {
+  // Sin nombre del asistente ni dirección en el Dashboard
+  const persona = getPersona('default', { farewell: '¡Hasta pronto {{assistant}}! {{restaurant}} {{address}} le espera.' });
+
+  assert.equal(renderFarewell(persona, { language: 'es', dashboardData: { name: 'Casa Pepe' } }), '¡Hasta pronto! Casa Pepe le espera.');
+  assert.equal(renderFarewell(getPersona('default'), { language: 'es' }), null);
+});
+
+test('el prompt lleva la presentación, el papel, el trato, la despedida, las normas y los ejemplos', () => {
+  const parts = buildPersonaPrompt(getPersona('casa-pepe'), { language: 'es', dashboardData: DASHBOARD });
+
+  assert.equal(parts.intro, 'Eres Lola, el asistente virtual de Casa Pepe.');
+  assert.equal(parts.formality, 'Trata al cliente de usted');
+  assert.deepEqual(parts.rules, ['Los grupos de más de 8 personas reservan llamando al +34911222333', 'No se admiten mascotas']);
+
+  const prompt = createSystemPrompt(DASHBOARD, 'casa-pepe', { language: 'es' });
+  assert.ok(prompt.startsWith('Eres Lola, el asistente virtual de Casa Pepe.'));
+  assert.match(prompt, /NORMAS DE LA CASA .*:\n- Los grupos de más de 8 personas reservan llamando al \+34911222333\n- No se admiten mascotas\n/);
+  assert.match(prompt, /como la encargada de sala\. Trata al cliente de usted/);
+  assert.match(prompt, /despídete con esta frase \(tradúcela si hablas otro idioma\): "Gracias por llamar a Casa Pepe, le esperamos en Calle Mayor 1\."/);
+  assert.match(prompt, /EJEMPLOS DE RESPUESTAS:\n- "Buenas noches, ¿en qué puedo ayudarle\?"\n/);
+});
+
+test('sin ejemplos propios se usan los de serie según el trato, y un borrador cambia el prompt', () => {
+  const standard = buildPersonaPrompt(getPersona('default'), { language: 'es', dashboardData: { name: 'Mar Azul' } });
+  assert.equal(standard.intro, 'Eres el asistente virtual de Mar Azul.');
+  assert.equal(standard.formality, 'Tutea al cliente');
+  assert.equal(standard.examples[0], '¡Hola! Bienvenido a Mar Azul. ¿En qué puedo ayudarte?');
+
+  const prompt = createSystemPrompt({ name: 'Mar Azul' }, 'default', { persona: { formality: 'usted', rules: ['Solo cenas'] } });
+  assert.match(prompt, /Trata al cliente de usted/);
+  assert.match(prompt, /- "¡Buenas tardes! Bienvenido a Mar Azul\. ¿En qué puedo ayudarle\?"/);
+  assert.match(prompt, /- Solo cenas\n/);
+});
@@ -0,0 +1,90 @@
+// Pruebas de los estados de la reserva en curso (recogiendo datos → leída → confirmada/rechazada)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DIALOG_STATES,
+  createReservationDialog,
+  cloneReservationDialog,
+  updateReservationFields,
+  startReadback,
+  answerReadback
+} = require('../../services/reservationDialog');
+
+const BOOKING = { name: 'Eva', people: 2, date: '2030-05-10', time: '21:00' };
+
+test('una reserva nueva empieza recogiendo datos', () => {
+  const dialog = createReservationDialog();
+  assert.equal(dialog.state, DIALOG_STATES.COLLECTING);
+  assert.deepEqual(dialog.fields, {});
+  assert.equal(dialog.corrections, 0);
+});
+
+test('solo cambian los campos que el cliente da en el turno', () => {
+  const dialog = createReservationDialog();
+  updateReservationFields(dialog, { name: 'Eva', people: 2 });
+
+  const changed = updateReservationFields(dialog, { name: 'Eva', time: '21:00', notes: '' });
+
+  assert.deepEqual(changed, ['time']);
+  assert.deepEqual(dialog.fields, { name: 'Eva', people: 2, time: '21:00' });
+});
+
+test('un "sí" a la lectura confirma la reserva', () => {
+  const dialog = createReservationDialog();
+  startReadback(dialog, BOOKING);
+  assert.equal(dialog.state, DIALOG_STATES.READBACK);
+
+  assert.equal(answerReadback(dialog, true), true);
+  assert.equal(dialog.state, DIALOG_STATES.CONFIRMED);
+});
+
+test('un "no" a la lectura la deja rechazada y una corrección vuelve a recoger datos', () => {
+  const dialog = createReservationDialog();
+  startReadback(dialog, BOOKING);
+  answerReadback(dialog, false);
+  assert.equal(dialog.state, DIALOG_STATES.REJECTED);
+
+  updateReservationFields(dialog, { time: '22:00' });
+
+  assert.equal(dialog.state, DIALOG_STATES.COLLECTING);
+  assert.equal(dialog.corrections, 1);
+  assert.equal(dialog.fields.time, '22:00');
+});
+
+test('no se puede confirmar una reserva que no se ha leído', () => {
+  const dialog = createReservationDialog();
+  assert.equal(answerReadback(dialog, true), false);
+  assert.equal(dialog.state, DIALOG_STATES.COLLECTING);
+});
+
+test('si el Dashboard falla, la reserva vuelve a quedar leída y se puede confirmar otra vez', () => {
+  const dialog = createReservationDialog();
+  startReadback(dialog, BOOKING);
+  answerReadback(dialog, true);
+
+  startReadback(dialog, dialog.fields);
+
+  assert.equal(dialog.state, DIALOG_STATES.READBACK);
+  assert.deepEqual(dialog.fields, BOOKING);
+  assert.equal(answerReadback(dialog, true), true);
+});
+
+test('tras confirmar, los datos de otra reserva empiezan de cero', () => {
+  const dialog = createReservationDialog();
+  startReadback(dialog, BOOKING);
+  answerReadback(dialog, true);
+
+  updateReservationFields(dialog, { people: 4 });
+
+  assert.deepEqual(dialog.fields, { people: 4 });
+  assert.equal(dialog.corrections, 0);
+});
+
+test('la copia del turno no modifica el estado guardado', () => {
+  const saved = createReservationDialog();
+  const copy = cloneReservationDialog(saved);
+  updateReservationFields(copy, { name: 'Eva' });
+
+  assert.deepEqual(saved.fields, {});
+  assert.equal(cloneReservationDialog(null).state, DIALOG_STATES.COLLECTING);
+});
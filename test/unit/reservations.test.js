@@ -0,0 +1,158 @@
+// Pruebas de la búsqueda de reservas del cliente y de los cambios que se le proponen
+// (herramientas cambiarReserva y cancelarReserva con el proveedor stub)
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// El proveedor se lee de la configuración del negocio al cargar los módulos
+process.env.LLM_PROVIDER = 'stub';
+
+// Backend simulado: a las 23:00 no hay mesa; se apuntan las consultas y los cambios
+const dashboard = require('../../utils/dashboard');
+let lookups = [];
+let dashboardCalls = [];
+dashboard.getHorarios = async () => null;
+dashboard.consultarHorario = async () => null;
+dashboard.buscarMesa = async ({ fecha, hora }) => {
+  lookups.push(`${fecha} ${hora}`);
+  if (hora === '23:00') {
+    throw Object.assign(new Error('Sin mesa'), { response: { status: 404 } });
+  }
+  return { mesaId: 3 };
+};
+dashboard.modificarReserva = async reservation => {
+  dashboardCalls.push(['modificar', reservation]);
+  return reservation;
+};
+dashboard.cancelReservation = async id => {
+  dashboardCalls.push(['cancelar', id]);
+  return {};
+};
+
+const { findReservations, applyReservationChange } = require('../../services/reservations');
+const { LLM_PROVIDERS, queueStubReplies } = require('../../config/llm');
+const { processConversation } = require('../../services/llm');
+
+const RESERVATIONS = [
+  { id: 'R1', cliente: { nombre: 'Eva Gil', telefono: '600111222' }, fecha: '2030-05-12', hora: '14:00:00', personas: 2 },
+  { id: 'R2', cliente: { nombre: 'Eva Gil', telefono: '+34 600 111 222' }, fecha: '2030-05-10', hora: '21:00:00', personas: 4 },
+  { id: 'R3', cliente: { nombre: 'Eva Gil', telefono: '600111222' }, fecha: '2030-05-11', hora: '21:00', personas: 2, estado: 'Cancelada' },
+  { id: 'R4', cliente: { nombre: 'Eva Gil', telefono: '600111222' }, fecha: '2020-01-01', hora: '21:00', personas: 2 },
+  { numero: 'R5', cliente: { nombre: 'José Pérez', telefono: '611222333' }, fecha: '2030-06-01', hora: '20:30', personas: 6 },
+  { id: 'R6', cliente: { nombre: 'Eva Gil', telefono: '600111222' }, fecha: '2030-05-20', hora: '13:30', personas: 3 },
+  { id: 'R7', cliente: { nombre: 'Eva Gil', telefono: '600111222' }, fecha: '2030-05-25', hora: '13:30', personas: 3 }
+];
+
+const DASHBOARD = { name: 'Mar Azul', menu: [], reservations: RESERVATIONS };
+
+// Mensajes que recibe el stub en cada ronda
+let requests = [];
+const completeWithStub = LLM_PROVIDERS.stub.complete;
+LLM_PROVIDERS.stub.complete = (settings, messages, tools) => {
+  requests.push(messages);
+  return completeWithStub(settings, messages, tools);
+};
+
+beforeEach(() => {
+  lookups = [];
+  dashboardCalls = [];
+  requests = [];
+});
+
+const ids = reservations => reservations.map(reservation => reservation.id);
+
+function toolCall(name, args) {
+  return { tool_calls: [{ function: { name: name, arguments: JSON.stringify(args) } }] };
+}
+
+/**
+ * Ejecuta una herramienta de cambio y devuelve la respuesta y lo que vio el modelo
+ * (tras el resultado de la herramienta el stub responde con sus reglas)
+ */
+async function runTool(name, args, options = {}) {
+  queueStubReplies(toolCall(name, args));
+  const result = await processConversation(
+    [{ role: 'user', content: 'Quiero cambiar mi reserva' }],
+    DASHBOARD, 'default', { callId: 'call-1', ...options }
+  );
+  const toolMessage = requests.length > 1 ? requests[1].find(message => message.role === 'tool') : null;
+  return { result, output: toolMessage ? JSON.parse(toolMessage.content) : null };
+}
+
+test('por teléfono se encuentran las próximas reservas, sin canceladas ni pasadas y como mucho tres', () => {
+  const found = findReservations(RESERVATIONS, { phone: '0034 600 111 222' });
+
+  assert.deepEqual(ids(found), ['R2', 'R1', 'R6']);
+  assert.deepEqual(found[0], { id: 'R2', name: 'Eva Gil', phone: '+34600111222', date: '2030-05-10', time: '21:00', people: 4, status: 'confirmada' });
+});
+
+test('por nombre solo con el nombre completo, sin tener en cuenta tildes ni mayúsculas', () => {
+  assert.deepEqual(ids(findReservations(RESERVATIONS, { name: 'jose perez' })), ['R5']);
+  assert.deepEqual(findReservations(RESERVATIONS, { name: 'Pérez' }), []);
+  assert.deepEqual(findReservations(RESERVATIONS, { name: 'J' }), []);
+});
+
+test('por número de reserva vale el id o el número del backend', () => {
+  assert.deepEqual(ids(findReservations(RESERVATIONS, { reservationNumber: ' R5 ' })), ['R5']);
+  assert.deepEqual(ids(findReservations(RESERVATIONS, { reservationNumber: 'R7', phone: '611222333' })), ['R7']);
+  assert.deepEqual(findReservations(RESERVATIONS, { reservationNumber: 'R3' }), []);
+});
+
+test('sin criterios no se devuelve nada', () => {
+  assert.deepEqual(findReservations(RESERVATIONS, {}), []);
+  assert.deepEqual(findReservations(undefined, { phone: '600111222' }), []);
+});
+
+test('buscarReservaCliente sin teléfono conocido pide el nombre o el número', async () => {
+  const { output } = await runTool('buscarReservaCliente', {});
+
+  assert.equal(output.ok, false);
+  assert.match(output.instrucciones, /nombre completo de la reserva o el número de reserva/);
+});
+
+test('un cambio de hora con mesa libre se propone con la reserva encontrada', async () => {
+  const { result } = await runTool('cambiarReserva', { reservationId: 'R2', time: '22:00' });
+
+  assert.equal(result.action.type, 'propose_reservation_change');
+  assert.equal(result.action.data.reservation.id, 'R2');
+  assert.deepEqual(result.action.data.changes, { date: '2030-05-10', time: '22:00', people: 4 });
+  assert.deepEqual(lookups, ['2030-05-10 22:00']);
+});
+
+test('con menos personas a la misma hora no se consulta la disponibilidad', async () => {
+  const { result } = await runTool('cambiarReserva', { reservationId: 'R2', people: 3 });
+
+  assert.deepEqual(result.action.data.changes, { date: '2030-05-10', time: '21:00', people: 3 });
+  assert.deepEqual(lookups, []);
+});
+
+test('un cambio sin mesa no se propone y el modelo recibe las alternativas', async () => {
+  const { result, output } = await runTool('cambiarReserva', { reservationId: 'R2', time: '23:00' });
+
+  assert.equal(result.action, null);
+  assert.equal(output.disponible, false);
+  assert.ok(output.alternativas.length > 0);
+  assert.match(output.instrucciones, /no hay mesa/);
+});
+
+test('un cambio que no cambia nada o sobre una reserva que no existe se rechaza', async () => {
+  const same = await runTool('cambiarReserva', { reservationId: 'R2', time: '21:00', people: 4 });
+  assert.equal(same.result.action, null);
+  assert.deepEqual(same.output.errores, ['los datos nuevos son iguales a los de la reserva']);
+
+  requests = [];
+  const cancelled = await runTool('cancelarReserva', { reservationId: 'R3' });
+  assert.equal(cancelled.result.action, null);
+  assert.deepEqual(cancelled.output.errores, ['no existe ninguna reserva próxima con ese ID']);
+});
+
+test('el cambio confirmado se aplica en el Dashboard con sus campos', async () => {
+  const [reservation] = findReservations(RESERVATIONS, { reservationNumber: 'R2' });
+
+  const updated = await applyReservationChange({ type: 'modify', reservation, changes: { time: '22:00', people: 5 } });
+  assert.deepEqual(dashboardCalls, [['modificar', { id: 'R2', fecha: '2030-05-10', hora: '22:00', personas: 5 }]]);
+  assert.equal(updated.time, '22:00');
+
+  const cancelled = await applyReservationChange({ type: 'cancel', reservation });
+  assert.deepEqual(dashboardCalls[1], ['cancelar', 'R2']);
+  assert.equal(cancelled.status, 'cancelada');
+});
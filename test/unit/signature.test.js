@@ -0,0 +1,153 @@
+// Pruebas de la validación de firmas de webhooks y de la detección de reenvíos
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const PUBLIC_BASE_URL = 'https://asisteme.example.com';
+const AUTH_TOKEN = 'token-de-prueba';
+
+/**
+ * Carga config/phone.js de nuevo con el proveedor indicado
+ * (el proveedor y la caché de nonces se leen al cargar el módulo)
+ */
+function loadPhone(provider) {
+  process.env.PHONE_PROVIDER = provider;
+  process.env.PUBLIC_BASE_URL = PUBLIC_BASE_URL;
+  process.env.PLIVO_AUTH_TOKEN = AUTH_TOKEN;
+  process.env.TWILIO_AUTH_TOKEN = AUTH_TOKEN;
+  delete require.cache[require.resolve('../../config/phone')];
+  return require('../../config/phone');
+}
+
+/**
+ * Petición de Express mínima para el validador
+ */
+function createRequest(path, body, headers) {
+  const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+  return {
+    method: 'POST',
+    protocol: 'https',
+    originalUrl: path,
+    body: body,
+    rawBody: new URLSearchParams(body).toString(),
+    get: name => lowerHeaders[name.toLowerCase()]
+  };
+}
+
+function signTwilio(url, body) {
+  const data = Object.keys(body).sort().reduce((acc, key) => acc + key + body[key], url);
+  return crypto.createHmac('sha1', AUTH_TOKEN).update(data).digest('base64');
+}
+
+// Algoritmo V3 de la documentación de Plivo, para peticiones POST sin query string
+function signPlivo(url, body, nonce) {
+  const params = Object.keys(body).sort().map(key => key + body[key]).join('');
+  return crypto.createHmac('sha256', AUTH_TOKEN).update(`${url}?${params}.${nonce}`).digest('base64');
+}
+
+let phone;
+
+beforeEach(() => {
+  delete process.env.NODE_ENV;
+});
+
+test('Twilio: un reenvío idéntico y legítimo (Redirect, Gather vacío) se acepta', () => {
+  phone = loadPhone('twilio');
+  const body = { CallSid: 'CA123', From: '+34600000000', Digits: '' };
+  const signature = signTwilio(`${PUBLIC_BASE_URL}/voice/process-response`, body);
+
+  const first = phone.validateWebhookSignature(createRequest('/voice/process-response', body, { 'X-Twilio-Signature': signature }));
+  const second = phone.validateWebhookSignature(createRequest('/voice/process-response', body, { 'X-Twilio-Signature': signature }));
+
+  assert.equal(first.valid, true);
+  assert.equal(second.valid, true);
+});
+
+test('Twilio: rechaza una firma que no corresponde al cuerpo', () => {
+  phone = loadPhone('twilio');
+  const body = { CallSid: 'CA123', Digits: '1' };
+  const signature = signTwilio(`${PUBLIC_BASE_URL}/voice/process-response`, body);
+
+  const result = phone.validateWebhookSignature(createRequest('/voice/process-response', { ...body, Digits: '2' }, { 'X-Twilio-Signature': signature }));
+
+  assert.equal(result.valid, false);
+});
+
+test('Twilio: rechaza la petición sin firma', () => {
+  phone = loadPhone('twilio');
+  const result = phone.validateWebhookSignature(createRequest('/voice/webhook', { CallSid: 'CA1' }, {}));
+  assert.equal(result.valid, false);
+});
+
+test('Plivo V3: acepta la firma y rechaza el mismo nonce una segunda vez', () => {
+  phone = loadPhone('plivo');
+  const body = { CallUUID: 'uuid-1', From: '34600000000', To: '34900000000' };
+  const headers = {
+    'X-Plivo-Signature-V3': signPlivo(`${PUBLIC_BASE_URL}/voice/webhook`, body, 'nonce-1'),
+    'X-Plivo-Signature-V3-Nonce': 'nonce-1'
+  };
+
+  assert.equal(phone.validateWebhookSignature(createRequest('/voice/webhook', body, headers)).valid, true);
+
+  const replay = phone.validateWebhookSignature(createRequest('/voice/webhook', body, headers));
+  assert.equal(replay.valid, false);
+  assert.match(replay.reason, /reenvío/);
+});
+
+test('Plivo V3: las cabeceras capturadas no sirven con otro cuerpo', () => {
+  phone = loadPhone('plivo');
+  const body = { CallUUID: 'uuid-2', Digits: '1' };
+  const headers = {
+    'X-Plivo-Signature-V3': signPlivo(`${PUBLIC_BASE_URL}/voice/process-response`, body, 'nonce-2'),
+    'X-Plivo-Signature-V3-Nonce': 'nonce-2'
+  };
+
+  const result = phone.validateWebhookSignature(createRequest('/voice/process-response', { ...body, Digits: '0' }, headers));
+
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /inválida/);
+});
+
+test('Plivo V3: el mismo nonce en otra URL no es un reenvío', () => {
+  phone = loadPhone('plivo');
+  const body = { CallUUID: 'uuid-3' };
+  const sign = path => ({
+    'X-Plivo-Signature-V3': signPlivo(`${PUBLIC_BASE_URL}${path}`, body, 'nonce-3'),
+    'X-Plivo-Signature-V3-Nonce': 'nonce-3'
+  });
+
+  assert.equal(phone.validateWebhookSignature(createRequest('/voice/webhook', body, sign('/voice/webhook'))).valid, true);
+  assert.equal(phone.validateWebhookSignature(createRequest('/voice/hangup', body, sign('/voice/hangup'))).valid, true);
+});
+
+test('Plivo V3: acepta cualquiera de varias firmas separadas por comas', () => {
+  phone = loadPhone('plivo');
+  const body = { CallUUID: 'uuid-4' };
+  const signature = signPlivo(`${PUBLIC_BASE_URL}/voice/webhook`, body, 'nonce-4');
+
+  const result = phone.validateWebhookSignature(createRequest('/voice/webhook', body, {
+    'X-Plivo-Signature-V3': `otra-firma,${signature}`,
+    'X-Plivo-Signature-V3-Nonce': 'nonce-4'
+  }));
+
+  assert.equal(result.valid, true);
+});
+
+test('Plivo: la firma V2 ya no se acepta', () => {
+  phone = loadPhone('plivo');
+  const result = phone.validateWebhookSignature(createRequest('/voice/webhook', { CallUUID: 'uuid-5' }, {
+    'X-Plivo-Signature-V2': 'firma',
+    'X-Plivo-Signature-V2-Nonce': 'nonce-5'
+  }));
+  assert.equal(result.valid, false);
+});
+
+test('Sin secreto solo se acepta fuera de producción', () => {
+  phone = loadPhone('twilio');
+  delete process.env.TWILIO_AUTH_TOKEN;
+
+  assert.equal(phone.validateWebhookSignature(createRequest('/voice/webhook', {}, {})).valid, true);
+
+  process.env.NODE_ENV = 'production';
+  assert.equal(phone.validateWebhookSignature(createRequest('/voice/webhook', {}, {})).valid, false);
+});
@@ -0,0 +1,55 @@
+// Pruebas del envío del SMS de confirmación y de su estado de entrega en el almacén
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Almacén en memoria y envío por el proveedor (simulado): se leen al cargar los módulos
+process.env.CONVERSATION_STORE = 'memory';
+process.env.SMS_TRANSPORT = 'provider';
+
+const phone = require('../../config/phone');
+const sentSms = [];
+phone.sendSms = async sms => {
+  sentSms.push(sms);
+  if (sms.to === '+34600999999') {
+    throw new Error('Número no válido');
+  }
+  return { providerMessageId: `prov-${sentSms.length}`, status: 'sent' };
+};
+
+const { sendReservationSms, updateSmsStatus, listSmsMessages } = require('../../services/sms');
+
+const DASHBOARD = { name: 'Mar Azul', phone: '+34911222333' };
+const RESERVATION = { id: 'R7', name: 'Eva', date: '2030-05-10', time: '21:00', people: 4 };
+
+test('el SMS se envía al teléfono de la reserva y se guarda con su estado', async () => {
+  const sms = await sendReservationSms('default', { ...RESERVATION, phone: '600111222' }, DASHBOARD, 'https://asisteme.test');
+
+  assert.equal(sms.to, '+34600111222');
+  assert.equal(sms.status, 'sent');
+  assert.equal(sms.providerMessageId, `prov-${sentSms.length}`);
+  assert.equal(sentSms[sentSms.length - 1].statusUrl, `https://asisteme.test/voice/sms/status?smsId=${sms.id}`);
+
+  const delivered = await updateSmsStatus(sms.id, 'delivered');
+  assert.equal(delivered.status, 'delivered');
+  assert.equal(delivered.providerMessageId, sms.providerMessageId);
+
+  const listed = await listSmsMessages({ status: 'delivered' });
+  assert.deepEqual(listed.map(message => message.id), [sms.id]);
+});
+
+test('sin teléfono en la reserva se usa el número que llama', async () => {
+  const sms = await sendReservationSms('default', RESERVATION, DASHBOARD, 'https://asisteme.test', '+34 600 222 333');
+  assert.equal(sms.to, '+34600222333');
+});
+
+test('un envío fallido queda registrado con el error', async () => {
+  const sms = await sendReservationSms('default', { ...RESERVATION, phone: '600999999' }, DASHBOARD, 'https://asisteme.test');
+
+  assert.equal(sms.status, 'failed');
+  assert.equal(sms.error, 'Número no válido');
+  assert.deepEqual((await listSmsMessages({ status: 'failed' })).map(message => message.id), [sms.id]);
+});
+
+test('el estado de un SMS desconocido no crea nada', async () => {
+  assert.equal(await updateSmsStatus('no-existe', 'delivered'), null);
+});
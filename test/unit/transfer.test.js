@@ -0,0 +1,135 @@
+// Pruebas de la transferencia al personal: respuesta de cada proveedor, resultado del Dial
+// y herramienta transferirLlamada con el proveedor stub
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// El proveedor LLM se lee de la configuración del negocio al cargar los módulos
+process.env.LLM_PROVIDER = 'stub';
+
+const dashboard = require('../../utils/dashboard');
+dashboard.getHorarios = async () => null;
+
+const { PHONE_PROVIDERS, CURRENT_PROVIDER, generateVoiceResponse, parseDialResult } = require('../../config/phone');
+const { LLM_PROVIDERS, queueStubReplies } = require('../../config/llm');
+const { processConversation } = require('../../services/llm');
+
+const TRANSFER = {
+  audio_url: 'https://asisteme.test/audio/aviso.mp3',
+  number: '+34911222333',
+  timeout: 15,
+  caller_id: '+34900000000',
+  fallback_webhook: 'https://asisteme.test/voice/transfer-status?a=1&b=2'
+};
+
+const DASHBOARD = { name: 'Mar Azul', hours: 'Todos los días de 13:00 a 23:30', menu: [] };
+
+// El proveedor telefónico se fija al cargar config/phone; cada prueba lo cambia temporalmente
+const currentProviderConfig = PHONE_PROVIDERS[CURRENT_PROVIDER];
+
+function withProvider(name, fn) {
+  PHONE_PROVIDERS[CURRENT_PROVIDER] = name === CURRENT_PROVIDER ? currentProviderConfig : PHONE_PROVIDERS[name];
+  try {
+    return fn();
+  } finally {
+    PHONE_PROVIDERS[CURRENT_PROVIDER] = currentProviderConfig;
+  }
+}
+
+// Herramientas que recibe el stub en cada ronda
+let toolNames = [];
+const completeWithStub = LLM_PROVIDERS.stub.complete;
+LLM_PROVIDERS.stub.complete = (settings, messages, tools) => {
+  toolNames.push(tools.map(tool => tool.function.name));
+  return completeWithStub(settings, messages, tools);
+};
+
+beforeEach(() => {
+  toolNames = [];
+});
+
+function toolCall(name, args) {
+  return { tool_calls: [{ function: { name: name, arguments: JSON.stringify(args) } }] };
+}
+
+test('Plivo y Twilio transfieren con un Dial que vuelve al webhook de resultado', () => {
+  for (const name of ['plivo', 'twilio']) {
+    const response = withProvider(name, () => generateVoiceResponse('transfer_call', TRANSFER));
+
+    assert.match(response.content, /<Play>https:\/\/asisteme\.test\/audio\/aviso\.mp3<\/Play>/);
+    assert.match(response.content, /<Dial action="https:\/\/asisteme\.test\/voice\/transfer-status\?a=1&amp;b=2"/);
+    assert.match(response.content, /timeout="15" callerId="\+34900000000">/);
+    assert.match(response.content, /<Number>\+34911222333<\/Number>/);
+  }
+});
+
+test('sin aviso ni identificador no se añaden Play ni callerId', () => {
+  const response = withProvider('plivo', () =>
+    generateVoiceResponse('transfer_call', { number: '+34911222333', fallback_webhook: 'https://asisteme.test/t' })
+  );
+
+  assert.doesNotMatch(response.content, /<Play>|callerId=/);
+  assert.match(response.content, /timeout="20"/);
+});
+
+test('Voximplant reenvía con un comando forward con el tiempo en milisegundos', () => {
+  const response = withProvider('voximplant', () => generateVoiceResponse('transfer_call', TRANSFER));
+
+  assert.deepEqual(response.commands, [
+    { command: 'playSound', url: TRANSFER.audio_url },
+    { command: 'forward', number: TRANSFER.number, callerId: TRANSFER.caller_id, timeout: 15000, webhook: TRANSFER.fallback_webhook }
+  ]);
+});
+
+test('los proveedores sin formato propio reciben la acción en JSON', () => {
+  const response = withProvider('voipms', () => generateVoiceResponse('transfer_call', TRANSFER));
+  assert.deepEqual(response, { action: 'transfer_call', ...TRANSFER });
+});
+
+test('el resultado del Dial indica si el personal contestó', () => {
+  const twilio = withProvider('twilio', () => parseDialResult({ body: { CallSid: 'CA1', DialCallStatus: 'no-answer' } }));
+  assert.deepEqual(twilio, { callId: 'CA1', dialStatus: 'no-answer', answered: false });
+
+  const plivo = withProvider('plivo', () => parseDialResult({ body: { CallUUID: 'p1', DialStatus: 'completed' } }));
+  assert.equal(plivo.answered, true);
+
+  const voximplant = withProvider('voximplant', () => parseDialResult({ body: { call_id: 'v1', dial_status: 'answered' } }));
+  assert.equal(voximplant.answered, true);
+});
+
+test('transferirLlamada pasa la llamada con el aviso de serie y la última petición del cliente', async () => {
+  queueStubReplies(toolCall('transferirLlamada', { reason: 'upset' }));
+  const result = await processConversation(
+    [{ role: 'user', content: 'Quiero hablar con el encargado ahora mismo' }],
+    DASHBOARD, 'default', { callId: 'call-1', canTransfer: true }
+  );
+
+  assert.ok(toolNames[0].includes('transferirLlamada'));
+  assert.equal(result.message, 'Te paso con el personal del restaurante, un momento por favor.');
+  assert.deepEqual(result.action, {
+    type: 'transfer_call',
+    data: { reason: 'upset', request: 'Quiero hablar con el encargado ahora mismo' }
+  });
+});
+
+test('un motivo desconocido se trata como petición del cliente y el aviso del modelo se respeta', async () => {
+  queueStubReplies({ content: 'Ahora te paso con Marta.', ...toolCall('transferirLlamada', { reason: 'otro' }) });
+  const result = await processConversation(
+    [{ role: 'user', content: '¿Puedo hablar con alguien?' }],
+    DASHBOARD, 'default', { callId: 'call-2', canTransfer: true }
+  );
+
+  assert.equal(result.message, 'Ahora te paso con Marta.');
+  assert.equal(result.action.data.reason, 'requested');
+});
+
+test('sin transferencia configurada la herramienta no se ofrece ni se ejecuta', async () => {
+  queueStubReplies(toolCall('transferirLlamada', { reason: 'requested' }), 'Ahora mismo no puedo pasarte con nadie.');
+  const result = await processConversation(
+    [{ role: 'user', content: 'Pásame con una persona' }],
+    DASHBOARD, 'default', { callId: 'call-3', canTransfer: false }
+  );
+
+  assert.ok(!toolNames[0].includes('transferirLlamada'));
+  assert.equal(result.action, null);
+  assert.equal(result.message, 'Ahora mismo no puedo pasarte con nadie.');
+});
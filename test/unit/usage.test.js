@@ -0,0 +1,116 @@
+// Pruebas del consumo por llamada: coste de cada parte, informes y presupuesto mensual
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// El registro y la configuración de negocios se leen al cargar los módulos
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asisteme-usage-'));
+process.env.PHONE_PROVIDER = 'plivo';
+process.env.USAGE_LEDGER_PATH = path.join(tmpDir, 'usage-ledger.jsonl');
+process.env.BUSINESS_CONFIG_PATH = path.join(tmpDir, 'businesses.json');
+fs.writeFileSync(process.env.BUSINESS_CONFIG_PATH, JSON.stringify({
+  'con-presupuesto': { budget: { monthlyLimit: 0.1, alertAt: 0.5 } }
+}));
+
+const { AUDIO_PRICING, addUsage, recordCallUsage, getUsageReport, getBudgetStatus, isBudgetExceeded } = require('../../services/usage');
+const { getLlmCost } = require('../../config/llm');
+
+// 61 s de teléfono (2 minutos empezados), 30 s de transcripción y 1000 caracteres de voz
+function createCall(overrides = {}) {
+  return {
+    callId: 'CA' + Math.random(),
+    businessId: 'default',
+    callSeconds: 61,
+    usage: { sttSeconds: 30, ttsCharacters: 1000, llmPromptTokens: 700, llmCompletionTokens: 300, llmCost: 0.001 },
+    ...overrides
+  };
+}
+
+const EXPECTED_AUDIO = 0.5 * AUDIO_PRICING.sttPerMinute + AUDIO_PRICING.ttsPerThousandChars;
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('addUsage acumula el consumo de cada turno', () => {
+  const conversation = {};
+  addUsage(conversation, { sttSeconds: 4.5, ttsCharacters: 120 });
+  addUsage(conversation, { sttSeconds: 2, llm: { prompt_tokens: 500, completion_tokens: 40, cost: 0.0002 } });
+  addUsage(null, { sttSeconds: 10 });
+
+  assert.deepEqual(conversation.usage, {
+    sttSeconds: 6.5,
+    ttsCharacters: 120,
+    llmPromptTokens: 500,
+    llmCompletionTokens: 40,
+    llmCost: 0.0002
+  });
+});
+
+test('el coste del LLM sale del precio por millón de tokens', () => {
+  const settings = { pricing: { input: 0.15, output: 0.6 } };
+
+  assert.equal(getLlmCost(settings, { prompt_tokens: 1000000, completion_tokens: 500000 }), 0.45);
+  assert.equal(getLlmCost({}, { prompt_tokens: 1000 }), 0);
+});
+
+test('el teléfono se factura por minuto empezado según la dirección', () => {
+  const inbound = recordCallUsage(createCall({ businessId: 'coste' }));
+  const outbound = recordCallUsage(createCall({ businessId: 'coste', direction: 'outbound' }));
+
+  assert.equal(inbound.callMinutes, 2);
+  assert.equal(inbound.cost.telephony, 0.04);
+  assert.equal(outbound.cost.telephony, 0.06);
+  assert.equal(inbound.cost.total, Math.round((0.04 + EXPECTED_AUDIO + 0.001) * 1e6) / 1e6);
+});
+
+test('el widget web no tiene coste de línea', () => {
+  const entry = recordCallUsage(createCall({ businessId: 'coste', channel: 'web', callSeconds: 300 }));
+
+  assert.equal(entry.callMinutes, 0);
+  assert.equal(entry.cost.telephony, 0);
+});
+
+test('el informe suma las llamadas del negocio con su coste por llamada y por reserva', () => {
+  recordCallUsage(createCall({ businessId: 'informe', reservations: 1 }));
+  recordCallUsage(createCall({ businessId: 'informe', callSeconds: 0, usage: {}, degraded: true }));
+
+  const report = getUsageReport({ businessId: 'informe', period: 'month' });
+  const expectedTotal = Math.round((0.04 + EXPECTED_AUDIO + 0.001) * 1e6) / 1e6;
+
+  assert.equal(report.periods.length, 1);
+  assert.equal(report.totals.calls, 2);
+  assert.equal(report.totals.callMinutes, 2);
+  assert.equal(report.totals.llmTokens, 1000);
+  assert.equal(report.totals.degradedCalls, 1);
+  assert.equal(report.totals.cost.total, expectedTotal);
+  assert.equal(report.totals.costPerCall, Math.round(expectedTotal / 2 * 1e4) / 1e4);
+  assert.equal(report.totals.costPerReservation, Math.round(expectedTotal * 1e4) / 1e4);
+});
+
+test('sin límite mensual no hay presupuesto que superar', () => {
+  const status = getBudgetStatus('sin-presupuesto');
+
+  assert.equal(status.limit, null);
+  assert.equal(status.remaining, null);
+  assert.equal(status.exceeded, false);
+  assert.equal(isBudgetExceeded('sin-presupuesto'), false);
+});
+
+test('el presupuesto avisa al llegar a alertAt y se supera al llegar al límite', () => {
+  // Cada llamada cuesta algo más de 0,05 €: la primera pasa del 50 % y la segunda del límite de 0,1 €
+  recordCallUsage(createCall({ businessId: 'con-presupuesto' }));
+  let status = getBudgetStatus('con-presupuesto');
+  assert.equal(status.alert, true);
+  assert.equal(status.exceeded, false);
+  assert.ok(status.remaining > 0);
+
+  recordCallUsage(createCall({ businessId: 'con-presupuesto' }));
+  status = getBudgetStatus('con-presupuesto');
+  assert.equal(status.exceeded, true);
+  assert.equal(status.remaining, 0);
+  assert.ok(status.usedRatio > 1);
+  assert.equal(isBudgetExceeded('con-presupuesto'), true);
+});
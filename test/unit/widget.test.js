@@ -0,0 +1,149 @@
+// Pruebas de las sesiones del widget web: historial en el servidor entre turnos, sesiones
+// de otro negocio o caducadas, despedida y botón "Nueva conversación"
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Almacenes y archivos en un directorio temporal: se leen al cargar los módulos
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asisteme-widget-'));
+process.env.OPENAI_API_KEY = 'clave-de-prueba';
+process.env.LLM_PROVIDER = 'stub';
+process.env.CONVERSATION_STORE = 'memory';
+process.env.USAGE_LEDGER_PATH = path.join(tmpDir, 'usage-ledger.jsonl');
+process.env.CALL_RECORDS_PATH = path.join(tmpDir, 'call-records.jsonl');
+process.env.CALLER_PROFILES_PATH = path.join(tmpDir, 'caller-profiles.json');
+
+// Transcripción, voz y Dashboard simulados: la ruta los toma al cargarse
+const stt = require('../../services/stt');
+const tts = require('../../services/tts');
+const dashboard = require('../../utils/dashboard');
+let nextUserText = '';
+stt.transcribeAudioDetailed = async () => ({ text: nextUserText, language: 'es', duration: 2 });
+tts.generateSpeech = async () => 'respuesta.mp3';
+dashboard.getHorarios = async () => null;
+dashboard.getDashboardData = async () => ({ name: 'Mar Azul', hours: 'Todos los días de 13:00 a 23:30', menu: [] });
+
+const express = require('express');
+const multer = require('multer');
+const { LLM_PROVIDERS, queueStubReplies } = require('../../config/llm');
+const { getCallRecord } = require('../../utils/callRecords');
+const voiceRoutes = require('../../routes/voice');
+
+// Mensajes que recibe el modelo en cada turno
+let requests = [];
+const completeWithStub = LLM_PROVIDERS.stub.complete;
+LLM_PROVIDERS.stub.complete = (settings, messages, tools) => {
+  requests.push(messages);
+  return completeWithStub(settings, messages, tools);
+};
+
+const app = express();
+app.use(express.json());
+app.use('/voice', multer({ dest: tmpDir }).single('audio'), voiceRoutes);
+let server;
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  requests = [];
+});
+
+/**
+ * Envía un turno del widget (audio + negocio + sesión) con lo que "dice" el cliente
+ */
+async function sendTurn(text, { sessionId, businessId } = {}) {
+  nextUserText = text;
+  const form = new FormData();
+  form.append('audio', new Blob([Buffer.alloc(16)], { type: 'audio/webm' }), 'turno.webm');
+  if (businessId) {
+    form.append('businessId', businessId);
+  }
+  if (sessionId) {
+    form.append('sessionId', sessionId);
+  }
+
+  const response = await fetch(`${baseUrl}/voice/call`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+function endSession(sessionId) {
+  return fetch(`${baseUrl}/voice/call/${sessionId}`, { method: 'DELETE' });
+}
+
+test('sin sessionId se abre una sesión y el siguiente turno conserva el historial', async () => {
+  queueStubReplies('¡Hola! ¿Para cuántas personas?');
+  const first = await sendTurn('Hola, quiero reservar');
+
+  assert.equal(first.status, 200);
+  assert.match(first.body.sessionId, /^web-/);
+  assert.equal(first.body.sessionEnded, false);
+  assert.equal(first.body.assistantResponse, '¡Hola! ¿Para cuántas personas?');
+
+  queueStubReplies('Perfecto, ¿para qué día?');
+  const second = await sendTurn('Para cuatro', { sessionId: first.body.sessionId });
+
+  assert.equal(second.body.sessionId, first.body.sessionId);
+  const history = requests[1].filter(message => message.role !== 'system').map(message => message.content);
+  assert.deepEqual(history, ['Hola, quiero reservar', '¡Hola! ¿Para cuántas personas?', 'Para cuatro']);
+});
+
+test('una sesión caducada o de otro negocio empieza de cero', async () => {
+  queueStubReplies('Hola');
+  const first = await sendTurn('Hola', { businessId: 'mar-azul' });
+
+  queueStubReplies('Hola');
+  const otherBusiness = await sendTurn('Hola', { businessId: 'casa-pepe', sessionId: first.body.sessionId });
+  assert.notEqual(otherBusiness.body.sessionId, first.body.sessionId);
+  assert.equal(requests[1].filter(message => message.role === 'user').length, 1);
+
+  queueStubReplies('Hola');
+  const unknown = await sendTurn('Hola', { sessionId: 'web-no-existe' });
+  assert.notEqual(unknown.body.sessionId, 'web-no-existe');
+});
+
+test('la despedida termina la sesión y la archiva con channel web', async () => {
+  queueStubReplies('Hola');
+  const first = await sendTurn('Hola');
+  const done = await sendTurn('Eso es todo, gracias', { sessionId: first.body.sessionId });
+
+  assert.equal(done.body.sessionEnded, true);
+  assert.equal(done.body.action.type, 'end_call');
+
+  const record = getCallRecord(first.body.sessionId);
+  assert.equal(record.channel, 'web');
+  assert.equal(record.status, 'completed');
+  assert.equal(record.turns, 2);
+
+  // El siguiente turno abre otra sesión
+  queueStubReplies('Hola de nuevo');
+  const next = await sendTurn('Hola', { sessionId: first.body.sessionId });
+  assert.notEqual(next.body.sessionId, first.body.sessionId);
+});
+
+test('"Nueva conversación" cierra la sesión una sola vez', async () => {
+  queueStubReplies('Hola');
+  const first = await sendTurn('Hola');
+
+  const ended = await endSession(first.body.sessionId);
+  assert.equal(ended.status, 200);
+  assert.equal(getCallRecord(first.body.sessionId).status, 'abandoned');
+
+  assert.equal((await endSession(first.body.sessionId)).status, 404);
+});
+
+test('un audio sin texto no crea turno', async () => {
+  const empty = await sendTurn('   ');
+  assert.equal(empty.status, 400);
+  assert.equal(requests.length, 0);
+});
@@ -0,0 +1,134 @@
+// Utilidades de audio para el streaming de llamadas (μ-law 8 kHz ↔ PCM 16 bits)
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Decodifica audio μ-law (G.711) a PCM 16 bits little-endian
+ * @param {Buffer} mulaw - Audio μ-law
+ * @returns {Buffer} - Audio PCM 16 bits
+ */
+function mulawToPcm(mulaw) {
+  const pcm = Buffer.alloc(mulaw.length * 2);
+
+  for (let i = 0; i < mulaw.length; i++) {
+    const byte = ~mulaw[i] & 0xff;
+    const sign = byte & 0x80;
+    const exponent = (byte >> 4) & 0x07;
+    const mantissa = byte & 0x0f;
+    const sample = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+    pcm.writeInt16LE(sign ? -sample : sample, i * 2);
+  }
+
+  return pcm;
+}
+
+/**
+ * Codifica PCM 16 bits little-endian a μ-law (G.711)
+ * @param {Buffer} pcm - Audio PCM 16 bits
+ * @returns {Buffer} - Audio μ-law
+ */
+function pcmToMulaw(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  const mulaw = Buffer.alloc(samples);
+
+  for (let i = 0; i < samples; i++) {
+    let sample = pcm.readInt16LE(i * 2);
+    const sign = sample < 0 ? 0x80 : 0;
+
+    if (sign) sample = -sample;
+    if (sample > MULAW_CLIP) sample = MULAW_CLIP;
+    sample += MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    mulaw[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+
+  return mulaw;
+}
+
+/**
+ * Reduce la frecuencia de muestreo promediando bloques (solo factores enteros)
+ * @param {Buffer} pcm - Audio PCM 16 bits
+ * @param {number} fromRate - Frecuencia original (p. ej. 24000)
+ * @param {number} toRate - Frecuencia final (p. ej. 8000)
+ * @returns {Buffer} - Audio PCM 16 bits remuestreado
+ */
+function downsamplePcm(pcm, fromRate, toRate) {
+  const factor = Math.round(fromRate / toRate);
+  if (factor <= 1) {
+    return pcm;
+  }
+
+  const samples = Math.floor(pcm.length / 2 / factor);
+  const output = Buffer.alloc(samples * 2);
+
+  for (let i = 0; i < samples; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) {
+      sum += pcm.readInt16LE((i * factor + j) * 2);
+    }
+    output.writeInt16LE(Math.round(sum / factor), i * 2);
+  }
+
+  return output;
+}
+
+/**
+ * Nivel de energía (RMS) de un fragmento PCM 16 bits
+ * @param {Buffer} pcm - Audio PCM 16 bits
+ * @returns {number} - RMS entre 0 y 32768
+ */
+function getRmsLevel(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  if (samples === 0) {
+    return 0;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = pcm.readInt16LE(i * 2);
+    sum += sample * sample;
+  }
+
+  return Math.sqrt(sum / samples);
+}
+
+/**
+ * Envuelve audio PCM 16 bits mono en un archivo WAV (para Whisper)
+ * @param {Buffer} pcm - Audio PCM 16 bits
+ * @param {number} sampleRate - Frecuencia de muestreo
+ * @returns {Buffer} - Archivo WAV
+ */
+function pcmToWav(pcm, sampleRate = 8000) {
+  const header = Buffer.alloc(44);
+
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + pcm.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16); // Tamaño del bloque fmt
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28); // Bytes por segundo
+  header.writeUInt16LE(2, 32); // Bytes por muestra
+  header.writeUInt16LE(16, 34); // Bits por muestra
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+}
+
+module.exports = {
+  mulawToPcm,
+  pcmToMulaw,
+  downsamplePcm,
+  getRmsLevel,
+  pcmToWav
+};
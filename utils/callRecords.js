@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+const { logInfo, logError } = require('./logger');
+
+// Archivo donde se guardan los registros de llamadas
+const CALL_RECORDS_FILE = process.env.CALL_RECORDS_PATH || path.join(__dirname, '..', 'data', 'call-records.jsonl');
+if (!fs.existsSync(path.dirname(CALL_RECORDS_FILE))) {
+  fs.mkdirSync(path.dirname(CALL_RECORDS_FILE), { recursive: true });
+}
+
+/**
+ * Guarda el registro de una llamada finalizada
+ * @param {Object} record - Datos de la llamada
+ * @returns {Object} - Registro guardado
+ */
+function saveCallRecord(record) {
+  try {
+    const callRecord = {
+      ...record,
+      savedAt: new Date().toISOString()
+    };
+
+    fs.appendFileSync(CALL_RECORDS_FILE, JSON.stringify(callRecord) + '\n');
+    logInfo(`💾 Registro de llamada guardado: ${record.callId} (${record.status})`);
+
+    return callRecord;
+
+  } catch (error) {
+    logError('Error guardando registro de llamada:', error);
+    return null;
+  }
+}
+
+/**
+ * Obtiene los registros de llamadas guardados
+ * @param {number} limit - Número máximo de registros (los más recientes)
+ * @returns {Array} - Registros de llamadas
+ */
+function getCallRecords(limit = 100) {
+  try {
+    if (!fs.existsSync(CALL_RECORDS_FILE)) {
+      return [];
+    }
+
+    const lines = fs.readFileSync(CALL_RECORDS_FILE, 'utf8')
+      .split('\n')
+      .filter(line => line.trim() !== '');
+
+    return lines.slice(-limit).map(line => JSON.parse(line));
+
+  } catch (error) {
+    logError('Error leyendo registros de llamadas:', error);
+    return [];
+  }
+}
+
+/**
+ * Busca en el archivo de conversaciones terminadas (más recientes primero)
+ * @param {Object} filters - { businessId, status, channel, dateFrom, dateTo, q }
+ * @returns {Array} - Registros que cumplen todos los filtros
+ */
+function searchCallRecords(filters = {}) {
+  const dateFrom = parseDateFilter(filters.dateFrom, false);
+  const dateTo = parseDateFilter(filters.dateTo, true);
+  const query = filters.q ? normalizeText(filters.q) : null;
+
+  return getCallRecords(Infinity)
+    .filter(record =>
+      (!filters.businessId || record.businessId === filters.businessId) &&
+      (!filters.status || record.status === filters.status) &&
+      (!filters.channel || (record.channel || 'phone') === filters.channel) &&
+      (!dateFrom || new Date(record.startTime) >= dateFrom) &&
+      (!dateTo || new Date(record.startTime) <= dateTo) &&
+      (!query || getSearchableText(record).includes(query))
+    )
+    .reverse();
+}
+
+/**
+ * Busca el registro archivado de una llamada
+ * @param {string} callId - ID de la llamada o sesión
+ * @returns {Object|null} - Registro de la llamada
+ */
+function getCallRecord(callId) {
+  return getCallRecords(Infinity).reverse().find(record => record.callId === callId) || null;
+}
+
+/**
+ * Convierte registros de llamadas a CSV (una fila por conversación)
+ * @param {Array} records - Registros de llamadas
+ * @returns {string} - Contenido CSV
+ */
+function callRecordsToCsv(records) {
+  const columns = [
+    ['callId', r => r.callId],
+    ['businessId', r => r.businessId],
+    ['channel', r => r.channel || 'phone'],
+    ['from', r => r.from],
+    ['to', r => r.to],
+    ['startTime', r => r.startTime],
+    ['endTime', r => r.endTime],
+    ['duration', r => r.duration],
+    ['status', r => r.status],
+    ['reservationMade', r => r.reservationMade],
+    ['reservationNumber', r => r.reservation && (r.reservation.numero || r.reservation.id)],
+    ['turns', r => r.turns],
+    ['transcript', r => formatTranscript(r.messages)]
+  ];
+
+  const rows = records.map(record => columns.map(([, getValue]) => escapeCsv(getValue(record))).join(','));
+  return [columns.map(([name]) => name).join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Transcripción legible: una línea por mensaje
+ */
+function formatTranscript(messages = []) {
+  return messages
+    .map(message => `${message.role === 'user' ? 'Cliente' : 'Asistente'}: ${message.content}`)
+    .join('\n');
+}
+
+/**
+ * Escapa un valor para CSV, evitando que una hoja de cálculo lo ejecute como fórmula
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+  if (/^[=@\t\r]|^[+-](?!\d)/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Fecha de un filtro (YYYY-MM-DD o ISO). Una fecha sin hora incluye el día completo
+ */
+function parseDateFilter(value, endOfDay) {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new Error(`Fecha no válida: ${value}`);
+  }
+
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+/**
+ * Texto en el que busca el filtro libre: mensajes, teléfonos y datos de la reserva
+ */
+function getSearchableText(record) {
+  return normalizeText([
+    record.callId,
+    record.from,
+    record.to,
+    ...(record.messages || []).map(message => message.content),
+    record.reservation ? JSON.stringify(record.reservation) : ''
+  ].join(' '));
+}
+
+/**
+ * Minúsculas y sin tildes, para que "adios" encuentre "adiós"
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+module.exports = {
+  saveCallRecord,
+  getCallRecords,
+  getCallRecord,
+  searchCallRecords,
+  callRecordsToCsv
+};
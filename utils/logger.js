@@ -224,7 +224,7 @@ cleanOldLogs();
 // Programar limpieza diaria
 setInterval(() => {
   cleanOldLogs();
-}, 24 * 60 * 60 * 1000);
+}, 24 * 60 * 60 * 1000).unref(); // No impedir que el proceso termine
 
 module.exports = {
   logInfo,
@@ -0,0 +1,21 @@
+// Números de teléfono de clientes y reservas
+
+/**
+ * Convierte un teléfono español al formato internacional
+ * @param {string} phone - Teléfono tal y como viene
+ * @returns {string|null} - Teléfono en formato +34XXXXXXXXX
+ */
+function normalizePhone(phone) {
+  if (!phone) return null;
+
+  const digits = String(phone).replace(/[^\d+]/g, '');
+  if (/^\+\d{9,15}$/.test(digits)) return digits;
+  if (/^00\d{9,15}$/.test(digits)) return `+${digits.substring(2)}`;
+  if (/^[6789]\d{8}$/.test(digits)) return `+34${digits}`;
+
+  return null;
+}
+
+module.exports = {
+  normalizePhone
+};
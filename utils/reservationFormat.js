@@ -0,0 +1,39 @@
+// Formato común de las reservas del backend (llamadas salientes, búsquedas, SMS y respuestas del asistente)
+const { formatDate } = require('./dashboard');
+const { normalizePhone } = require('./phone');
+
+/**
+ * Normaliza una reserva del backend al formato usado en las llamadas
+ * @param {Object} reservation - Reserva (formato backend o formato interno)
+ * @returns {Object} - { id, name, phone, date, time, people }
+ */
+function normalizeReservation(reservation) {
+  const cliente = reservation.cliente || {};
+
+  return {
+    id: reservation.id || reservation.numero,
+    name: reservation.name || cliente.nombre || reservation.nombre || '',
+    phone: normalizePhone(reservation.phone || cliente.telefono || reservation.telefono),
+    date: formatDate(String(reservation.date || reservation.fecha || 'hoy')),
+    time: reservation.time || reservation.hora,
+    people: parseInt(reservation.people || reservation.personas) || null,
+    status: reservation.estado || reservation.status || 'confirmada'
+  };
+}
+
+/**
+ * Formatea una fecha YYYY-MM-DD para decirla por teléfono
+ * @param {string} date - Fecha YYYY-MM-DD
+ * @param {string} locale - Locale del idioma de la conversación
+ */
+function formatSpokenDate(date, locale = 'es-ES') {
+  const parsed = new Date(`${date}T12:00:00`);
+  if (isNaN(parsed.getTime())) return date;
+
+  return parsed.toLocaleDateString(locale, { weekday: 'long', day: 'numeric', month: 'long' });
+}
+
+module.exports = {
+  normalizeReservation,
+  formatSpokenDate
+};
@@ -0,0 +1,54 @@
+// Plantillas de texto con variables {{nombre}} (SMS, saludos, normas de la casa)
+
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * Rellena una plantilla con las variables {{nombre}}
+ * @param {string} template - Plantilla
+ * @param {Object} variables - Valores a sustituir
+ * @returns {string} - Texto final
+ */
+function renderTemplate(template, variables) {
+  return template.replace(VARIABLE_PATTERN, (match, key) =>
+    variables[key] !== undefined && variables[key] !== null ? String(variables[key]) : ''
+  );
+}
+
+/**
+ * Plantilla en el idioma de la conversación: un texto (cualquier idioma) o un objeto por idioma
+ * @param {string|Object|null} template - Plantilla configurada
+ * @param {string} language - Código de idioma
+ * @returns {string|null} - Plantilla o null si no hay para ese idioma
+ */
+function pickTemplate(template, language) {
+  if (!template) {
+    return null;
+  }
+  if (typeof template === 'string') {
+    return template;
+  }
+  return template[language] || null;
+}
+
+/**
+ * Variables de una plantilla que no están entre las permitidas
+ * @param {string} template - Plantilla
+ * @param {Array<string>} allowed - Nombres de variables válidos
+ * @returns {Array<string>} - Variables desconocidas
+ */
+function findUnknownVariables(template, allowed) {
+  const unknown = [];
+  String(template || '').replace(VARIABLE_PATTERN, (match, key) => {
+    if (!allowed.includes(key) && !unknown.includes(key)) {
+      unknown.push(key);
+    }
+    return match;
+  });
+  return unknown;
+}
+
+module.exports = {
+  renderTemplate,
+  pickTemplate,
+  findUnknownVariables
+};